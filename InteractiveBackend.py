@@ -1,7 +1,8 @@
-from flask import Flask, request, jsonify, send_from_directory
+from flask import Flask, request, jsonify, send_from_directory, Response
 from flask_cors import CORS
 import csv
 import os
+import time
 
 # 配置 Flask 同时作为 Web 服务器
 app = Flask(__name__, static_folder='.', static_url_path='')
@@ -10,6 +11,11 @@ CORS(app)
 # 确保文件夹存在
 SAVE_FOLDER = 'SwapDatas'
 SAVE_PATH = os.path.join(SAVE_FOLDER, 'InputDatas.csv')
+# 求解器逐行写出的结果文件；求解结束时创建同名 .done 标记文件
+STREAM_PATH = os.path.join(SAVE_FOLDER, 'StreamDatas.csv')
+STREAM_DONE_PATH = STREAM_PATH + '.done'
+STREAM_POLL_INTERVAL = 0.2  # 文件无新行时的轮询间隔 [s]
+STREAM_KEEPALIVE = 15  # 心跳间隔 [s]，防止代理断开空闲连接
 
 if not os.path.exists(SAVE_FOLDER):
     os.makedirs(SAVE_FOLDER)
@@ -31,9 +37,10 @@ def save_config():
         data = request.json
         with open(SAVE_PATH, mode='w', newline='', encoding='utf-8-sig') as f:
             writer = csv.writer(f)
-            writer.writerow(['Panel', 'Parameter', 'Value'])
+            # Value 为 SI 单位下的数值，Unit/Id 对应前端参数模式
+            writer.writerow(['Panel', 'Parameter', 'Value', 'Unit', 'Id'])
             for item in data:
-                writer.writerow([item['panel'], item['parameter'], item['value']])
+                writer.writerow([item['panel'], item['parameter'], item['value'], item.get('unit', ''), item.get('id', '')])
         
         print(f"Successfully saved to {SAVE_PATH}")
         return jsonify({"status": "success", "message": f"Saved to {SAVE_PATH}"})
@@ -41,10 +48,74 @@ def save_config():
         print(f"Error: {str(e)}")
         return jsonify({"status": "error", "message": str(e)}), 500
 
+def iter_stream_events(from_step=0):
+    """
+    逐行读取结果文件并生成 SSE 消息。
+    表头以 header 事件发送；数据行以 row 事件发送，id 为从 0 开始的行序号，
+    序号小于 from_step 的行跳过（断线续传）。文件读完且存在 .done 标记时发送 end 事件。
+    """
+    while not os.path.exists(STREAM_PATH):
+        yield ': waiting for solver\n\n'
+        time.sleep(1)
+
+    with open(STREAM_PATH, encoding='utf-8-sig', newline='') as f:
+        header = None
+        step = 0
+        partial = ''
+        done = False
+        last_sent = time.time()
+        while True:
+            line = f.readline()
+            # 求解结束后文件末尾可能缺少换行：已读部分与本次读到的剩余部分按完整行处理
+            if done and not line.endswith('\n') and (partial or line):
+                line, partial = partial + line + '\n', ''
+            if line.endswith('\n'):
+                line = (partial + line).rstrip('\r\n')
+                partial = ''
+                if not line.strip():
+                    continue
+                if header is None:
+                    header = line
+                    yield f'event: header\ndata: {header}\n\n'
+                else:
+                    if step >= from_step:
+                        yield f'id: {step}\nevent: row\ndata: {line}\n\n'
+                        last_sent = time.time()
+                    step += 1
+                continue
+
+            # 未读到完整行：保留已读部分，等待求解器继续写入
+            partial += line
+            if done:
+                yield f'event: end\ndata: {step}\n\n'
+                return
+            if os.path.exists(STREAM_DONE_PATH):
+                # 标记出现前写入的行可能尚未读到，再读一轮后结束
+                done = True
+                continue
+            if time.time() - last_sent > STREAM_KEEPALIVE:
+                yield ': keepalive\n\n'
+                last_sent = time.time()
+            time.sleep(STREAM_POLL_INTERVAL)
+
+
+# 路由：实时结果流 (Server-Sent Events)
+@app.route('/api/results/stream')
+def stream_results():
+    from_step = request.args.get('from_step', type=int)
+    if from_step is None:
+        # 浏览器自动重连时通过 Last-Event-ID 告知最后收到的行
+        last_id = request.headers.get('Last-Event-ID', '')
+        from_step = int(last_id) + 1 if last_id.isdigit() else 0
+    return Response(iter_stream_events(max(from_step, 0)), mimetype='text/event-stream',
+                    headers={'Cache-Control': 'no-cache', 'X-Accel-Buffering': 'no'})
+
+
 if __name__ == '__main__':
     print("------------------------------------------")
     print("仿真系统服务器已启动！")
     print("直接点击此链接进行访问: http://localhost:8080")
     print("------------------------------------------")
     # 使用 8080 端口启动
-    app.run(port=8080, debug=True)
+    # threaded=True：结果流为长连接，需与其他请求并行处理
+    app.run(port=8080, debug=True, threaded=True)
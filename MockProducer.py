@@ -0,0 +1,51 @@
+"""
+本地模拟求解器：将已有结果文件按设定速率逐行写入 SwapDatas/StreamDatas.csv，
+供 /api/results/stream 与前端“实时结果流”数据源联调使用。
+
+用法:
+    python MockProducer.py [--source SwapDatas/PreDatas.csv] [--rate 20] [--stall-at 0 --stall-for 0]
+
+--stall-at/--stall-for 可在指定行暂停写入若干秒，用于观察前端的等待与跟随实时行为。
+"""
+import argparse
+import os
+import time
+
+SAVE_FOLDER = 'SwapDatas'
+STREAM_PATH = os.path.join(SAVE_FOLDER, 'StreamDatas.csv')
+STREAM_DONE_PATH = STREAM_PATH + '.done'
+
+
+def main():
+    parser = argparse.ArgumentParser(description='逐行写出结果文件，模拟运行中的求解器')
+    parser.add_argument('--source', default=os.path.join(SAVE_FOLDER, 'PreDatas.csv'), help='回放的结果文件')
+    parser.add_argument('--rate', type=float, default=20, help='每秒写出的行数')
+    parser.add_argument('--stall-at', type=int, default=0, help='在第 N 行后暂停写入（0 表示不暂停）')
+    parser.add_argument('--stall-for', type=float, default=0, help='暂停时长 [s]')
+    args = parser.parse_args()
+
+    os.makedirs(SAVE_FOLDER, exist_ok=True)
+    if os.path.exists(STREAM_DONE_PATH):
+        os.remove(STREAM_DONE_PATH)
+
+    with open(args.source, encoding='utf-8-sig', newline='') as src, \
+            open(STREAM_PATH, 'w', encoding='utf-8', newline='') as out:
+        out.write(src.readline())
+        out.flush()
+
+        for count, line in enumerate(src, start=1):
+            out.write(line)
+            out.flush()
+            if count == args.stall_at and args.stall_for > 0:
+                print(f'Stalling {args.stall_for}s after row {count}')
+                time.sleep(args.stall_for)
+            time.sleep(1 / args.rate)
+            if count % 100 == 0:
+                print(f'{count} rows written')
+
+    open(STREAM_DONE_PATH, 'w').close()
+    print(f'Done: {STREAM_PATH}')
+
+
+if __name__ == '__main__':
+    main()
@@ -0,0 +1,394 @@
+// --- 阈值告警 ---
+// 用户定义的告警规则逐帧作用于当前采样（已叠加工况）：超限持续 holdTime 后触发，
+// 回到阈值另一侧超过回差 hysteresis 后解除。触发时改变状态栏、在事件时间轴上加红色标记并发布事件；
+// 运行结束时汇总各规则的累计中断时间。规则保存在 localStorage。
+
+const ALARM_STORAGE_KEY = 'alarmRules';
+
+/**
+ * 可告警的指标。read 返回当前值，无数据时为 NaN；log 指标按 log10 比较，回差单位为“数量级”。
+ * 链路中断（link_up = 0）时余量与信噪比视为 -∞。
+ */
+const ALARM_METRICS = {
+  ber: {
+    label: '误码率',
+    unit: '',
+    log: true,
+    read: (sample, budget) => pickAlarmValue(sample, budget, 'ber')
+  },
+  link_margin_db: {
+    label: '链路余量',
+    unit: 'dB',
+    read: (sample, budget) => (sample.link_up === 0 ? -Infinity : pickAlarmValue(sample, budget, 'link_margin_db'))
+  },
+  snr_db: {
+    label: '信噪比',
+    unit: 'dB',
+    read: (sample, budget) => (sample.link_up === 0 ? -Infinity : pickAlarmValue(sample, budget, 'snr_db'))
+  },
+  spot_offset_fov: {
+    label: '光斑偏移',
+    unit: '×FOV_D',
+    // 与光斑视图一致取 PAT 探测器上的光斑偏差（含数据光斑列、伺服残差与工况），两终端取较大者；
+    // 光斑越出视场失锁后保持失锁前的偏差直到重新捕获，从未捕获时无值
+    read: (sample, budget, ctx) => {
+      const offsets = PAT_TERMINALS.map(getPatPointingOffset).filter(Boolean);
+      return offsets.length > 0 ? Math.max(...offsets.map(o => Math.hypot(o.x, o.y))) / ctx.fov : NaN;
+    }
+  }
+};
+
+const ALARM_OPERATORS = { '>': '>', '<': '<' };
+
+/**
+ * 严重程度 -> 状态栏文字颜色
+ */
+const ALARM_SEVERITY_COLORS = {
+  info: '#1a73e8',
+  warning: '#e37400',
+  error: '#d93025'
+};
+
+/**
+ * 默认规则：BER > 1e-6 持续 0.5 s、链路余量 < 3 dB、光斑偏出视场
+ */
+const DEFAULT_ALARM_RULES = [
+  { id: 'ber-high', metric: 'ber', op: '>', threshold: 1e-6, hysteresis: 0.5, holdTime: 0.5, severity: 'warning', enabled: true },
+  { id: 'margin-low', metric: 'link_margin_db', op: '<', threshold: 3, hysteresis: 0.5, holdTime: 0, severity: 'warning', enabled: true },
+  { id: 'spot-out', metric: 'spot_offset_fov', op: '>', threshold: 1, hysteresis: 0.1, holdTime: 0, severity: 'error', enabled: true }
+];
+
+let alarmRules = DEFAULT_ALARM_RULES.map(rule => ({ ...rule }));
+let alarmStates = {}; // 规则 id -> 运行状态
+let alarmTrips = []; // 本次运行的触发记录 {ruleId, time, value, severity}
+let lastAlarmTime = null;
+
+function pickAlarmValue(sample, budget, field) {
+  if (Number.isFinite(sample[field])) return sample[field];
+  return budget && Number.isFinite(budget[field]) ? budget[field] : NaN;
+}
+
+/**
+ * 规则的简短描述，如 "误码率 > 1e-6 持续 0.5s"
+ */
+function describeAlarmRule(rule) {
+  const metric = ALARM_METRICS[rule.metric];
+  const hold = rule.holdTime > 0 ? ` 持续 ${rule.holdTime}s` : '';
+  return `${metric.label} ${rule.op} ${rule.threshold}${metric.unit ? ' ' + metric.unit : ''}${hold}`;
+}
+
+function formatAlarmValue(metric, value) {
+  if (!Number.isFinite(value)) return String(value);
+  return ALARM_METRICS[metric].log ? value.toExponential(2) : value.toFixed(2);
+}
+
+/**
+ * 清空告警运行状态与时间轴标记（回拨时间或重新开始运行时）
+ */
+function resetAlarms() {
+  alarmStates = {};
+  alarmTrips = [];
+  lastAlarmTime = null;
+  renderAlarmMarkers();
+  updateStatusBarText();
+}
+
+/**
+ * 当前处于告警状态的规则
+ */
+function getActiveAlarms() {
+  return alarmRules.filter(rule => alarmStates[rule.id] && alarmStates[rule.id].active);
+}
+
+/**
+ * 按当前采样评估全部告警规则
+ * @param {Object} sample - 当前采样（已叠加工况）
+ * @param {Object|null} budget - 本地链路预算
+ * @param {number} time - 仿真时间 [s]
+ */
+function evaluateAlarms(sample, budget, time) {
+  if (lastAlarmTime !== null && time < lastAlarmTime) resetAlarms();
+  const dt = lastAlarmTime === null ? 0 : time - lastAlarmTime;
+  lastAlarmTime = time;
+
+  const ctx = { fov: readPanelParams('panel-device-params').FOV_D };
+  let changed = false;
+
+  alarmRules.forEach(rule => {
+    if (!rule.enabled) return;
+    const metric = ALARM_METRICS[rule.metric];
+    const value = metric.read(sample, budget, ctx);
+    // 无数据时保持当前状态：已触发的规则继续累计中断时间
+    if (Number.isNaN(value)) {
+      if (alarmStates[rule.id] && alarmStates[rule.id].active) alarmStates[rule.id].outage += dt;
+      return;
+    }
+
+    const state = alarmStates[rule.id] || (alarmStates[rule.id] = { active: false, pendingSince: null, trips: 0, outage: 0, worst: value });
+    const scaled = metric.log ? Math.log10(value) : value;
+    const threshold = metric.log ? Math.log10(rule.threshold) : rule.threshold;
+    const sign = rule.op === '>' ? 1 : -1;
+
+    if (state.active) {
+      state.outage += dt;
+      if (sign * (value - state.worst) > 0) state.worst = value;
+      if (sign * (scaled - threshold) < -rule.hysteresis) {
+        state.active = false;
+        state.pendingSince = null;
+        changed = true;
+        publishEvent({
+          type: 'alarm.clear',
+          source: 'alarm',
+          message: `告警解除: ${describeAlarmRule(rule)}（当前 ${formatAlarmValue(rule.metric, value)}）`,
+          payload: { ruleId: rule.id, value },
+          simTime: time
+        });
+      }
+    } else if (sign * (scaled - threshold) > 0) {
+      if (state.pendingSince === null) state.pendingSince = time;
+      if (time - state.pendingSince >= rule.holdTime) {
+        // 中断时间从超限开始计，含确认所需的持续时间
+        state.active = true;
+        state.trips++;
+        state.outage += time - state.pendingSince;
+        state.worst = value;
+        changed = true;
+        alarmTrips.push({ ruleId: rule.id, time, value, severity: rule.severity });
+        renderAlarmMarkers();
+        publishEvent({
+          type: 'alarm.trip',
+          source: 'alarm',
+          severity: rule.severity,
+          message: `告警: ${describeAlarmRule(rule)}（当前 ${formatAlarmValue(rule.metric, value)}）`,
+          payload: { ruleId: rule.id, value, threshold: rule.threshold },
+          simTime: time
+        });
+      }
+    } else {
+      state.pendingSince = null;
+    }
+  });
+
+  if (changed) updateStatusBarText();
+}
+
+/**
+ * 各规则的告警汇总
+ * @returns {{rule: Object, trips: number, outage: number, worst: number}[]}
+ */
+function buildAlarmSummary() {
+  return alarmRules.map(rule => {
+    const state = alarmStates[rule.id];
+    return { rule, trips: state ? state.trips : 0, outage: state ? state.outage : 0, worst: state ? state.worst : NaN };
+  });
+}
+
+// --- 规则存储 ---
+
+function loadAlarmRules() {
+  const stored = readStoredJSON(ALARM_STORAGE_KEY, null);
+  if (!Array.isArray(stored)) return DEFAULT_ALARM_RULES.map(rule => ({ ...rule }));
+  return stored.filter(rule => ALARM_METRICS[rule.metric] && ALARM_OPERATORS[rule.op]);
+}
+
+function saveAlarmRules(rules) {
+  alarmRules = rules;
+  writeStoredJSON(ALARM_STORAGE_KEY, rules);
+  resetAlarms();
+}
+
+// --- 界面 ---
+
+/**
+ * 在事件时间轴上绘制本次运行的告警触发点
+ */
+function renderAlarmMarkers() {
+  const eventLine = document.getElementById('event-timeline');
+  if (!eventLine) return;
+  eventLine.querySelectorAll('.alarm-marker').forEach(el => el.remove());
+
+  const range = faultTimelineRange();
+  if (!range) return;
+  alarmTrips.forEach(trip => {
+    const rule = alarmRules.find(r => r.id === trip.ruleId);
+    if (!rule) return;
+    const marker = document.createElement('div');
+    marker.className = `event-marker alarm-marker severity-${trip.severity}`;
+    marker.style.left = `${((trip.time - range.start) / range.span) * 100}%`;
+    marker.setAttribute('data-label', `${describeAlarmRule(rule)} @ ${trip.time.toFixed(1)}s`);
+    eventLine.appendChild(marker);
+  });
+}
+
+function createOptions(select, options, selected) {
+  Object.entries(options).forEach(([value, label]) => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = label;
+    option.selected = value === selected;
+    select.appendChild(option);
+  });
+}
+
+/**
+ * 规则编辑表中的一行
+ */
+function renderAlarmRuleRow(rule) {
+  const row = document.createElement('tr');
+  row.dataset.ruleId = rule.id;
+
+  const cell = child => {
+    const td = document.createElement('td');
+    td.appendChild(child);
+    row.appendChild(td);
+    return child;
+  };
+  const numberInput = (name, value, title) => {
+    const input = document.createElement('input');
+    input.type = 'number';
+    input.step = 'any';
+    input.required = true;
+    input.name = name;
+    input.title = title;
+    input.value = value;
+    return input;
+  };
+
+  const enabled = document.createElement('input');
+  enabled.type = 'checkbox';
+  enabled.name = 'enabled';
+  enabled.checked = rule.enabled;
+  cell(enabled);
+
+  const metricLabels = {};
+  Object.entries(ALARM_METRICS).forEach(([key, m]) => { metricLabels[key] = m.unit ? `${m.label} [${m.unit}]` : m.label; });
+  const metric = cell(document.createElement('select'));
+  metric.name = 'metric';
+  createOptions(metric, metricLabels, rule.metric);
+
+  const op = cell(document.createElement('select'));
+  op.name = 'op';
+  createOptions(op, ALARM_OPERATORS, rule.op);
+
+  cell(numberInput('threshold', rule.threshold, '阈值'));
+  const hysteresis = cell(numberInput('hysteresis', rule.hysteresis, '回差（误码率为数量级）'));
+  hysteresis.min = 0;
+  const holdTime = cell(numberInput('holdTime', rule.holdTime, '持续时间 [s]'));
+  holdTime.min = 0;
+
+  const severity = cell(document.createElement('select'));
+  severity.name = 'severity';
+  createOptions(severity, EVENT_SEVERITIES, rule.severity);
+
+  const remove = cell(document.createElement('button'));
+  remove.type = 'button';
+  remove.className = 'btn-tool btn-danger';
+  remove.textContent = '×';
+  remove.title = '删除规则';
+  remove.addEventListener('click', () => row.remove());
+  return row;
+}
+
+function readAlarmRuleRows(tbody) {
+  return Array.from(tbody.querySelectorAll('tr')).map(row => {
+    const field = name => row.querySelector(`[name="${name}"]`);
+    return {
+      id: row.dataset.ruleId,
+      metric: field('metric').value,
+      op: field('op').value,
+      threshold: parseFloat(field('threshold').value),
+      hysteresis: parseFloat(field('hysteresis').value),
+      holdTime: parseFloat(field('holdTime').value),
+      severity: field('severity').value,
+      enabled: field('enabled').checked
+    };
+  });
+}
+
+/**
+ * 显示告警汇总对话框
+ * @param {string} title
+ */
+function showAlarmSummary(title) {
+  const dialog = document.getElementById('alarm-summary-dialog');
+  if (!dialog) return;
+  const elapsed = lastAlarmTime === null ? 0 : lastAlarmTime - simClock.startTime;
+  const tbody = dialog.querySelector('tbody');
+  tbody.innerHTML = '';
+  buildAlarmSummary().forEach(({ rule, trips, outage, worst }) => {
+    const row = document.createElement('tr');
+    if (trips > 0) row.className = `severity-${rule.severity}`;
+    const percent = elapsed > 0 ? ` (${((outage / elapsed) * 100).toFixed(1)}%)` : '';
+    [
+      describeAlarmRule(rule) + (rule.enabled ? '' : '（停用）'),
+      EVENT_SEVERITIES[rule.severity],
+      trips,
+      `${outage.toFixed(1)}s${percent}`,
+      trips > 0 ? formatAlarmValue(rule.metric, worst) : '—'
+    ].forEach(text => {
+      const td = document.createElement('td');
+      td.textContent = text;
+      row.appendChild(td);
+    });
+    tbody.appendChild(row);
+  });
+  dialog.querySelector('.fault-dialog-title').textContent = `${title}（已运行 ${elapsed.toFixed(1)}s）`;
+  if (!dialog.open) dialog.showModal();
+}
+
+/**
+ * 初始化告警规则编辑、汇总对话框与运行事件联动
+ */
+function initAlarmControls() {
+  alarmRules = loadAlarmRules();
+
+  const dialog = document.getElementById('alarm-dialog');
+  const tbody = dialog?.querySelector('tbody');
+  if (dialog && tbody) {
+    document.getElementById('btn-alarm-rules')?.addEventListener('click', () => {
+      tbody.innerHTML = '';
+      alarmRules.forEach(rule => tbody.appendChild(renderAlarmRuleRow(rule)));
+      dialog.returnValue = '';
+      dialog.showModal();
+    });
+    dialog.querySelector('.btn-alarm-add')?.addEventListener('click', () => {
+      tbody.appendChild(renderAlarmRuleRow({
+        id: `rule-${Date.now().toString(36)}`,
+        metric: 'snr_db',
+        op: '<',
+        threshold: 10,
+        hysteresis: 0.5,
+        holdTime: 0,
+        severity: 'warning',
+        enabled: true
+      }));
+    });
+    dialog.querySelector('.btn-alarm-reset')?.addEventListener('click', () => {
+      tbody.innerHTML = '';
+      DEFAULT_ALARM_RULES.forEach(rule => tbody.appendChild(renderAlarmRuleRow(rule)));
+    });
+    dialog.addEventListener('close', () => {
+      if (dialog.returnValue !== 'confirm') return;
+      saveAlarmRules(readAlarmRuleRows(tbody));
+      publishEvent({ type: 'alarm.rulesChanged', source: 'alarm', message: `告警规则已更新（${alarmRules.length} 条）`, payload: { rules: alarmRules } });
+    });
+  }
+
+  document.getElementById('btn-alarm-summary')?.addEventListener('click', () => showAlarmSummary('告警汇总'));
+
+  subscribeEvents(event => {
+    if (event.type === 'run.start') {
+      resetAlarms();
+    } else if (event.type === 'run.end' || event.type === 'run.stop') {
+      const summary = buildAlarmSummary();
+      publishEvent({
+        type: 'alarm.summary',
+        source: 'alarm',
+        message: `告警汇总: ${summary.filter(s => s.trips > 0).map(s => `${describeAlarmRule(s.rule)} 中断 ${s.outage.toFixed(1)}s`).join('；') || '无告警'}`,
+        payload: { rules: summary.map(({ rule, trips, outage }) => ({ ruleId: rule.id, trips, outage })) },
+        simTime: event.simTime
+      });
+      if (alarmRules.length > 0) showAlarmSummary('运行结束 · 告警汇总');
+    }
+  });
+}
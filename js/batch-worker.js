@@ -0,0 +1,71 @@
+// --- 批量仿真 Worker ---
+// 在后台线程中运行一次仿真：星间距离沿用主线程给出的序列或按轨道参数外推，
+// 复合轴伺服模型给出的跟踪残差叠加到静态指向损耗上，逐点计算链路预算并汇总误码率、中断与余量。
+// 只加载与界面无关的模型脚本；各面板读数由主线程以标称单位传入。
+
+importScripts('link-budget.js', 'orbit.js', 'servo.js');
+
+/**
+ * 单次仿真
+ * @param {Object} job
+ * @param {Object<string, Object>} job.params - 面板 ID -> readPanelParams 形式的读数
+ * @param {{time: number, range_km: number}[]|null} job.records - 距离序列（时间从 0 起），为 null 时按轨道参数外推
+ * @param {number} job.seed - 伺服随机种子
+ */
+function runBatchSimulation(job) {
+  const device = job.params['panel-device-params'];
+  const records = job.records || generateOrbitRecords(job.params['panel-orbit-params'], device);
+  const p = normalizeTerminalParams(job.params['panel-terminal-params']);
+  const terms = computeStaticBudgetTerms(p);
+  const pointingCoeff = pointingLossCoefficient(p.divergence);
+
+  const servo = simulateServo(readServoParams(device), { seed: job.seed });
+  const count = servo.time.length;
+  const span = servo.time[count - 1];
+
+  let samples = 0;
+  let outages = 0;
+  let berSum = 0;
+  let berWorst = 0;
+  let marginSum = 0;
+  let marginMin = Infinity;
+  let errorSq = 0;
+  records.forEach(record => {
+    if (!Number.isFinite(record.range_km)) return;
+    // 伺服残差超出仿真时长后循环使用，与 sampleServoError 一致
+    const t = span > 0 ? ((record.time % span) + span) % span : 0;
+    const i = span > 0 ? Math.round(t / span * (count - 1)) : 0;
+    const theta2 = servo.x.err[i] * servo.x.err[i] + servo.y.err[i] * servo.y.err[i];
+    const budget = computeLinkBudget(p, record.range_km, {
+      ...terms,
+      pointing_loss_db: terms.pointing_loss_db + toDb(Math.exp(-pointingCoeff * theta2))
+    });
+
+    samples++;
+    if (budget.link_margin_db < 0) outages++;
+    berSum += budget.ber;
+    berWorst = Math.max(berWorst, budget.ber);
+    marginSum += budget.link_margin_db;
+    marginMin = Math.min(marginMin, budget.link_margin_db);
+    errorSq += theta2;
+  });
+  if (samples === 0) throw new Error('没有可用的星间距离');
+
+  return {
+    samples,
+    ber_mean: berSum / samples,
+    ber_worst: berWorst,
+    outage_pct: outages / samples * 100,
+    margin_mean: marginSum / samples,
+    margin_min: marginMin,
+    pointing_rms_urad: Math.sqrt(errorSq / samples) * 1e6
+  };
+}
+
+self.onmessage = ({ data }) => {
+  try {
+    self.postMessage({ id: data.id, result: runBatchSimulation(data.job) });
+  } catch (err) {
+    self.postMessage({ id: data.id, error: err.message });
+  }
+};
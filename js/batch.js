@@ -0,0 +1,418 @@
+// --- 批量仿真（参数扫描 / 蒙特卡洛） ---
+// 以 collectParamsForExport() 收集的当前面板配置为基准，对任一数值参数做线性/对数扫描，或按均匀/正态分布抽样；
+// 每组参数在 Web Worker 池中并行运行一次仿真（见 batch-worker.js），
+// 结果汇总为误码率、中断率与链路余量统计，绘制为参数曲线或直方图，并可导出 CSV / JSON。
+// 扫描各次共用同一伺服随机种子，曲线只反映参数变化；蒙特卡洛每次换用新种子。
+
+const BATCH_WORKER_URL = 'js/batch-worker.js';
+const BATCH_MAX_WORKERS = 8;
+const BATCH_MAX_RUNS = 1000;
+const BATCH_MAX_REDRAWS = 100; // 分布抽样落在参数取值范围外时的重抽次数上限
+const BATCH_SEED = 0x42415443;
+
+const BATCH_MODES = {
+  linear: { label: '线性扫描', a: '起点', b: '终点', sweep: true },
+  log: { label: '对数扫描', a: '起点', b: '终点', sweep: true },
+  uniform: { label: '均匀分布', a: '下限', b: '上限', sweep: false },
+  normal: { label: '正态分布', a: '均值', b: '标准差', sweep: false }
+};
+
+const BATCH_METRICS = {
+  ber_mean: { label: '平均误码率', unit: '', log: true },
+  ber_worst: { label: '最差误码率', unit: '', log: true },
+  outage_pct: { label: '中断率', unit: '%' },
+  margin_mean: { label: '平均链路余量', unit: 'dB' },
+  margin_min: { label: '最小链路余量', unit: 'dB' },
+  pointing_rms_urad: { label: '伺服残差 RMS', unit: 'μrad' }
+};
+
+const batchState = { result: null, chart: null, stop: null };
+
+/**
+ * 将 collectParamsForExport() 的 SI 读数按面板还原为标称单位，作为每次仿真的基准参数
+ * @returns {Object<string, Object>} 面板 ID -> readPanelParams 形式的读数
+ */
+function collectBatchBaseParams(rows = collectParamsForExport()) {
+  const params = {};
+  PARAM_SCHEMA.forEach(panelDef => { params[panelDef.panel] = {}; });
+  rows.forEach(row => {
+    const entry = PARAM_INDEX[row.id];
+    if (!entry) return;
+    params[entry.panel][row.id] = entry.def.type === 'number' ? convertUnit(row.value, row.unit, entry.def.unit) : row.value;
+  });
+  return params;
+}
+
+/**
+ * 生成各次仿真的参数取值（标称单位）
+ * @param {Object} def - 参数定义
+ * @param {{mode: string, a: number, b: number, count: number}} spec
+ * @returns {number[]}
+ * @throws {Error} 区间无效或抽样无法落入参数取值范围
+ */
+function generateBatchValues(def, { mode, a, b, count }) {
+  if (!Number.isFinite(a) || !Number.isFinite(b)) throw new Error('请输入有效的区间');
+  if (mode === 'log' && !(a > 0 && b > 0)) throw new Error('对数扫描的起点与终点必须大于 0');
+  if (mode === 'normal' && b < 0) throw new Error('标准差不能为负');
+
+  const values = [];
+  for (let i = 0; i < count; i++) {
+    const f = count > 1 ? i / (count - 1) : 0;
+    if (mode === 'linear') values.push(a + (b - a) * f);
+    else if (mode === 'log') values.push(a * Math.pow(b / a, f));
+    else values.push(drawBatchValue(def, mode, a, b, i));
+  }
+  values.forEach(value => {
+    const error = validateParamValue(def, value);
+    if (error) throw new Error(`${def.label} = ${formatWithUnit(value, def.unit)}: ${error}`);
+  });
+  return values;
+}
+
+/**
+ * 按分布抽样，超出参数取值范围时重抽
+ */
+function drawBatchValue(def, mode, a, b, index) {
+  for (let k = 0; k < BATCH_MAX_REDRAWS; k++) {
+    const key = index * BATCH_MAX_REDRAWS + k;
+    const u = seededUniform(BATCH_SEED, key);
+    const value = mode === 'uniform'
+      ? a + (b - a) * u
+      : a + b * Math.sqrt(-2 * Math.log(Math.max(u, 1e-12))) * Math.cos(2 * Math.PI * seededUniform(BATCH_SEED ^ 0x5bd1e995, key));
+    if (!validateParamValue(def, value)) return value;
+  }
+  throw new Error(`${def.label} 的抽样多次落在取值范围外，请调整分布`);
+}
+
+/**
+ * 距离序列：沿用当前数据源的 range_km；本地外推的数据源、缺少距离列或扫描轨道参数时返回 null，由 Worker 按轨道参数外推
+ */
+function collectBatchRecords(panelId) {
+  if (panelId === 'panel-orbit-params' || !resultSource || resultSource.generator) return null;
+  if (simulationData.length === 0 || !isResultFieldAvailable(resultMeta, 'range_km')) return null;
+  const start = simulationData[0].time;
+  return simulationData
+    .filter(record => Number.isFinite(record.range_km))
+    .map(record => ({ time: record.time - start, range_km: record.range_km }));
+}
+
+/**
+ * 在 Worker 池中运行全部仿真
+ * @param {Object[]} jobs
+ * @param {function(number, number): void} onProgress - (已完成, 总数)
+ * @returns {Promise<Object[]>} 与 jobs 一一对应的结果，单次失败时为 {error}
+ */
+function runBatchPool(jobs, onProgress) {
+  return new Promise((resolve, reject) => {
+    const results = new Array(jobs.length);
+    const size = Math.min(jobs.length, BATCH_MAX_WORKERS, navigator.hardwareConcurrency || 2);
+    const workers = [];
+    let next = 0;
+    let done = 0;
+    let finished = false;
+
+    const finish = error => {
+      if (finished) return;
+      finished = true;
+      workers.forEach(worker => worker.terminate());
+      batchState.stop = null;
+      if (error) reject(error);
+      else resolve(results);
+    };
+    const dispatch = worker => {
+      if (next >= jobs.length) return;
+      const id = next++;
+      worker.postMessage({ id, job: jobs[id] });
+    };
+
+    batchState.stop = () => finish(new Error('批量仿真已停止'));
+    for (let i = 0; i < size; i++) {
+      const worker = new Worker(BATCH_WORKER_URL);
+      worker.onmessage = ({ data }) => {
+        results[data.id] = data.error ? { error: data.error } : data.result;
+        done++;
+        onProgress(done, jobs.length);
+        if (done === jobs.length) finish();
+        else dispatch(worker);
+      };
+      worker.onerror = event => {
+        event.preventDefault();
+        finish(new Error(event.message || '批量仿真 Worker 加载失败'));
+      };
+      workers.push(worker);
+      dispatch(worker);
+    }
+  });
+}
+
+/**
+ * 升序数组的分位数（线性插值）
+ */
+function quantileSorted(sorted, q) {
+  const position = (sorted.length - 1) * q;
+  const i = Math.floor(position);
+  const f = position - i;
+  return i + 1 < sorted.length ? sorted[i] + (sorted[i + 1] - sorted[i]) * f : sorted[i];
+}
+
+/**
+ * 各统计量在全部成功仿真上的分布
+ * @returns {Object<string, {mean: number, std: number, min: number, p5: number, p50: number, p95: number, max: number}>}
+ */
+function summarizeBatchRuns(runs) {
+  const ok = runs.filter(run => !run.error);
+  const summary = {};
+  if (ok.length === 0) return summary;
+  Object.keys(BATCH_METRICS).forEach(key => {
+    const values = ok.map(run => run[key]).sort((x, y) => x - y);
+    const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+    const variance = values.reduce((sum, v) => sum + (v - mean) * (v - mean), 0) / values.length;
+    summary[key] = {
+      mean,
+      std: Math.sqrt(variance),
+      min: values[0],
+      p5: quantileSorted(values, 0.05),
+      p50: quantileSorted(values, 0.5),
+      p95: quantileSorted(values, 0.95),
+      max: values[values.length - 1]
+    };
+  });
+  return summary;
+}
+
+/**
+ * 运行一次批量仿真
+ * @param {{id: string, mode: string, a: number, b: number, count: number}} spec
+ * @param {function(number, number): void} onProgress
+ */
+async function runBatch(spec, onProgress) {
+  const { def, panel } = PARAM_INDEX[spec.id];
+  const values = generateBatchValues(def, spec);
+  const config = collectParamsForExport();
+  const base = collectBatchBaseParams(config);
+  const records = collectBatchRecords(panel);
+  const sweep = BATCH_MODES[spec.mode].sweep;
+
+  const jobs = values.map((value, index) => ({
+    params: { ...base, [panel]: { ...base[panel], [spec.id]: value } },
+    records,
+    seed: sweep ? SERVO_SEEDS.T1 : hashSeed(BATCH_SEED, index)
+  }));
+
+  publishEvent({
+    type: 'batch.started',
+    source: 'batch',
+    message: `批量仿真开始: ${def.label} ${BATCH_MODES[spec.mode].label}，共 ${values.length} 次`,
+    payload: { ...spec }
+  });
+  const started = performance.now();
+  const results = await runBatchPool(jobs, onProgress);
+  const runs = results.map((result, index) => ({ run: index + 1, value: values[index], ...result }));
+  const failed = runs.filter(run => run.error).length;
+
+  batchState.result = {
+    spec: { ...spec },
+    parameter: { id: spec.id, label: def.label, unit: def.unit, panel },
+    rangeSource: records ? 'data' : 'orbit',
+    config,
+    runs,
+    summary: summarizeBatchRuns(runs),
+    elapsed: (performance.now() - started) / 1000
+  };
+  publishEvent({
+    type: 'batch.completed',
+    source: 'batch',
+    severity: failed > 0 ? 'warning' : 'info',
+    message: `批量仿真完成: ${runs.length - failed}/${runs.length} 次成功，用时 ${batchState.result.elapsed.toFixed(1)} s`,
+    payload: { ...spec, failed }
+  });
+  return batchState.result;
+}
+
+// --- 导出 ---
+
+function exportBatchCSV(result) {
+  const { parameter } = result;
+  const metrics = Object.entries(BATCH_METRICS);
+  const headers = ['run', `${parameter.id}${parameter.unit ? ` [${parameter.unit}]` : ''}`,
+    ...metrics.map(([key, m]) => (m.unit ? `${key} [${m.unit}]` : key)), 'error'];
+  const rows = result.runs.map(run => [run.run, run.value, ...metrics.map(([key]) => run[key] ?? ''), run.error || '']);
+  downloadFile(`batch_${parameter.id}.csv`, stringifyCSV(headers, rows, { bom: true }), 'text/csv;charset=utf-8;');
+}
+
+function exportBatchJSON(result) {
+  downloadFile(`batch_${result.parameter.id}.json`, JSON.stringify({ format: 'batch-result', ...result }, null, 2), 'application/json');
+}
+
+// --- 界面 ---
+
+function formatBatchValue(key, value) {
+  if (!Number.isFinite(value)) return '—';
+  return BATCH_METRICS[key].log ? value.toExponential(2) : value.toFixed(2);
+}
+
+/**
+ * 绘制参数曲线（统计量随参数取值变化）或直方图（统计量在各次仿真上的分布）
+ */
+function renderBatchChart(result, metricKey, chartType) {
+  const metric = BATCH_METRICS[metricKey];
+  const { parameter, spec } = result;
+  const ok = result.runs.filter(run => !run.error && (!metric.log || run[metricKey] > 0));
+  const metricName = metric.unit ? `${metric.label} [${metric.unit}]` : metric.label;
+  const paramName = parameter.unit ? `${parameter.label} [${parameter.unit}]` : parameter.label;
+
+  if (chartType === 'curve') {
+    const points = ok.map(run => [run.value, run[metricKey]]).sort((p, q) => p[0] - q[0]);
+    batchState.chart.setOption({
+      animation: false,
+      tooltip: { trigger: 'axis' },
+      grid: { left: 70, right: 20, top: 20, bottom: 45 },
+      xAxis: { type: spec.mode === 'log' ? 'log' : 'value', name: paramName, nameLocation: 'middle', nameGap: 28, scale: true },
+      yAxis: { type: metric.log ? 'log' : 'value', name: metricName, scale: true },
+      series: [{
+        type: BATCH_MODES[spec.mode].sweep ? 'line' : 'scatter',
+        data: points,
+        symbolSize: 5
+      }]
+    }, true);
+    return;
+  }
+
+  // 直方图：误码率按数量级分箱
+  const values = ok.map(run => (metric.log ? Math.log10(run[metricKey]) : run[metricKey]));
+  const bins = Math.max(5, Math.min(50, Math.ceil(Math.sqrt(values.length))));
+  const min = Math.min(...values);
+  const max = Math.max(...values);
+  const width = max > min ? (max - min) / bins : 1;
+  const counts = new Array(bins).fill(0);
+  values.forEach(v => { counts[Math.min(bins - 1, Math.floor((v - min) / width))]++; });
+  const labels = counts.map((_, i) => (min + (i + 0.5) * width).toFixed(2));
+  batchState.chart.setOption({
+    animation: false,
+    tooltip: { trigger: 'axis' },
+    grid: { left: 50, right: 20, top: 20, bottom: 45 },
+    xAxis: { type: 'category', data: labels, name: metric.log ? `log10(${metric.label})` : metricName, nameLocation: 'middle', nameGap: 28 },
+    yAxis: { type: 'value', name: '次数', minInterval: 1 },
+    series: [{ type: 'bar', data: counts, barCategoryGap: '5%' }]
+  }, true);
+}
+
+function renderBatchSummary(dialog, result) {
+  const tbody = dialog.querySelector('.batch-summary tbody');
+  tbody.innerHTML = '';
+  Object.entries(BATCH_METRICS).forEach(([key, metric]) => {
+    const stats = result.summary[key];
+    const tr = document.createElement('tr');
+    [metric.unit ? `${metric.label} [${metric.unit}]` : metric.label,
+      ...['mean', 'std', 'min', 'p5', 'p50', 'p95', 'max'].map(field => formatBatchValue(key, stats ? stats[field] : NaN))
+    ].forEach(text => {
+      const td = document.createElement('td');
+      td.textContent = text;
+      tr.appendChild(td);
+    });
+    tbody.appendChild(tr);
+  });
+}
+
+/**
+ * 初始化批量仿真对话框
+ */
+function initBatchControls() {
+  const dialog = document.getElementById('batch-dialog');
+  if (!dialog) return;
+  const paramSelect = dialog.querySelector('.batch-param');
+  const modeSelect = dialog.querySelector('.batch-mode');
+  const metricSelect = dialog.querySelector('.batch-metric');
+  const chartSelect = dialog.querySelector('.batch-chart-type');
+  const inputA = dialog.querySelector('.batch-a');
+  const inputB = dialog.querySelector('.batch-b');
+  const countInput = dialog.querySelector('.batch-count');
+  const status = dialog.querySelector('.batch-status');
+  const runBtn = dialog.querySelector('.btn-batch-run');
+  const stopBtn = dialog.querySelector('.btn-batch-stop');
+  const exportBtns = dialog.querySelectorAll('.btn-batch-csv, .btn-batch-json');
+  countInput.max = BATCH_MAX_RUNS;
+
+  PARAM_SCHEMA.forEach(panelDef => {
+    const group = document.createElement('optgroup');
+    group.label = panelDef.title;
+    panelDef.groups.forEach(g => g.params.forEach(def => {
+      if (def.type !== 'number') return;
+      group.appendChild(new Option(def.unit ? `${def.label} [${def.unit}]` : def.label, def.id));
+    }));
+    paramSelect.appendChild(group);
+  });
+  Object.entries(BATCH_MODES).forEach(([key, mode]) => modeSelect.appendChild(new Option(mode.label, key)));
+  Object.entries(BATCH_METRICS).forEach(([key, metric]) => metricSelect.appendChild(new Option(metric.label, key)));
+  paramSelect.value = 'pointing_rms_urad';
+
+  // 按当前面板值给出缺省区间
+  const resetRange = () => {
+    const { def, panel } = PARAM_INDEX[paramSelect.value];
+    const current = readPanelParams(panel)[def.id];
+    const mode = BATCH_MODES[modeSelect.value];
+    const unit = def.unit ? ` [${def.unit}]` : '';
+    dialog.querySelector('.batch-a-label').textContent = mode.a + unit;
+    dialog.querySelector('.batch-b-label').textContent = mode.b + unit;
+    const value = Number.isFinite(current) ? current : 0;
+    if (modeSelect.value === 'normal') {
+      inputA.value = value;
+      inputB.value = Math.abs(value) * 0.1;
+    } else {
+      inputA.value = value * 0.5;
+      inputB.value = value * 1.5;
+    }
+    chartSelect.value = mode.sweep ? 'curve' : 'histogram';
+  };
+  const redraw = () => {
+    if (batchState.result) renderBatchChart(batchState.result, metricSelect.value, chartSelect.value);
+  };
+  const setRunning = running => {
+    runBtn.disabled = running;
+    stopBtn.disabled = !running;
+    exportBtns.forEach(btn => { btn.disabled = running || !batchState.result; });
+  };
+
+  paramSelect.addEventListener('change', resetRange);
+  modeSelect.addEventListener('change', resetRange);
+  metricSelect.addEventListener('change', redraw);
+  chartSelect.addEventListener('change', redraw);
+
+  runBtn.addEventListener('click', async () => {
+    const spec = {
+      id: paramSelect.value,
+      mode: modeSelect.value,
+      a: parseFloat(inputA.value),
+      b: parseFloat(inputB.value),
+      count: Math.min(BATCH_MAX_RUNS, Math.max(1, parseInt(countInput.value, 10) || 1))
+    };
+    setRunning(true);
+    status.textContent = '准备中…';
+    try {
+      const result = await runBatch(spec, (done, total) => { status.textContent = `运行中 ${done}/${total}`; });
+      const failed = result.runs.filter(run => run.error);
+      status.textContent = `完成 ${result.runs.length - failed.length}/${result.runs.length} 次，用时 ${result.elapsed.toFixed(1)} s；` +
+        `距离取自${result.rangeSource === 'data' ? '当前数据源' : '轨道外推'}` +
+        (failed.length > 0 ? `；失败原因: ${failed[0].error}` : '');
+      renderBatchSummary(dialog, result);
+      redraw();
+    } catch (err) {
+      status.textContent = err.message;
+      publishEvent({ type: 'batch.failed', source: 'batch', severity: 'warning', message: err.message, payload: { ...spec } });
+    }
+    setRunning(false);
+  });
+  stopBtn.addEventListener('click', () => batchState.stop?.());
+  dialog.querySelector('.btn-batch-csv').addEventListener('click', () => exportBatchCSV(batchState.result));
+  dialog.querySelector('.btn-batch-json').addEventListener('click', () => exportBatchJSON(batchState.result));
+  dialog.addEventListener('close', () => batchState.stop?.());
+
+  document.getElementById('btn-batch')?.addEventListener('click', () => {
+    if (inputA.value === '') resetRange();
+    dialog.showModal();
+    if (!batchState.chart) batchState.chart = echarts.init(document.getElementById('batch-chart'));
+    batchState.chart.resize();
+    redraw();
+  });
+  setRunning(false);
+}
@@ -0,0 +1,190 @@
+// --- 地球与双星星座场景 ---
+// 在总览区绘制地球、两星轨迹、当前位置与激光视线。视线被地球或大气遮挡时变色，
+// 链路可用窗口以色带形式显示在事件时间轴上。场景时间与仿真时钟同步。
+
+const SCENE_SCALE = 1 / EARTH_RADIUS; // 场景单位：地球半径
+const TRACK_STEP = 10; // 轨迹外推步长 [s]
+const MIN_TRACK_DURATION = 6000; // 轨迹至少覆盖约一个轨道周期 [s]
+
+const LOS_STYLES = {
+  clear: { color: 0x188038, label: '视线通畅' },
+  atmosphere: { color: 0xf9ab00, label: '大气遮挡' },
+  earth: { color: 0xd93025, label: '地球遮挡' }
+};
+
+let constellation = {
+  scene: null, camera: null, renderer: null, controls: null,
+  earth: null, sat1: null, sat2: null, losLine: null, trackLines: [],
+  track: [], // 外推记录（含两星 ECI 位置）
+  windows: [] // 链路可用窗口
+};
+
+/**
+ * ECI [km]（z 轴朝北）-> 场景坐标（y 轴朝上）
+ */
+function eciToScene(r) {
+  return new THREE.Vector3(r[0] * SCENE_SCALE, r[2] * SCENE_SCALE, -r[1] * SCENE_SCALE);
+}
+
+/**
+ * 初始化总览区的 3D 场景
+ */
+function initConstellationScene() {
+  const container = document.getElementById('large-monitoring-summary');
+  if (!container) return;
+
+  constellation.scene = new THREE.Scene();
+  constellation.camera = new THREE.PerspectiveCamera(45, container.clientWidth / container.clientHeight, 0.01, 100);
+  constellation.renderer = new THREE.WebGLRenderer({ antialias: true, alpha: true });
+  constellation.renderer.setSize(container.clientWidth, container.clientHeight);
+  constellation.renderer.domElement.classList.add('constellation-canvas');
+  container.appendChild(constellation.renderer.domElement);
+
+  // 地球与经纬网格
+  constellation.earth = new THREE.Group();
+  const earthMesh = new THREE.Mesh(
+    new THREE.SphereGeometry(1, 48, 32),
+    new THREE.MeshPhongMaterial({ color: 0x1a73e8, emissive: 0x0b2a55, shininess: 10 })
+  );
+  const grid = new THREE.Mesh(
+    new THREE.SphereGeometry(1.002, 24, 12),
+    new THREE.MeshBasicMaterial({ color: 0xffffff, wireframe: true, transparent: true, opacity: 0.15 })
+  );
+  constellation.earth.add(earthMesh, grid);
+  constellation.scene.add(constellation.earth);
+
+  // 大气层（遮挡判据高度）
+  const atmosphere = new THREE.Mesh(
+    new THREE.SphereGeometry(1 + LOS_ATMOSPHERE_ALTITUDE * SCENE_SCALE, 48, 32),
+    new THREE.MeshBasicMaterial({ color: 0x8ab4f8, transparent: true, opacity: 0.15 })
+  );
+  constellation.scene.add(atmosphere);
+
+  const satGeo = new THREE.SphereGeometry(0.03, 16, 12);
+  constellation.sat1 = new THREE.Mesh(satGeo, new THREE.MeshBasicMaterial({ color: 0x188038 }));
+  constellation.sat2 = new THREE.Mesh(satGeo, new THREE.MeshBasicMaterial({ color: 0xa142f4 }));
+  constellation.scene.add(constellation.sat1, constellation.sat2);
+
+  const losGeo = new THREE.BufferGeometry().setFromPoints([new THREE.Vector3(), new THREE.Vector3()]);
+  constellation.losLine = new THREE.Line(losGeo, new THREE.LineBasicMaterial({ color: LOS_STYLES.clear.color }));
+  constellation.scene.add(constellation.losLine);
+
+  constellation.scene.add(new THREE.AmbientLight(0x404040, 2));
+  const sunLight = new THREE.DirectionalLight(0xffffff, 1);
+  sunLight.position.set(5, 3, 5);
+  constellation.scene.add(sunLight);
+
+  constellation.camera.position.set(0, 2.5, 4);
+  constellation.camera.lookAt(0, 0, 0);
+
+  constellation.controls = new THREE.OrbitControls(constellation.camera, constellation.renderer.domElement);
+  constellation.controls.enableDamping = true;
+  constellation.controls.minDistance = 1.5;
+  constellation.controls.maxDistance = 20;
+}
+
+/**
+ * 按轨道面板重新外推轨迹，重建轨迹线与链路可用窗口
+ * @param {number} startTime - 时间轴起点 [s]
+ * @param {number} endTime - 时间轴终点 [s]
+ */
+function rebuildConstellationTracks(startTime, endTime) {
+  if (!constellation.scene) return;
+
+  const params = normalizeOrbitParams(readPanelParams('panel-orbit-params'));
+  const trackEnd = Number.isFinite(endTime) ? endTime : 0;
+  constellation.track = propagateSatellitePair(params, {
+    duration: Math.max(trackEnd, MIN_TRACK_DURATION),
+    step: TRACK_STEP
+  });
+
+  constellation.trackLines.forEach(line => {
+    constellation.scene.remove(line);
+    line.geometry.dispose();
+    line.material.dispose();
+  });
+  constellation.trackLines = [['sat1_r', 0x188038], ['sat2_r', 0xa142f4]].map(([key, color]) => {
+    const points = constellation.track.map(record => eciToScene(record[key]));
+    const line = new THREE.Line(
+      new THREE.BufferGeometry().setFromPoints(points),
+      new THREE.LineBasicMaterial({ color, transparent: true, opacity: 0.5 })
+    );
+    constellation.scene.add(line);
+    return line;
+  });
+
+  const runTrack = constellation.track.filter(r => r.time >= startTime && r.time <= trackEnd);
+  constellation.windows = computeLinkAvailability(runTrack);
+  renderAvailabilityBands(startTime, endTime);
+}
+
+/**
+ * 在事件时间轴上绘制链路可用窗口
+ */
+function renderAvailabilityBands(startTime, endTime) {
+  const eventLine = document.getElementById('event-timeline');
+  if (!eventLine) return;
+
+  eventLine.querySelectorAll('.availability-band').forEach(band => band.remove());
+  if (!Number.isFinite(endTime) || endTime <= startTime) return;
+
+  const span = endTime - startTime;
+  constellation.windows.forEach(win => {
+    const band = document.createElement('div');
+    band.className = 'availability-band';
+    band.style.left = `${((win.start - startTime) / span) * 100}%`;
+    band.style.width = `${((win.end - win.start) / span) * 100}%`;
+    band.title = `链路可用 ${win.start.toFixed(0)}s – ${win.end.toFixed(0)}s`;
+    eventLine.appendChild(band);
+  });
+}
+
+/**
+ * 插值得到给定时刻的卫星位置
+ */
+function trackPositionAt(time, key) {
+  const track = constellation.track;
+  const index = findSampleIndex(track, time);
+  if (index < 0) return track.length ? track[0][key] : null;
+  const a = track[index];
+  const b = track[index + 1];
+  if (!b) return a[key];
+  const f = (time - a.time) / (b.time - a.time);
+  return a[key].map((v, i) => v + (b[key][i] - v) * f);
+}
+
+/**
+ * 将场景刷新到指定仿真时刻
+ */
+function updateConstellationScene(time) {
+  if (!constellation.renderer) return;
+
+  if (constellation.track.length > 0) {
+    const r1 = trackPositionAt(time, 'sat1_r');
+    const r2 = trackPositionAt(time, 'sat2_r');
+    const p1 = eciToScene(r1);
+    const p2 = eciToScene(r2);
+    constellation.sat1.position.copy(p1);
+    constellation.sat2.position.copy(p2);
+    // 原地更新两端点，避免每帧新建顶点缓冲
+    const position = constellation.losLine.geometry.attributes.position;
+    position.setXYZ(0, p1.x, p1.y, p1.z);
+    position.setXYZ(1, p2.x, p2.y, p2.z);
+    position.needsUpdate = true;
+    constellation.losLine.geometry.computeBoundingSphere();
+
+    const los = classifyLineOfSight(r1, r2);
+    constellation.losLine.material.color.setHex(LOS_STYLES[los].color);
+    const statusEl = document.getElementById('los-status');
+    if (statusEl) {
+      statusEl.textContent = LOS_STYLES[los].label;
+      statusEl.dataset.state = los;
+    }
+  }
+
+  // 地球自转
+  constellation.earth.rotation.y = EARTH_ROTATION_RATE * time;
+
+  constellation.controls.update();
+  constellation.renderer.render(constellation.scene, constellation.camera);
+}
@@ -0,0 +1,243 @@
+// --- CSV 读写 (RFC 4180) ---
+// 支持 UTF-8 BOM、CRLF/LF 换行、带引号字段（含逗号、换行与 "" 转义）以及按列类型转换。
+// 解析器按块接收文本，可直接消费 fetch 的 ReadableStream，不需要一次性读入整个文件。
+
+const CSV_BOM = '\ufeff';
+
+/**
+ * 解析时间戳为秒。支持 "ss.s"、"mm:ss.s" 与 "hh:mm:ss.s"。
+ * @returns {number} 秒数，无法解析时为 NaN
+ */
+function parseTimestamp(value) {
+  if (typeof value === 'number') return value;
+  const text = String(value ?? '').trim();
+  if (text === '') return NaN;
+  const parts = text.split(':');
+  if (parts.length > 3) return NaN;
+  let seconds = 0;
+  for (const part of parts) {
+    if (!/^[+-]?(\d+\.?\d*|\.\d+)$/.test(part)) return NaN;
+    seconds = seconds * 60 + parseFloat(part);
+  }
+  return seconds;
+}
+
+/**
+ * 按列类型转换单元格文本。
+ * - number: 空值与 "NaN" 转为 NaN
+ * - string: 原样保留
+ * - time:   见 parseTimestamp
+ * - auto:   形如数值（含空值/NaN）的转为数值，其余保留为字符串
+ */
+function convertCSVCell(text, type = 'auto') {
+  switch (type) {
+    case 'string':
+      return text;
+    case 'time':
+      return parseTimestamp(text);
+    case 'number': {
+      const trimmed = text.trim();
+      return trimmed === '' ? NaN : Number(trimmed);
+    }
+    default: {
+      const trimmed = text.trim();
+      if (trimmed === '' || /^nan$/i.test(trimmed)) return NaN;
+      const num = Number(trimmed);
+      return isNaN(num) ? text : num;
+    }
+  }
+}
+
+/**
+ * 创建增量 CSV 解析器。每解析出一条完整记录调用一次 onRecord(fields)。
+ * 空行会被跳过；引号内的换行属于字段内容。
+ * @param {function(string[]): void} onRecord
+ * @param {Object} [options]
+ * @param {string} [options.delimiter=',']
+ * @returns {{push: function(string): void, end: function(): void}}
+ */
+function createCSVParser(onRecord, options = {}) {
+  const delimiter = options.delimiter || ',';
+  let record = [];
+  let field = '';
+  let inQuotes = false;
+  let afterQuote = false; // 刚结束一个引号段，下一个字符若是 " 则为转义
+  let fieldQuoted = false;
+  let fieldQuotedInRecord = false; // 区分空行与只含一个 "" 字段的记录
+  let skipLF = false; // 上一个字符是 \r，紧随的 \n 不再计为新行
+  let firstChunk = true;
+
+  function endField() {
+    record.push(field);
+    field = '';
+    fieldQuoted = false;
+    afterQuote = false;
+  }
+
+  function endRecord() {
+    endField();
+    const isBlank = record.length === 1 && record[0] === '' && !fieldQuotedInRecord;
+    if (!isBlank) onRecord(record);
+    record = [];
+    fieldQuotedInRecord = false;
+  }
+
+  function push(chunk) {
+    if (firstChunk) {
+      if (chunk.startsWith(CSV_BOM)) chunk = chunk.slice(1);
+      firstChunk = false;
+    }
+
+    for (let i = 0; i < chunk.length; i++) {
+      const c = chunk[i];
+
+      if (skipLF) {
+        skipLF = false;
+        if (c === '\n') continue;
+      }
+
+      if (inQuotes) {
+        if (c === '"') {
+          inQuotes = false;
+          afterQuote = true;
+        } else {
+          field += c;
+        }
+        continue;
+      }
+
+      if (c === '"') {
+        if (afterQuote) {
+          // "" 转义：回到引号内
+          field += '"';
+          inQuotes = true;
+          afterQuote = false;
+        } else if (field === '' && !fieldQuoted) {
+          inQuotes = true;
+          fieldQuoted = true;
+          fieldQuotedInRecord = true;
+        } else {
+          // 非标准：未加引号字段中的裸引号按普通字符处理
+          field += c;
+        }
+        continue;
+      }
+
+      afterQuote = false;
+      if (c === delimiter) {
+        endField();
+      } else if (c === '\n') {
+        endRecord();
+      } else if (c === '\r') {
+        endRecord();
+        skipLF = true;
+      } else {
+        field += c;
+      }
+    }
+  }
+
+  function end() {
+    if (field !== '' || record.length > 0 || fieldQuoted) endRecord();
+  }
+
+  return { push, end };
+}
+
+/**
+ * 在记录解析器之上构造按表头命名的行对象，并按列类型转换。
+ * @param {function(Object): void} onRow
+ * @param {Object} [options]
+ * @param {Object<string, string>} [options.types] - 列名 -> 'number' | 'string' | 'time' | 'auto'
+ * @param {string} [options.defaultType='auto']
+ * @param {function(string[]): void} [options.onHeader]
+ */
+function createCSVRowParser(onRow, options = {}) {
+  const types = options.types || {};
+  const defaultType = options.defaultType || 'auto';
+  const state = { headers: null };
+
+  const parser = createCSVParser(fields => {
+    if (!state.headers) {
+      state.headers = fields.map(h => h.trim());
+      if (options.onHeader) options.onHeader(state.headers);
+      return;
+    }
+    const row = {};
+    state.headers.forEach((header, i) => {
+      row[header] = convertCSVCell(fields[i] ?? '', types[header] || defaultType);
+    });
+    onRow(row);
+  }, options);
+
+  return {
+    push: parser.push,
+    end: parser.end,
+    get headers() { return state.headers; }
+  };
+}
+
+/**
+ * 解析完整的 CSV 文本
+ * @returns {{headers: string[], rows: Object[]}}
+ */
+function parseCSV(text, options = {}) {
+  const rows = [];
+  const parser = createCSVRowParser(row => rows.push(row), options);
+  parser.push(text);
+  parser.end();
+  return { headers: parser.headers || [], rows };
+}
+
+/**
+ * 以流的方式解析 CSV（例如 fetch 返回的 response.body）
+ * @param {ReadableStream<Uint8Array>} stream
+ * @param {function(Object): void} onRow
+ * @param {Object} [options] - 同 createCSVRowParser
+ * @returns {Promise<string[]>} 表头
+ */
+async function parseCSVStream(stream, onRow, options = {}) {
+  const parser = createCSVRowParser(onRow, options);
+  const decoder = new TextDecoder('utf-8');
+  const reader = stream.getReader();
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    parser.push(decoder.decode(value, { stream: true }));
+  }
+  parser.push(decoder.decode());
+  parser.end();
+  return parser.headers || [];
+}
+
+/**
+ * 按 RFC 4180 转义单个字段。含分隔符、引号、换行或首尾空白时加引号。
+ */
+function escapeCSVField(value, delimiter = ',') {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  const needsQuotes = text.includes(delimiter) || /["\r\n]/.test(text) || text !== text.trim();
+  return needsQuotes ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * 将行数据序列化为 CSV 文本
+ * @param {string[]} headers
+ * @param {Array<Object|Array>} rows - 行对象（按表头取值）或值数组
+ * @param {Object} [options]
+ * @param {boolean} [options.bom=false] - 是否添加 UTF-8 BOM（便于 Excel 识别编码）
+ * @param {string} [options.newline='\r\n']
+ */
+function stringifyCSV(headers, rows, options = {}) {
+  const delimiter = options.delimiter || ',';
+  const newline = options.newline || '\r\n';
+  const lines = [headers.map(h => escapeCSVField(h, delimiter)).join(delimiter)];
+
+  rows.forEach(row => {
+    const values = Array.isArray(row) ? row : headers.map(h => row[h]);
+    lines.push(values.map(v => escapeCSVField(v, delimiter)).join(delimiter));
+  });
+
+  return (options.bom ? CSV_BOM : '') + lines.join(newline) + newline;
+}
@@ -0,0 +1,222 @@
+// --- 事件总线 ---
+// 各子系统的真实状态变化（参数保存、运行控制、数据加载、工况注入、阈值跨越等）统一发布为结构化事件，
+// 事件流面板订阅总线并按严重程度、来源与关键字筛选显示，日志可导出为 JSON / CSV。
+
+/**
+ * 严重程度 -> 显示名称（按级别从低到高）
+ */
+const EVENT_SEVERITIES = {
+  info: '信息',
+  warning: '警告',
+  error: '错误'
+};
+
+/**
+ * 来源子系统 -> 显示名称
+ */
+const EVENT_SOURCES = {
+  config: '参数配置',
+  scenario: '场景',
+  run: '运行控制',
+  data: '数据源',
+  stream: '实时流',
+  fault: '工况注入',
+  link: '链路状态',
+  detector: '探测器',
+  gimbal: '转台',
+  pat: '捕获跟踪',
+  batch: '批量仿真',
+  report: '运行报告',
+  compare: '运行对比',
+  alarm: '阈值告警'
+};
+
+const MAX_EVENT_LOG = 5000; // 总线保留的事件条数上限，超出后丢弃最早的事件
+const MAX_RENDERED_EVENTS = 500; // 事件流面板最多显示的条数
+
+let eventLog = [];
+let eventSeq = 0;
+const eventSubscribers = new Set();
+
+/**
+ * 发布事件
+ * @param {Object} event
+ * @param {string} event.type - 事件类型，如 'run.start'、'fault.fired'
+ * @param {string} event.source - 来源子系统（EVENT_SOURCES 的键）
+ * @param {string} event.message - 显示文本
+ * @param {string} [event.severity='info'] - EVENT_SEVERITIES 的键
+ * @param {string|null} [event.link] - 链路或终端 ID
+ * @param {Object} [event.payload] - 附加数据
+ * @param {number} [event.simTime] - 仿真时间 [s]，缺省为当前仿真时间
+ * @returns {Object} 已发布的事件
+ */
+function publishEvent({ type, source, message, severity = 'info', link = null, payload = {}, simTime = getSimulationTime() }) {
+  const event = {
+    seq: ++eventSeq,
+    timestamp: new Date().toISOString(),
+    simTime,
+    type,
+    severity,
+    source,
+    link,
+    message,
+    payload
+  };
+  eventLog.push(event);
+  if (eventLog.length > MAX_EVENT_LOG) eventLog.splice(0, eventLog.length - MAX_EVENT_LOG);
+
+  eventSubscribers.forEach(handler => {
+    try {
+      handler(event);
+    } catch (err) {
+      console.error('Event subscriber failed:', err);
+    }
+  });
+  return event;
+}
+
+/**
+ * 订阅事件
+ * @param {function(Object): void} handler
+ * @returns {function(): void} 取消订阅
+ */
+function subscribeEvents(handler) {
+  eventSubscribers.add(handler);
+  return () => eventSubscribers.delete(handler);
+}
+
+function clearEventLog() {
+  eventLog = [];
+}
+
+/**
+ * 按严重程度、来源与关键字筛选事件
+ * @param {Object[]} events
+ * @param {Object} filter
+ * @param {string} [filter.severity] - 最低严重程度，空表示全部
+ * @param {string} [filter.source] - 来源子系统，空表示全部
+ * @param {string} [filter.text] - 在文本、类型与链路 ID 中查找（不区分大小写）
+ */
+function filterEvents(events, { severity = '', source = '', text = '' } = {}) {
+  const levels = Object.keys(EVENT_SEVERITIES);
+  const minLevel = severity ? levels.indexOf(severity) : 0;
+  const needle = text.trim().toLowerCase();
+  return events.filter(event =>
+    levels.indexOf(event.severity) >= minLevel &&
+    (!source || event.source === source) &&
+    (!needle || [event.message, event.type, event.link || ''].some(s => s.toLowerCase().includes(needle))));
+}
+
+/**
+ * 导出事件日志
+ * @param {Object[]} events
+ * @param {'json'|'csv'} format
+ */
+function exportEventLog(events, format) {
+  if (format === 'json') {
+    downloadFile('event-log.json', JSON.stringify(events, null, 2), 'application/json');
+    return;
+  }
+  const headers = ['Seq', 'Timestamp', 'SimTime', 'Severity', 'Source', 'Type', 'Link', 'Message', 'Payload'];
+  const rows = events.map(e => [
+    e.seq, e.timestamp, e.simTime, e.severity, e.source, e.type, e.link || '', e.message, JSON.stringify(e.payload)
+  ]);
+  downloadFile('event-log.csv', stringifyCSV(headers, rows, { bom: true }), 'text/csv;charset=utf-8;');
+}
+
+// --- 界面 ---
+
+/**
+ * 仿真时间 -> HH:MM:SS
+ */
+function formatEventTime(simTime) {
+  if (!Number.isFinite(simTime)) return '--:--:--';
+  const date = new Date(null);
+  date.setMilliseconds(Math.max(0, simTime) * 1000);
+  return date.toISOString().substr(11, 8);
+}
+
+function renderEventEntry(event) {
+  const p = document.createElement('p');
+  p.className = `log-entry severity-${event.severity}`;
+  p.title = `${event.timestamp}  ${event.type}`;
+
+  const time = document.createElement('span');
+  time.className = 'time';
+  time.textContent = `[${formatEventTime(event.simTime)}]`;
+  const source = document.createElement('span');
+  source.className = 'log-source';
+  source.textContent = EVENT_SOURCES[event.source] || event.source;
+  p.append(time, source);
+  if (event.link) {
+    const link = document.createElement('span');
+    link.className = 'log-link';
+    link.textContent = event.link;
+    p.appendChild(link);
+  }
+  p.append(` ${event.message}`);
+  return p;
+}
+
+/**
+ * 初始化事件流面板：订阅总线，筛选、搜索、导出与清空
+ */
+function initEventLogViewer() {
+  const logBox = document.getElementById('event-stream-container');
+  if (!logBox) return;
+
+  const severitySelect = document.getElementById('log-severity-filter');
+  const sourceSelect = document.getElementById('log-source-filter');
+  const searchInput = document.getElementById('log-search');
+
+  [[severitySelect, EVENT_SEVERITIES, '全部级别'], [sourceSelect, EVENT_SOURCES, '全部来源']].forEach(([select, options, placeholder]) => {
+    if (!select) return;
+    select.innerHTML = `<option value="">${placeholder}</option>`;
+    Object.entries(options).forEach(([value, label]) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = label;
+      select.appendChild(option);
+    });
+  });
+
+  const currentFilter = () => ({
+    severity: severitySelect?.value || '',
+    source: sourceSelect?.value || '',
+    text: searchInput?.value || ''
+  });
+
+  function scrollToBottom() {
+    const container = logBox.parentElement;
+    container.scrollTop = container.scrollHeight;
+  }
+
+  function renderAll() {
+    logBox.innerHTML = '';
+    filterEvents(eventLog, currentFilter()).slice(-MAX_RENDERED_EVENTS)
+      .forEach(event => logBox.appendChild(renderEventEntry(event)));
+    scrollToBottom();
+  }
+
+  subscribeEvents(event => {
+    if (filterEvents([event], currentFilter()).length === 0) return;
+    logBox.appendChild(renderEventEntry(event));
+    while (logBox.children.length > MAX_RENDERED_EVENTS) logBox.firstChild.remove();
+    scrollToBottom();
+  });
+
+  severitySelect?.addEventListener('change', renderAll);
+  sourceSelect?.addEventListener('change', renderAll);
+  searchInput?.addEventListener('input', renderAll);
+
+  document.getElementById('btn-log-export-json')?.addEventListener('click', () =>
+    exportEventLog(filterEvents(eventLog, currentFilter()), 'json'));
+  document.getElementById('btn-log-export-csv')?.addEventListener('click', () =>
+    exportEventLog(filterEvents(eventLog, currentFilter()), 'csv'));
+  document.getElementById('btn-log-clear')?.addEventListener('click', () => {
+    clearEventLog();
+    renderAll();
+  });
+
+  renderAll();
+}
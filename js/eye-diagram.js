@@ -0,0 +1,316 @@
+// --- 眼图与星座图 ---
+// 按终端面板的调制格式与带宽 (B_mode) 合成基带波形：升余弦成形的符号序列经接收机一阶低通后，
+// 叠加按当前信噪比缩放的带限噪声。眼图将同相支路按两个符号周期折叠后以密度图显示；
+// 星座图在最佳采样点取样并给出 EVM。无噪波形与单位噪声按 (调制, 带宽) 缓存，逐帧只需按 SNR 缩放。
+
+const EYE_SAMPLES_PER_SYMBOL = 16;
+const EYE_SYMBOLS = 400;
+const EYE_ROLLOFF = 0.35; // 升余弦滚降系数
+const EYE_PULSE_SPAN = 6; // 成形脉冲单侧截断长度 [符号]
+const EYE_SEED = 0x2545f491; // 固定种子：同一 SNR 下图形不闪烁
+
+/**
+ * 各调制格式的单支路电平，hasQ 表示有正交支路
+ */
+const MODULATION_ALPHABETS = {
+  BPSK: { levels: [-1, 1], hasQ: false },
+  QPSK: { levels: [-1, 1], hasQ: true },
+  '16QAM': { levels: [-3, -1, 1, 3], hasQ: true },
+  '64QAM': { levels: [-7, -5, -3, -1, 1, 3, 5, 7], hasQ: true }
+};
+
+let eyeWaveformCache = null;
+let modulationViewKey = null; // 上次绘制的状态，未变化时跳过重绘
+
+/**
+ * 升余弦脉冲
+ * @param {number} t - 以符号周期为单位的时间
+ * @param {number} alpha - 滚降系数
+ */
+function raisedCosine(t, alpha) {
+  if (Math.abs(t) < 1e-9) return 1;
+  const edge = 1 / (2 * alpha);
+  if (Math.abs(Math.abs(t) - edge) < 1e-9) return (Math.PI / 4) * Math.sin(Math.PI * t) / (Math.PI * t);
+  return (Math.sin(Math.PI * t) / (Math.PI * t)) * Math.cos(Math.PI * alpha * t) / (1 - Math.pow(2 * alpha * t, 2));
+}
+
+/**
+ * 一阶低通（接收机带宽），原地滤波
+ */
+function lowPassInPlace(x, a) {
+  for (let n = 1; n < x.length; n++) x[n] = x[n - 1] + a * (x[n] - x[n - 1]);
+}
+
+/**
+ * 合成一路基带波形与同长度的带限单位噪声
+ * @returns {{clean: Float64Array, noise: Float64Array, symbols: number[]}}
+ */
+function synthesizeRail(levels, scale, a, channel) {
+  const N = EYE_SAMPLES_PER_SYMBOL;
+  const symbols = [];
+  for (let k = 0; k < EYE_SYMBOLS; k++) {
+    symbols.push(levels[Math.floor(seededUniform(EYE_SEED + channel, k) * levels.length)] * scale);
+  }
+
+  const clean = new Float64Array(EYE_SYMBOLS * N);
+  const pulse = [];
+  for (let n = -EYE_PULSE_SPAN * N; n <= EYE_PULSE_SPAN * N; n++) pulse.push(raisedCosine(n / N, EYE_ROLLOFF));
+  symbols.forEach((symbol, k) => {
+    pulse.forEach((p, j) => {
+      const n = k * N + j - EYE_PULSE_SPAN * N;
+      if (n >= 0 && n < clean.length) clean[n] += symbol * p;
+    });
+  });
+  lowPassInPlace(clean, a);
+
+  // 白噪声经同一低通后归一化为单位方差
+  const noise = new Float64Array(clean.length);
+  for (let n = 0; n < noise.length; n++) noise[n] = seededGaussian(EYE_SEED, n * 1e-6, channel + 2);
+  lowPassInPlace(noise, a);
+  const rms = Math.sqrt(noise.reduce((sum, v) => sum + v * v, 0) / noise.length);
+  for (let n = 0; n < noise.length; n++) noise[n] /= rms;
+
+  return { clean, noise, symbols };
+}
+
+/**
+ * 按调制格式与带宽合成（或取缓存的）双支路基带波形。
+ * 数据速率等于带宽，符号速率 = 带宽 / 每符号比特数；接收机截止频率取带宽。
+ * @param {string} modulation
+ * @param {number} bandwidth - [Hz]
+ */
+function getEyeWaveform(modulation, bandwidth) {
+  const key = `${modulation}|${bandwidth}`;
+  if (eyeWaveformCache && eyeWaveformCache.key === key) return eyeWaveformCache;
+
+  const alphabet = MODULATION_ALPHABETS[modulation] || MODULATION_ALPHABETS.QPSK;
+  const bits = MODULATION_BITS[modulation] || 2;
+  const symbolRate = bandwidth / bits;
+  const N = EYE_SAMPLES_PER_SYMBOL;
+  const a = 1 - Math.exp(-2 * Math.PI * bandwidth / (N * symbolRate));
+
+  // 归一化为单位平均符号能量
+  const railEnergy = alphabet.levels.reduce((sum, l) => sum + l * l, 0) / alphabet.levels.length;
+  const scale = 1 / Math.sqrt(railEnergy * (alphabet.hasQ ? 2 : 1));
+
+  const i = synthesizeRail(alphabet.levels, scale, a, 0);
+  // BPSK 的正交支路只有噪声
+  const q = synthesizeRail(alphabet.hasQ ? alphabet.levels : [0], scale, a, 1);
+
+  // 最佳采样相位：无噪时采样值与发送符号的误差最小（低通引入群时延）
+  let phase = 0;
+  let bestError = Infinity;
+  for (let p = 0; p < N; p++) {
+    let error = 0;
+    for (let k = EYE_PULSE_SPAN; k < EYE_SYMBOLS - EYE_PULSE_SPAN; k++) {
+      error += Math.pow(i.clean[k * N + p] - i.symbols[k], 2);
+    }
+    if (error < bestError) {
+      bestError = error;
+      phase = p;
+    }
+  }
+
+  eyeWaveformCache = {
+    key,
+    modulation,
+    hasQ: alphabet.hasQ,
+    symbolRate,
+    peak: Math.max(...alphabet.levels) * scale,
+    i,
+    q,
+    phase
+  };
+  return eyeWaveformCache;
+}
+
+/**
+ * 每支路噪声标准差：单位符号能量下 σ² = 1 / (2·SNR)
+ */
+function eyeNoiseSigma(snrDb) {
+  return Math.sqrt(1 / (2 * Math.pow(10, snrDb / 10)));
+}
+
+/**
+ * 使 canvas 像素尺寸与显示尺寸一致
+ */
+function fitCanvas(canvas) {
+  const width = Math.max(1, Math.round(canvas.clientWidth));
+  const height = Math.max(1, Math.round(canvas.clientHeight));
+  if (canvas.width !== width || canvas.height !== height) {
+    canvas.width = width;
+    canvas.height = height;
+  }
+  return { width, height };
+}
+
+/**
+ * 将命中计数以对数强度绘制为示波器风格的密度图
+ */
+function drawDensity(ctx, counts, cols, rows, width, height) {
+  let max = 0;
+  for (let n = 0; n < counts.length; n++) if (counts[n] > max) max = counts[n];
+  const image = ctx.createImageData(cols, rows);
+  const logMax = Math.log1p(max);
+  for (let n = 0; n < counts.length; n++) {
+    if (counts[n] === 0) continue;
+    const v = Math.log1p(counts[n]) / logMax;
+    image.data[n * 4] = Math.round(255 * Math.min(1, v * 1.6 - 0.4));
+    image.data[n * 4 + 1] = Math.round(255 * Math.min(1, 0.3 + v));
+    image.data[n * 4 + 2] = Math.round(80 * (1 - v));
+    image.data[n * 4 + 3] = 255;
+  }
+  const buffer = document.createElement('canvas');
+  buffer.width = cols;
+  buffer.height = rows;
+  buffer.getContext('2d').putImageData(image, 0, 0);
+  ctx.imageSmoothingEnabled = true;
+  ctx.drawImage(buffer, 0, 0, width, height);
+}
+
+function drawPlotLabels(ctx, title, lines, width) {
+  ctx.fillStyle = '#888';
+  ctx.font = '10px sans-serif';
+  ctx.textAlign = 'left';
+  ctx.fillText(title, 5, 12);
+  ctx.textAlign = 'right';
+  lines.forEach((line, n) => ctx.fillText(line, width - 5, 12 + n * 12));
+}
+
+function drawNoSignal(canvas, title, text) {
+  const { width, height } = fitCanvas(canvas);
+  const ctx = canvas.getContext('2d');
+  ctx.clearRect(0, 0, width, height);
+  drawPlotLabels(ctx, title, [], width);
+  ctx.fillStyle = '#d93025';
+  ctx.font = '12px sans-serif';
+  ctx.textAlign = 'center';
+  ctx.fillText(text, width / 2, height / 2);
+}
+
+/**
+ * 绘制眼图：同相支路按两个符号周期折叠，采样点居中
+ */
+function renderEyeDiagram(canvas, wave, sigma, info) {
+  const { width, height } = fitCanvas(canvas);
+  const ctx = canvas.getContext('2d');
+  ctx.clearRect(0, 0, width, height);
+
+  const N = EYE_SAMPLES_PER_SYMBOL;
+  const cols = 2 * N * 4; // 相邻采样间线性插值 4 点
+  const rows = 96;
+  const yMax = wave.peak * 1.8;
+  const counts = new Uint32Array(cols * rows);
+  const { clean, noise } = wave.i;
+
+  for (let k = EYE_PULSE_SPAN; k < EYE_SYMBOLS - EYE_PULSE_SPAN - 2; k++) {
+    const start = k * N + wave.phase - N / 2;
+    for (let s = 0; s < 2 * N; s++) {
+      const y0 = clean[start + s] + sigma * noise[start + s];
+      const y1 = clean[start + s + 1] + sigma * noise[start + s + 1];
+      for (let sub = 0; sub < 4; sub++) {
+        const y = y0 + (y1 - y0) * sub / 4;
+        const row = Math.floor((1 - (y + yMax) / (2 * yMax)) * rows);
+        if (row >= 0 && row < rows) counts[row * cols + s * 4 + sub]++;
+      }
+    }
+  }
+  drawDensity(ctx, counts, cols, rows, width, height);
+
+  // 最佳采样时刻
+  ctx.strokeStyle = 'rgba(255, 255, 255, 0.15)';
+  ctx.setLineDash([3, 3]);
+  ctx.beginPath();
+  ctx.moveTo(width / 4, 0); ctx.lineTo(width / 4, height);
+  ctx.moveTo(width * 3 / 4, 0); ctx.lineTo(width * 3 / 4, height);
+  ctx.stroke();
+  ctx.setLineDash([]);
+
+  drawPlotLabels(ctx, `眼图 · ${info.modulation}${wave.hasQ ? ' (I 路)' : ''}`, [
+    `SNR ${info.snrDb.toFixed(1)} dB`,
+    `UI ${(1e12 / wave.symbolRate).toFixed(0)} ps`
+  ], width);
+}
+
+/**
+ * 绘制星座图并返回实测 EVM [%]
+ */
+function renderConstellation(canvas, wave, sigma, info) {
+  const { width, height } = fitCanvas(canvas);
+  const ctx = canvas.getContext('2d');
+  ctx.clearRect(0, 0, width, height);
+
+  const N = EYE_SAMPLES_PER_SYMBOL;
+  const size = Math.min(width, height) - 20;
+  const cx = width / 2;
+  const cy = height / 2 + 6;
+  const span = wave.peak * 1.8;
+  const toX = v => cx + (v / span) * size / 2;
+  const toY = v => cy - (v / span) * size / 2;
+
+  ctx.strokeStyle = '#222';
+  ctx.beginPath();
+  ctx.moveTo(cx - size / 2, cy); ctx.lineTo(cx + size / 2, cy);
+  ctx.moveTo(cx, cy - size / 2); ctx.lineTo(cx, cy + size / 2);
+  ctx.stroke();
+
+  let errorPower = 0;
+  let symbolPower = 0;
+  let count = 0;
+  ctx.fillStyle = 'rgba(26, 115, 232, 0.5)';
+  for (let k = EYE_PULSE_SPAN; k < EYE_SYMBOLS - EYE_PULSE_SPAN; k++) {
+    const n = k * N + wave.phase;
+    const iValue = wave.i.clean[n] + sigma * wave.i.noise[n];
+    const qValue = wave.q.clean[n] + sigma * wave.q.noise[n];
+    const iRef = wave.i.symbols[k];
+    const qRef = wave.q.symbols[k];
+    errorPower += Math.pow(iValue - iRef, 2) + Math.pow(qValue - qRef, 2);
+    symbolPower += iRef * iRef + qRef * qRef;
+    count++;
+    ctx.fillRect(toX(iValue) - 1, toY(qValue) - 1, 2, 2);
+  }
+
+  const evm = Math.sqrt(errorPower / symbolPower) * 100;
+  drawPlotLabels(ctx, `星座图 · ${info.modulation}`, [
+    `EVM ${evm.toFixed(1)}%`,
+    `BER ${info.ber.toExponential(1)}`
+  ], width);
+  return count > 0 ? evm : NaN;
+}
+
+/**
+ * 按当前采样的信噪比刷新眼图与星座图（状态未变化时跳过）
+ * @param {Object} sample - 当前采样（已叠加工况）
+ * @param {Object|null} budget - 本地链路预算
+ */
+function updateModulationViews(sample, budget) {
+  const eyeCanvas = document.getElementById('canvas-eye');
+  const constellationCanvas = document.getElementById('canvas-constellation');
+  if (!eyeCanvas || !constellationCanvas) return;
+
+  const terminal = readPanelParams('panel-terminal-params');
+  const bandwidth = BANDWIDTH_MODES[terminal.B_mode] || parseFloat(terminal.B_mode) * 1e9;
+  const snrDb = Number.isFinite(sample.snr_db) ? sample.snr_db : budget && budget.snr_db;
+  const linkDown = sample.link_up === 0 || !Number.isFinite(snrDb);
+
+  const key = [terminal.modulation, bandwidth, linkDown ? 'down' : snrDb.toFixed(1),
+    eyeCanvas.clientWidth, eyeCanvas.clientHeight, constellationCanvas.clientWidth, constellationCanvas.clientHeight].join('|');
+  if (key === modulationViewKey) return;
+  modulationViewKey = key;
+
+  if (linkDown || !(bandwidth > 0)) {
+    drawNoSignal(eyeCanvas, '眼图', '无信号');
+    drawNoSignal(constellationCanvas, '星座图', '无信号');
+    return;
+  }
+
+  const wave = getEyeWaveform(terminal.modulation, bandwidth);
+  const sigma = eyeNoiseSigma(snrDb);
+  const info = {
+    modulation: terminal.modulation,
+    snrDb,
+    ber: berForModulation(terminal.modulation, Math.pow(10, snrDb / 10))
+  };
+  renderEyeDiagram(eyeCanvas, wave, sigma, info);
+  renderConstellation(constellationCanvas, wave, sigma, info);
+}
@@ -0,0 +1,681 @@
+// --- 工况注入 ---
+// 每个注入的工况是 { type, start, duration, params, seed }，扰动模型是时间的纯函数：
+// 同一数据、同一组工况在任意时刻得到相同的扰动结果，因此保存工况列表即可精确回放一次运行。
+// 扰动在渲染时逐采样叠加到数据源记录上，原始数据 (simulationData) 保持不变。
+
+const FAULT_RECORDING_FORMAT = 'fault-recording';
+const FAULT_RECORDING_VERSION = 1;
+const DB_PER_NEPER_POWER = 10 * Math.LOG10E; // 10·log10(e)，功率指数衰减 -> dB
+const JITTER_SPOT2_KEY = 0x5b2; // 派生终端 2 抖动种子的键
+
+const durationParam = (type, value) =>
+  num(`${type}_duration`, '持续时间', 's', { units: ['s', 'ms'], default: value, exclusiveMin: 0 });
+
+/**
+ * 工况类型。params 为对话框中的参数定义（同 PARAM_SCHEMA），
+ * apply(effect, fault, tau, ctx) 将 fault 在其开始后 tau 秒的作用累加到 effect。
+ */
+const FAULT_TYPES = {
+  linkDrop: {
+    label: '断链',
+    params: [durationParam('linkDrop', 30)],
+    apply(effect, fault, tau) {
+      if (tau <= fault.duration) effect.linkDown = true;
+    }
+  },
+  jitter: {
+    label: '抖动',
+    params: [
+      durationParam('jitter', 60),
+      num('jitter_amplitude', '振动幅度 (RMS)', 'μrad', { units: ['μrad', 'mrad'], default: 5, min: 0 }),
+      num('jitter_frequency', '主频', 'Hz', { default: 2, exclusiveMin: 0 }),
+      num('jitter_noise', '宽带噪声 (RMS)', 'μrad', { units: ['μrad', 'mrad'], default: 1, min: 0 })
+    ],
+    apply(effect, fault, tau, ctx, time) {
+      if (tau > fault.duration) return;
+      const { jitter_amplitude: amp, jitter_frequency: freq, jitter_noise: noise } = fault.params;
+      const phase = 2 * Math.PI * freq * tau;
+      // 两轴正弦振动（相位由种子决定）叠加确定性白噪声；终端 2 的光斑用由种子派生的独立种子
+      const axis = (seed, key) => amp * Math.SQRT2 * Math.sin(phase + seededUniform(seed, key) * 2 * Math.PI) +
+        noise * seededGaussian(seed, time, key + 1);
+      const seed2 = hashSeed(fault.seed, JITTER_SPOT2_KEY);
+      effect.pointingAz += axis(fault.seed, 0);
+      effect.pointingEl += axis(fault.seed, 1);
+      effect.spot2Az += axis(seed2, 0);
+      effect.spot2El += axis(seed2, 1);
+    }
+  },
+  bias: {
+    label: '误差',
+    params: [
+      durationParam('bias', 60),
+      num('bias_az', '方位指向偏差', 'μrad', { units: ['μrad', 'mrad'], default: 3 }),
+      num('bias_el', '俯仰指向偏差', 'μrad', { units: ['μrad', 'mrad'], default: 0 })
+    ],
+    apply(effect, fault, tau) {
+      if (tau > fault.duration) return;
+      effect.pointingAz += fault.params.bias_az;
+      effect.pointingEl += fault.params.bias_el;
+    }
+  },
+  environment: {
+    label: '环境',
+    params: [
+      durationParam('environment', 60),
+      num('environment_loss', '附加衰减', 'dB', { default: 3, min: 0 })
+    ],
+    apply(effect, fault, tau) {
+      if (tau <= fault.duration) effect.extraLossDb += fault.params.environment_loss;
+    }
+  },
+  attitude: {
+    label: '姿态',
+    params: [
+      durationParam('attitude', 10),
+      num('attitude_az', '方位机动角', 'deg', { units: ['deg', 'rad'], default: 0.1 }),
+      num('attitude_el', '俯仰机动角', 'deg', { units: ['deg', 'rad'], default: 0 })
+    ],
+    apply(effect, fault, tau, ctx) {
+      // 平台按余弦加减速完成机动，之后保持新姿态；终端反向转动以维持惯性指向，
+      // 粗瞄以更新周期 T_cp 的滞后跟随，残余跟踪误差 ≈ 角速度 × T_cp
+      const d = fault.duration;
+      const progress = tau >= d ? 1 : (1 - Math.cos(Math.PI * tau / d)) / 2;
+      const rate = tau >= d ? 0 : Math.PI / (2 * d) * Math.sin(Math.PI * tau / d);
+      const { attitude_az: az, attitude_el: el } = fault.params;
+      effect.attitudeAz += az * progress;
+      effect.attitudeEl += el * progress;
+      effect.pointingAz += az * (Math.PI / 180) * rate * ctx.coarseLag * 1e6;
+      effect.pointingEl += el * (Math.PI / 180) * rate * ctx.coarseLag * 1e6;
+    }
+  },
+  orbit: {
+    label: '轨道',
+    params: [
+      durationParam('orbit', 20),
+      num('orbit_dv', '视线方向速度增量 Δv（正值远离）', 'm/s', { units: ['m/s', 'km/s'], default: 2 })
+    ],
+    apply(effect, fault, tau) {
+      // 匀加速变轨：点火期间 Δr = a·τ²/2，之后以 Δv 匀速漂移（短时段内忽略轨道动力学耦合）
+      const d = fault.duration;
+      const dv = fault.params.orbit_dv;
+      const accel = dv / d;
+      const dr = tau < d ? 0.5 * accel * tau * tau : dv * (tau - d / 2);
+      effect.rangeOffset += dr / 1000;
+      effect.rangeRate += tau < d ? accel * tau : dv;
+    }
+  }
+};
+
+Object.entries(FAULT_TYPES).forEach(([type, faultType]) => {
+  registerParamDefs(`fault-${type}`, faultType.label, faultType.params);
+});
+
+/**
+ * 已注入的工况（按开始时间排序）
+ */
+let injectedFaults = [];
+
+// --- 确定性随机数 ---
+
+function hashSeed(seed, key) {
+  let h = (seed ^ Math.imul(key | 0, 0x9e3779b1)) >>> 0;
+  h = Math.imul(h ^ (h >>> 16), 0x85ebca6b);
+  h = Math.imul(h ^ (h >>> 13), 0xc2b2ae35);
+  return (h ^ (h >>> 16)) >>> 0;
+}
+
+/**
+ * [0, 1) 均匀分布，由 (seed, key) 唯一确定
+ */
+function seededUniform(seed, key) {
+  return hashSeed(seed, key) / 4294967296;
+}
+
+/**
+ * 标准正态分布，由 (seed, 时间, 通道) 唯一确定（时间按微秒取整）
+ */
+function seededGaussian(seed, time, channel) {
+  const key = Math.round(time * 1e6) * 4 + channel;
+  const u1 = Math.max(seededUniform(seed, key), 1e-12);
+  const u2 = seededUniform(seed ^ 0x5bd1e995, key);
+  return Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
+}
+
+// --- 扰动模型 ---
+
+/**
+ * 读取扰动模型所需的面板参数
+ */
+function createFaultContext() {
+  const terminal = normalizeTerminalParams(readPanelParams('panel-terminal-params'));
+  const device = readPanelParams('panel-device-params');
+  return {
+    pointingCoeff: pointingLossCoefficient(terminal.divergence),
+    wavelength: terminal.wavelength,
+    modulation: terminal.modulation,
+    coarseLag: device.T_cp > 0 ? device.T_cp : 0,
+    fov: device.FOV_D > 0 ? device.FOV_D : NaN
+  };
+}
+
+/**
+ * 汇总给定时刻所有工况的作用
+ */
+function computeFaultEffect(faults, time, ctx) {
+  const effect = {
+    linkDown: false,
+    extraLossDb: 0,
+    pointingAz: 0, // 附加指向/跟踪误差 [μrad]
+    pointingEl: 0,
+    spot2Az: 0, // 终端 2 光斑的附加偏差 [μrad]
+    spot2El: 0,
+    attitudeAz: 0, // 平台姿态变化 [deg]
+    attitudeEl: 0,
+    rangeOffset: 0, // [km]
+    rangeRate: 0, // [m/s]
+    active: false
+  };
+  faults.forEach(fault => {
+    const tau = time - fault.start;
+    if (tau < 0) return;
+    FAULT_TYPES[fault.type].apply(effect, fault, tau, ctx, time);
+    effect.active = true;
+  });
+  return effect;
+}
+
+/**
+ * 对单个采样叠加工况扰动
+ * @param {Object|null} sample - 数据源记录或插值结果
+ * @param {Object[]} faults
+ * @param {Object} ctx - createFaultContext 的结果
+ * @returns {Object|null} 扰动后的副本；无工况作用时返回原对象
+ */
+function perturbSample(sample, faults, ctx) {
+  if (!sample || faults.length === 0) return sample;
+  const effect = computeFaultEffect(faults, sample.time, ctx);
+  if (!effect.active) return sample;
+
+  const out = { ...sample };
+  let lossDb = effect.extraLossDb;
+
+  // 几何：距离、时延、多普勒
+  if (effect.rangeOffset !== 0 && Number.isFinite(out.range_km)) {
+    const range = out.range_km + effect.rangeOffset;
+    const spreadDb = 20 * Math.log10(range / out.range_km);
+    lossDb += spreadDb;
+    if (Number.isFinite(out.free_space_loss_db)) out.free_space_loss_db -= spreadDb;
+    if (Number.isFinite(out.latency_ms)) out.latency_ms += effect.rangeOffset / (LIGHT_SPEED / 1e3) * 1e3;
+    out.range_km = range;
+  }
+  if (effect.rangeRate !== 0 && Number.isFinite(out.doppler_ghz)) {
+    // 距离增大时接收频率降低
+    out.doppler_ghz -= effect.rangeRate / ctx.wavelength / 1e9;
+  }
+
+  // 指向误差造成的远场强度下降 exp(-k·θ²)
+  const thetaSq = (effect.pointingAz * effect.pointingAz + effect.pointingEl * effect.pointingEl) * 1e-12;
+  lossDb += DB_PER_NEPER_POWER * ctx.pointingCoeff * thetaSq;
+
+  if (effect.pointingAz !== 0 || effect.pointingEl !== 0) {
+    out.track_err_az_urad = (Number.isFinite(out.track_err_az_urad) ? out.track_err_az_urad : 0) + effect.pointingAz;
+    out.track_err_el_urad = (Number.isFinite(out.track_err_el_urad) ? out.track_err_el_urad : 0) + effect.pointingEl;
+    // 光斑坐标以探测器视场半径归一化
+    const dx = effect.pointingAz * 1e-6 / ctx.fov;
+    const dy = effect.pointingEl * 1e-6 / ctx.fov;
+    if (Number.isFinite(out.spot1_x) && Number.isFinite(dx)) {
+      out.spot1_x += dx;
+      out.spot1_y += dy;
+    }
+  }
+  if (effect.spot2Az !== 0 || effect.spot2El !== 0) {
+    out.track2_err_az_urad = (Number.isFinite(out.track2_err_az_urad) ? out.track2_err_az_urad : 0) + effect.spot2Az;
+    out.track2_err_el_urad = (Number.isFinite(out.track2_err_el_urad) ? out.track2_err_el_urad : 0) + effect.spot2El;
+    const dx = effect.spot2Az * 1e-6 / ctx.fov;
+    const dy = effect.spot2El * 1e-6 / ctx.fov;
+    if (Number.isFinite(out.spot2_x) && Number.isFinite(dx)) {
+      out.spot2_x += dx;
+      out.spot2_y += dy;
+    }
+  }
+
+  // 终端 1 所在平台机动，万向架反向转动
+  if (Number.isFinite(out.az1)) out.az1 -= effect.attitudeAz;
+  if (Number.isFinite(out.el1)) out.el1 -= effect.attitudeEl;
+
+  if (lossDb !== 0) {
+    if (Number.isFinite(out.rx_power_dbm)) out.rx_power_dbm -= lossDb;
+    if (Number.isFinite(out.link_margin_db)) out.link_margin_db -= lossDb;
+    if (Number.isFinite(out.link_loss)) out.link_loss += lossDb;
+    if (Number.isFinite(out.snr_db)) {
+      // 热噪声受限：电信噪比与光功率平方成正比
+      out.snr_db -= 2 * lossDb;
+      out.ber = berForModulation(ctx.modulation, Math.pow(10, out.snr_db / 10));
+    }
+  }
+
+  if (effect.linkDown) {
+    out.ber = 0.5;
+    out.snr_db = NaN;
+    out.rx_power_dbm = NaN;
+    out.link_margin_db = NaN;
+    if (Number.isFinite(out.data_rate_gbps)) out.data_rate_gbps = 0;
+  }
+  out.link_up = effect.linkDown ? 0 : 1;
+  return out;
+}
+
+/**
+ * 对整段记录叠加扰动（用于导出扰动后的数据流）
+ */
+function perturbRecords(records, faults, ctx) {
+  return records.map(record => perturbSample(record, faults, ctx));
+}
+
+// --- 工况列表 ---
+// 对计划的增删改均发布到事件总线（'fault.*'），场景加载与回放整体替换计划时不逐条发布。
+
+/**
+ * 工况的简短描述，用于事件文本
+ */
+function describeFault(fault) {
+  return `${FAULT_TYPES[fault.type].label} @ ${fault.start.toFixed(1)}s (${fault.duration}s)`;
+}
+
+/**
+ * 注入工况
+ * @param {string} type - FAULT_TYPES 的键
+ * @param {number} start - 开始时间 [s]
+ * @param {Object} params - 参数（标称单位）
+ * @param {number} [seed] - 随机种子，缺省时随机生成
+ */
+function injectFault(type, start, params, seed = Math.floor(Math.random() * 4294967296)) {
+  const fault = {
+    id: `${type}-${Date.now().toString(36)}-${injectedFaults.length}`,
+    type,
+    start,
+    duration: params[`${type}_duration`],
+    params,
+    seed
+  };
+  injectedFaults.push(fault);
+  injectedFaults.sort((a, b) => a.start - b.start);
+  publishEvent({ type: 'fault.scheduled', source: 'fault', message: `安排工况 ${describeFault(fault)}`, payload: { ...fault } });
+  return fault;
+}
+
+/**
+ * 修改已注入的工况，保留 id 与随机种子
+ * @param {string} id
+ * @param {{start?: number, params?: Object}} changes
+ */
+function updateFault(id, changes) {
+  const fault = injectedFaults.find(f => f.id === id);
+  if (!fault) return null;
+  if (changes.start !== undefined) fault.start = changes.start;
+  if (changes.params) {
+    fault.params = changes.params;
+    fault.duration = changes.params[`${fault.type}_duration`];
+  }
+  injectedFaults.sort((a, b) => a.start - b.start);
+  publishEvent({ type: 'fault.updated', source: 'fault', message: `修改工况 ${describeFault(fault)}`, payload: { ...fault } });
+  return fault;
+}
+
+function removeFault(id) {
+  const fault = injectedFaults.find(f => f.id === id);
+  if (!fault) return;
+  injectedFaults = injectedFaults.filter(f => f.id !== id);
+  publishEvent({ type: 'fault.removed', source: 'fault', message: `删除工况 ${describeFault(fault)}`, payload: { id } });
+}
+
+function clearFaults() {
+  const count = injectedFaults.length;
+  injectedFaults = [];
+  publishEvent({ type: 'fault.cleared', source: 'fault', message: `清除全部 ${count} 个工况` });
+}
+
+/**
+ * 导出用的工况计划（不含运行时状态）
+ */
+function serializeFaultSchedule() {
+  return injectedFaults.map(({ id, type, start, duration, params, seed }) => ({ id, type, start, duration, params: { ...params }, seed }));
+}
+
+/**
+ * 以给定计划替换当前工况列表（场景加载、回放）
+ */
+function setFaultSchedule(faults) {
+  injectedFaults = faults
+    .filter(f => FAULT_TYPES[f.type])
+    .map(f => ({ ...f, params: { ...f.params } }))
+    .sort((a, b) => a.start - b.start);
+}
+
+/**
+ * 生成回放记录：工况列表 + 当时的参数场景 + 数据源
+ */
+function buildFaultRecording() {
+  return {
+    format: FAULT_RECORDING_FORMAT,
+    version: FAULT_RECORDING_VERSION,
+    recordedAt: new Date().toISOString(),
+    sourceId: resultSourceId,
+    scenario: buildScenario('fault-recording'),
+    faults: serializeFaultSchedule()
+  };
+}
+
+/**
+ * 解析并校验回放记录
+ */
+function parseFaultRecording(text) {
+  const recording = JSON.parse(text);
+  if (!recording || recording.format !== FAULT_RECORDING_FORMAT) throw new Error('文件不是工况回放记录');
+  if (!(recording.version >= 1 && recording.version <= FAULT_RECORDING_VERSION)) {
+    throw new Error(`不支持的记录版本: ${recording.version}`);
+  }
+  if (!Array.isArray(recording.faults) || recording.faults.some(f => !FAULT_TYPES[f.type])) {
+    throw new Error('记录中的工况列表无效');
+  }
+  return recording;
+}
+
+// --- 界面 ---
+
+const FAULT_START_PARAM = num('fault_start', '开始时间', 's', { default: 0, min: 0 });
+registerParamDefs('fault-dialog', '工况注入', [FAULT_START_PARAM]);
+
+let editingFaultId = null; // 对话框正在编辑的工况，新建时为 null
+let lastFaultType = 'linkDrop'; // 在时间轴上双击新建时使用的类型
+
+/**
+ * 按类型生成对话框中的参数字段
+ * @param {string} type
+ * @param {number} start - 开始时间 [s]
+ * @param {Object} [params] - 已有参数（编辑时）
+ */
+function renderFaultDialogFields(type, start, params = null) {
+  const body = document.querySelector('#fault-dialog .fault-dialog-body');
+  body.innerHTML = '';
+  [FAULT_START_PARAM, ...FAULT_TYPES[type].params].forEach(def => {
+    const field = renderParamField(def);
+    body.appendChild(field);
+    if (params && params[def.id] !== undefined) writeParamInput(field.querySelector('[data-param]'), params[def.id]);
+  });
+  writeParamInput(body.querySelector('[data-param="fault_start"]'), start);
+}
+
+/**
+ * 打开工况对话框：新建（可预先安排在未来时刻）或编辑已有工况
+ * @param {string} type - FAULT_TYPES 的键
+ * @param {Object} [options]
+ * @param {Object} [options.fault] - 要编辑的工况
+ * @param {number} [options.start] - 新建工况的开始时间，缺省为当前仿真时间
+ */
+function openFaultDialog(type, { fault = null, start = getSimulationTime() } = {}) {
+  const dialog = document.getElementById('fault-dialog');
+  if (!FAULT_TYPES[type] || !dialog) return;
+
+  editingFaultId = fault ? fault.id : null;
+  lastFaultType = type;
+  const typeSelect = dialog.querySelector('.fault-dialog-type');
+  typeSelect.value = type;
+  typeSelect.disabled = !!fault;
+  renderFaultDialogFields(type, fault ? fault.start : start, fault ? fault.params : null);
+
+  dialog.querySelector('.fault-dialog-title').textContent = fault ? '编辑工况' : '工况注入';
+  dialog.querySelector('button[value="delete"]').hidden = !fault;
+  dialog.returnValue = '';
+  dialog.showModal();
+}
+
+/**
+ * 事件时间轴的时间范围（跟随仿真时钟：数据时长或器件面板的 T_stop）
+ * @returns {{start: number, span: number}|null}
+ */
+function faultTimelineRange() {
+  const start = simClock.startTime;
+  const span = simClock.endTime - start;
+  return Number.isFinite(span) && span > 0 ? { start, span } : null;
+}
+
+/**
+ * 时间轴上的横坐标 -> 仿真时间（按 0.1 s 取整）
+ */
+function timeAtTimelineX(eventLine, clientX) {
+  const range = faultTimelineRange();
+  const rect = eventLine.getBoundingClientRect();
+  const fraction = Math.max(0, Math.min(1, (clientX - rect.left) / rect.width));
+  return Math.round((range.start + fraction * range.span) * 10) / 10;
+}
+
+function positionFaultElements(eventLine, fault, range) {
+  const left = `${((fault.start - range.start) / range.span) * 100}%`;
+  eventLine.querySelectorAll(`[data-fault-id="${fault.id}"]`).forEach(el => {
+    el.style.left = left;
+    if (el.classList.contains('fault-band')) el.style.width = `${(fault.duration / range.span) * 100}%`;
+  });
+}
+
+/**
+ * 在事件时间轴上绘制工况计划（起点标记 + 持续区间）
+ */
+function renderFaultBands() {
+  const eventLine = document.getElementById('event-timeline');
+  if (!eventLine) return;
+  eventLine.querySelectorAll('.fault-band, .fault-marker').forEach(el => el.remove());
+
+  const range = faultTimelineRange();
+  const endLabel = document.getElementById('event-timeline-end');
+  if (endLabel) endLabel.textContent = range ? `${(range.start + range.span).toFixed(1)}s` : '--';
+  if (!range) return;
+
+  injectedFaults.forEach(fault => {
+    const label = describeFault(fault);
+
+    const band = document.createElement('div');
+    band.className = 'fault-band';
+    band.dataset.faultId = fault.id;
+    band.title = label;
+    eventLine.appendChild(band);
+
+    const marker = document.createElement('div');
+    marker.className = 'event-marker fault-marker';
+    marker.classList.toggle('fired', !!fault.fired);
+    marker.dataset.faultId = fault.id;
+    marker.setAttribute('data-label', label);
+    eventLine.appendChild(marker);
+
+    positionFaultElements(eventLine, fault, range);
+  });
+}
+
+/**
+ * 随时钟推进触发计划中的工况：时钟越过开始时间即视为触发，回拨时间后恢复为待触发（触发事件不重复发布）
+ * @param {number} time - 当前仿真时间 [s]
+ */
+function updateScheduledFaults(time) {
+  injectedFaults.forEach(fault => {
+    const fired = time >= fault.start;
+    if (fired === !!fault.fired) return;
+    fault.fired = fired;
+    // 每个开始时刻只发布一次：来回拖动时间轴越过开始时刻不重复发布，修改开始时间后重新发布
+    if (fired && fault.publishedStart !== fault.start) {
+      fault.publishedStart = fault.start;
+      publishEvent({
+        type: 'fault.fired',
+        source: 'fault',
+        severity: 'warning',
+        message: `工况触发: ${describeFault(fault)}`,
+        payload: { id: fault.id, type: fault.type, params: { ...fault.params } },
+        simTime: time
+      });
+    }
+    document.querySelector(`.fault-marker[data-fault-id="${fault.id}"]`)?.classList.toggle('fired', fired);
+  });
+}
+
+/**
+ * 时间轴交互：拖动标记改期，单击编辑，右键删除，双击空白处新建
+ */
+function initFaultTimeline() {
+  const eventLine = document.getElementById('event-timeline');
+  if (!eventLine) return;
+
+  eventLine.addEventListener('pointerdown', e => {
+    const marker = e.target.closest('.fault-marker');
+    const fault = marker && injectedFaults.find(f => f.id === marker.dataset.faultId);
+    const range = faultTimelineRange();
+    if (!fault || !range || e.button !== 0) return;
+
+    e.preventDefault();
+    const downX = e.clientX;
+    let moved = false;
+    marker.setPointerCapture(e.pointerId);
+
+    const onMove = ev => {
+      if (Math.abs(ev.clientX - downX) > 3) moved = true;
+      if (!moved) return;
+      fault.start = timeAtTimelineX(eventLine, ev.clientX);
+      positionFaultElements(eventLine, fault, range);
+    };
+    const onUp = () => {
+      marker.removeEventListener('pointermove', onMove);
+      if (moved) {
+        updateFault(fault.id, { start: fault.start });
+        renderFaultBands();
+      } else {
+        openFaultDialog(fault.type, { fault });
+      }
+    };
+    marker.addEventListener('pointermove', onMove);
+    marker.addEventListener('pointerup', onUp, { once: true });
+  });
+
+  eventLine.addEventListener('contextmenu', e => {
+    const marker = e.target.closest('.fault-marker');
+    if (!marker) return;
+    e.preventDefault();
+    const fault = injectedFaults.find(f => f.id === marker.dataset.faultId);
+    if (fault && confirm(`删除工况 "${FAULT_TYPES[fault.type].label} @ ${fault.start.toFixed(1)}s"？`)) {
+      removeFault(fault.id);
+      renderFaultBands();
+    }
+  });
+
+  eventLine.addEventListener('dblclick', e => {
+    if (e.target.closest('.fault-marker') || !faultTimelineRange()) return;
+    openFaultDialog(lastFaultType, { start: timeAtTimelineX(eventLine, e.clientX) });
+  });
+}
+
+/**
+ * 初始化工况对话框、时间轴交互与回放记录控件
+ */
+function initFaultControls() {
+  const dialog = document.getElementById('fault-dialog');
+  if (dialog) {
+    const form = dialog.querySelector('form');
+    const typeSelect = dialog.querySelector('.fault-dialog-type');
+    Object.entries(FAULT_TYPES).forEach(([type, faultType]) => {
+      const option = document.createElement('option');
+      option.value = type;
+      option.textContent = faultType.label;
+      typeSelect.appendChild(option);
+    });
+    typeSelect.addEventListener('change', () => {
+      const start = readParamInput(form.querySelector('[data-param="fault_start"]'));
+      lastFaultType = typeSelect.value;
+      renderFaultDialogFields(typeSelect.value, Number.isFinite(start) ? start : getSimulationTime());
+    });
+
+    form.addEventListener('input', e => {
+      const group = e.target.closest('.form-group[data-param-id]');
+      if (group) validateParamField(group);
+    });
+    form.addEventListener('submit', e => {
+      if (e.submitter && e.submitter.value !== 'confirm') return;
+      let valid = true;
+      form.querySelectorAll('.form-group[data-param-id]').forEach(group => {
+        if (!validateParamField(group)) valid = false;
+      });
+      if (!valid) e.preventDefault();
+    });
+    dialog.addEventListener('close', () => {
+      if (dialog.returnValue === 'delete' && editingFaultId) {
+        removeFault(editingFaultId);
+        renderFaultBands();
+        return;
+      }
+      if (dialog.returnValue !== 'confirm') return;
+
+      const params = {};
+      form.querySelectorAll('.fault-dialog-body [data-param]').forEach(el => {
+        params[el.dataset.param] = readParamInput(el);
+      });
+      const start = params.fault_start;
+      delete params.fault_start;
+      if (editingFaultId) {
+        updateFault(editingFaultId, { start, params });
+      } else {
+        injectFault(typeSelect.value, start, params);
+      }
+      renderFaultBands();
+    });
+  }
+
+  initFaultTimeline();
+
+  const fileInput = document.getElementById('fault-recording-input');
+
+  document.getElementById('btn-fault-export')?.addEventListener('click', () => {
+    if (injectedFaults.length === 0) {
+      alert('尚未注入任何工况。');
+      return;
+    }
+    downloadFile('fault-recording.json', JSON.stringify(buildFaultRecording(), null, 2), 'application/json');
+
+    // 扰动后的数据流（数据源采样点）
+    const ctx = createFaultContext();
+    const perturbed = perturbRecords(simulationData, injectedFaults, ctx);
+    const fields = ['time', ...Object.keys(resultSource.columns), 'track_err_az_urad', 'track_err_el_urad', 'track2_err_az_urad', 'track2_err_el_urad', 'link_up'];
+    const rows = perturbed.map(record => fields.map(f => (record[f] === undefined ? '' : record[f])));
+    downloadFile('fault-perturbed-data.csv', stringifyCSV(fields, rows, { bom: true }), 'text/csv;charset=utf-8;');
+  });
+
+  document.getElementById('btn-fault-replay')?.addEventListener('click', () => fileInput?.click());
+  fileInput?.addEventListener('change', async () => {
+    const file = fileInput.files[0];
+    fileInput.value = '';
+    if (!file) return;
+    try {
+      const recording = parseFaultRecording(await file.text());
+      // 还原参数与数据源后按原工况列表从头回放
+      applyScenario(recording.scenario);
+      if (recording.sourceId && recording.sourceId !== resultSourceId && RESULT_SOURCES[recording.sourceId]) {
+        const select = document.getElementById('result-source-select');
+        if (select) select.value = recording.sourceId;
+        await loadSimulationData(recording.sourceId);
+      }
+      setFaultSchedule(recording.faults);
+      renderFaultBands();
+      stopSimulation();
+      publishEvent({
+        type: 'fault.replayLoaded',
+        source: 'fault',
+        message: `已导入回放记录（${injectedFaults.length} 个工况）`,
+        payload: { sourceId: recording.sourceId, faults: serializeFaultSchedule() }
+      });
+    } catch (err) {
+      console.error('Fault recording import failed:', err);
+      alert(`回放记录导入失败: ${err.message}`);
+    }
+  });
+
+  document.getElementById('btn-fault-clear')?.addEventListener('click', () => {
+    if (injectedFaults.length === 0 || !confirm('清除所有已注入的工况？')) return;
+    clearFaults();
+    renderFaultBands();
+  });
+}
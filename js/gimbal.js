@@ -0,0 +1,186 @@
+// --- 万向架（粗瞄转台）模型 ---
+// 数据源给出的方位/俯仰为指令角，转台按器件面板的最大偏转角限幅、按最大转速限速后得到实际角度；
+// 限幅或限速时转台高亮为红色。发射光束以终端发散角绘制为沿视轴的圆锥，
+// 各视图叠加方位、俯仰、角速度与复合轴伺服误差 ERR_X/ERR_Y 读数。数据源没有指向列时显示“无指向数据”，不再以正弦运动代替。
+
+const GIMBAL_RESYNC_GAP = 1; // 时间跳变超过该值 [s]（或回退）时转台直接就位，不做限速
+const BEAM_LENGTH = 2.5; // 光束圆锥的显示长度（场景单位）
+const BEAM_MIN_HALF_ANGLE = 2 * Math.PI / 180; // 发散角过小时按该半角示意放大显示
+
+const gimbalStates = {
+  T1: createGimbalState(),
+  T2: createGimbalState()
+};
+
+function createGimbalState() {
+  return { time: null, az: 0, el: 0, azRate: 0, elRate: 0, saturated: false, rateLimited: false };
+}
+
+function resetGimbals() {
+  Object.keys(gimbalStates).forEach(id => { gimbalStates[id] = createGimbalState(); });
+}
+
+/**
+ * 器件面板中的转台限位 [deg, deg/s]
+ */
+function readGimbalLimits() {
+  const device = readPanelParams('panel-device-params');
+  return { maxAngle: device.cpa_max_deg, maxRate: device.cpa_rate_deg };
+}
+
+/**
+ * 角度归一化到 (-180, 180]
+ */
+function wrapDegrees(angle) {
+  const wrapped = ((angle + 180) % 360 + 360) % 360 - 180;
+  return wrapped === -180 ? 180 : wrapped;
+}
+
+/**
+ * 单轴限幅与限速
+ * @param {number} previous - 上一帧的实际角度 [deg]
+ * @param {number} command - 指令角 [deg]
+ * @param {number} dt - 距上一帧的时间 [s]，非正数表示直接就位
+ * @param {{maxAngle: number, maxRate: number}} limits
+ */
+function limitGimbalAxis(previous, command, dt, limits) {
+  const wrapped = wrapDegrees(command);
+  const saturated = Math.abs(wrapped) > limits.maxAngle;
+  const target = Math.max(-limits.maxAngle, Math.min(limits.maxAngle, wrapped));
+  if (!(dt > 0)) return { angle: target, rate: 0, saturated, rateLimited: false };
+
+  const maxStep = limits.maxRate * dt;
+  const step = target - previous;
+  const rateLimited = Math.abs(step) > maxStep;
+  const angle = rateLimited ? previous + Math.sign(step) * maxStep : target;
+  return { angle, rate: (angle - previous) / dt, saturated, rateLimited };
+}
+
+/**
+ * 推进一个终端的转台状态
+ * @param {string} id - 'T1' | 'T2'
+ * @param {number} commandAz - 方位指令 [deg]
+ * @param {number} commandEl - 俯仰指令 [deg]
+ * @param {number} time - 仿真时间 [s]
+ */
+function stepGimbal(id, commandAz, commandEl, time) {
+  const state = gimbalStates[id];
+  if (state.time === time) return state;
+
+  const limits = readGimbalLimits();
+  const dt = state.time === null ? 0 : time - state.time;
+  const effectiveDt = dt > 0 && dt <= GIMBAL_RESYNC_GAP ? dt : 0;
+  const az = limitGimbalAxis(state.az, commandAz, effectiveDt, limits);
+  const el = limitGimbalAxis(state.el, commandEl, effectiveDt, limits);
+
+  const saturated = az.saturated || el.saturated;
+  const rateLimited = az.rateLimited || el.rateLimited;
+  if ((saturated || rateLimited) !== (state.saturated || state.rateLimited)) {
+    const reasons = [saturated && '超出最大偏转角', rateLimited && '超出最大转速'].filter(Boolean);
+    publishEvent({
+      type: reasons.length > 0 ? 'gimbal.limited' : 'gimbal.recovered',
+      source: 'gimbal',
+      severity: reasons.length > 0 ? 'warning' : 'info',
+      link: id,
+      message: reasons.length > 0 ? `转台指令${reasons.join('、')}` : '转台恢复跟随指令',
+      payload: { command_az: commandAz, command_el: commandEl, az: az.angle, el: el.angle, ...limits },
+      simTime: time
+    });
+  }
+
+  gimbalStates[id] = {
+    time,
+    az: az.angle,
+    el: el.angle,
+    azRate: az.rate,
+    elRate: el.rate,
+    saturated,
+    rateLimited
+  };
+  return gimbalStates[id];
+}
+
+// --- 界面 ---
+
+/**
+ * 为终端模型加入光束圆锥与读数面板
+ * @param {Object} termObj - terminal1 / terminal2
+ * @param {HTMLElement} container
+ */
+function attachGimbalOverlay(termObj, container) {
+  // 单位圆锥：顶点在原点，沿 -Z（视轴）展开，按发散角与长度缩放
+  const beamGeo = new THREE.ConeGeometry(1, 1, 32, 1, true);
+  beamGeo.translate(0, -0.5, 0);
+  beamGeo.rotateX(Math.PI / 2);
+  const beamMat = new THREE.MeshBasicMaterial({
+    color: 0x34a853,
+    transparent: true,
+    opacity: 0.25,
+    side: THREE.DoubleSide,
+    depthWrite: false
+  });
+  termObj.beam = new THREE.Mesh(beamGeo, beamMat);
+  termObj.beam.visible = false;
+  termObj.elevation.add(termObj.beam);
+
+  termObj.readout = document.createElement('div');
+  termObj.readout.className = 'gimbal-readout';
+  container.appendChild(termObj.readout);
+  renderGimbal(termObj, null);
+}
+
+/**
+ * 按转台状态更新模型姿态、光束与读数
+ * @param {Object} termObj
+ * @param {Object|null} state - stepGimbal 的结果，null 表示无指向数据
+ * @param {Object|null} [servo] - sampleServoError 的结果
+ */
+function renderGimbal(termObj, state, servo = null) {
+  if (!termObj.azimuth) return;
+  const limited = !!state && (state.saturated || state.rateLimited);
+
+  termObj.azimuth.rotation.y = state ? state.az * Math.PI / 180 : 0;
+  termObj.elevation.rotation.x = state ? state.el * Math.PI / 180 : 0;
+  termObj.frameMaterial.emissive.setHex(limited ? 0x880000 : 0x000000);
+
+  termObj.beam.visible = !!state;
+  if (state) {
+    const divergence = readPanelParams('panel-terminal-params').divergence_urad * 1e-6;
+    const halfAngle = Math.max(divergence / 2, BEAM_MIN_HALF_ANGLE);
+    const radius = BEAM_LENGTH * Math.tan(halfAngle);
+    termObj.beam.scale.set(radius, radius, BEAM_LENGTH);
+    termObj.beam.material.color.setHex(limited ? 0xd93025 : 0x34a853);
+  }
+
+  if (!termObj.readout) return;
+  termObj.readout.classList.toggle('limited', limited);
+  if (!state) {
+    termObj.readout.textContent = '无指向数据';
+    return;
+  }
+  const tags = [state.saturated && '限幅', state.rateLimited && '限速'].filter(Boolean);
+  termObj.readout.innerHTML = '';
+  [
+    `Az ${state.az.toFixed(2)}°  ${state.azRate.toFixed(2)}°/s`,
+    `El ${state.el.toFixed(2)}°  ${state.elRate.toFixed(2)}°/s`,
+    servo ? `ERR ${(servo.x * 1e6).toFixed(2)} / ${(servo.y * 1e6).toFixed(2)} μrad` : '',
+    tags.length > 0 ? tags.join(' · ') : ''
+  ].filter(Boolean).forEach(line => {
+    const div = document.createElement('div');
+    div.textContent = line;
+    termObj.readout.appendChild(div);
+  });
+}
+
+/**
+ * 每帧更新两个终端的转台
+ * @param {Object|null} sample - 当前时刻的结果采样
+ * @param {number} time - 仿真时间 [s]
+ */
+function updateGimbals(sample, time) {
+  const hasPointing = !!sample && isResultFieldAvailable(resultMeta, 'az1');
+  [['T1', terminal1, 'az1', 'el1'], ['T2', terminal2, 'az2', 'el2']].forEach(([id, termObj, azField, elField]) => {
+    const command = hasPointing && Number.isFinite(sample[azField]) && Number.isFinite(sample[elField]);
+    renderGimbal(termObj, command ? stepGimbal(id, sample[azField], sample[elField], time) : null, sampleServoError(id, time));
+  });
+}
@@ -0,0 +1,236 @@
+// --- 光链路预算 ---
+// 根据终端参数面板的输入与星间距离计算链路各分项（dB 形式），以及接收功率、信噪比、误码率与链路余量。
+// 各分项与 PreDatas.csv 的预算列一一对应，便于交叉校验。
+
+const BOLTZMANN = 1.380649e-23; // [J/K]
+const ELECTRON_CHARGE = 1.602176634e-19; // [C]
+const LIGHT_SPEED = 299792458; // [m/s]
+const PROCESSING_DELAY_MS = 10; // 终端处理时延，与 PreDatas 的 Latency_ms 口径一致
+
+// 接收机模型与 PreDatas 一致：光电检测前有 10 dB 的光前置放大（不计放大器自发辐射噪声），
+// 电噪声等效带宽为数据速率的 0.75 倍；误码率下限 1e-20
+const RX_PREAMP_GAIN_DB = 10;
+const NOISE_BANDWIDTH_FACTOR = 0.75;
+const BER_FLOOR = 1e-20;
+const DEAD_LINK_BER = 0.4; // 误码率接近 0.5 即相当于没有信号
+
+/**
+ * 带宽选项 -> Hz（同时作为数据速率）
+ */
+const BANDWIDTH_MODES = {
+  '1.25G': 1.25e9,
+  '2.5G': 2.5e9,
+  '10G': 10e9
+};
+
+/**
+ * 每符号比特数
+ */
+const MODULATION_BITS = {
+  BPSK: 1,
+  QPSK: 2,
+  '16QAM': 4,
+  '64QAM': 6
+};
+
+function toDb(ratio) {
+  return 10 * Math.log10(ratio);
+}
+
+/**
+ * 互补误差函数（Chebyshev 拟合，相对误差 < 1.2e-7）
+ */
+function erfc(x) {
+  const z = Math.abs(x);
+  const t = 1 / (1 + 0.5 * z);
+  const r = t * Math.exp(-z * z - 1.26551223 + t * (1.00002368 + t * (0.37409196 + t * (0.09678418 +
+    t * (-0.18628806 + t * (0.27886807 + t * (-1.13520398 + t * (1.48851587 +
+    t * (-0.82215223 + t * 0.17087277)))))))));
+  return x >= 0 ? r : 2 - r;
+}
+
+/**
+ * 由符号信噪比计算误码率
+ * @param {string} modulation - BPSK | QPSK | 16QAM | 64QAM
+ * @param {number} snr - 线性信噪比
+ */
+function berForModulation(modulation, snr) {
+  if (!(snr > 0)) return 0.5;
+  let ber;
+  switch (modulation) {
+    case 'BPSK':
+      ber = 0.5 * erfc(Math.sqrt(snr));
+      break;
+    case 'QPSK':
+      ber = 0.5 * erfc(Math.sqrt(snr / 2));
+      break;
+    default: {
+      // 方形 M-QAM，格雷编码近似
+      const bits = MODULATION_BITS[modulation] || 2;
+      const m = Math.pow(2, bits);
+      ber = (2 / bits) * (1 - 1 / Math.sqrt(m)) * erfc(Math.sqrt(3 * snr / (2 * (m - 1))));
+    }
+  }
+  // erfc 拟合在 0 附近略大于 1，误码率限制在 0.5 以内
+  return Math.min(0.5, Math.max(BER_FLOOR, ber));
+}
+
+/**
+ * 指向损耗系数 k：指向偏差 θ 处的远场强度下降为 exp(-k·θ²)，与 PreDatas 的指向损耗口径一致
+ * @param {number} divergence - 全发散角 [rad]
+ */
+function pointingLossCoefficient(divergence) {
+  return 16 * Math.PI * Math.PI / (divergence * divergence);
+}
+
+/**
+ * 单模光纤耦合效率（平面波经带中心遮挡的圆形孔径聚焦）
+ * @param {number} beta - 耦合参数 π·D·w / (2·λ·f)
+ * @param {number} eps - 遮挡比
+ */
+function fiberCouplingEfficiency(beta, eps) {
+  const b2 = beta * beta;
+  return 2 * Math.pow(Math.exp(-b2) - Math.exp(-b2 * eps * eps), 2) / b2;
+}
+
+/**
+ * 将终端面板读数转换为 SI 单位
+ * @param {Object} raw - readPanelParams('panel-terminal-params') 的结果
+ */
+function normalizeTerminalParams(raw) {
+  return {
+    wavelength: raw.wavelength_nm * 1e-9,
+    txPower: raw.P_tx_W,
+    etaTx: raw.eta_tx,
+    etaRx: raw.eta_rx,
+    diameter: raw.D_mm * 1e-3,
+    divergence: raw.divergence_urad * 1e-6,
+    splitRatio: raw.split_ratio,
+    pointingRms: raw.pointing_rms_urad * 1e-6,
+    fiberModeRadius: raw.w_fiber_um * 1e-6,
+    focalLength: raw.f_cm * 1e-2,
+    obscuration: raw.eps,
+    responsivity: raw.R_resp,
+    noiseTemperature: raw.T_noise,
+    loadResistance: raw.R_eq,
+    darkCurrent: raw.I_dark,
+    bandwidth: BANDWIDTH_MODES[raw.B_mode] || parseFloat(raw.B_mode) * 1e9,
+    modulation: raw.modulation,
+    sensitivity: raw.sensitivity_uW * 1e-6
+  };
+}
+
+/**
+ * 与距离无关的预算分项
+ */
+function computeStaticBudgetTerms(p) {
+  // 高斯光束远场增益（全发散角）
+  const txGain = 32 / (p.divergence * p.divergence);
+  const rxGain = Math.pow(Math.PI * p.diameter / p.wavelength, 2) * (1 - p.obscuration * p.obscuration);
+  const beta = Math.PI * p.diameter * p.fiberModeRadius / (2 * p.wavelength * p.focalLength);
+
+  return {
+    tx_power_dbm: toDb(p.txPower * 1e3),
+    tx_optics_db: toDb(p.etaTx),
+    tx_gain_db: toDb(txGain),
+    // 静态指向误差造成的远场强度下降
+    pointing_loss_db: toDb(Math.exp(-pointingLossCoefficient(p.divergence) * p.pointingRms * p.pointingRms)),
+    rx_gain_db: toDb(rxGain),
+    rx_optics_db: toDb(p.etaRx),
+    split_db: toDb(p.splitRatio),
+    coupling_db: toDb(fiberCouplingEfficiency(beta, p.obscuration)),
+    rx_sensitivity_dbm: toDb(p.sensitivity * 1e3)
+  };
+}
+
+/**
+ * 计算单个距离下的完整链路预算
+ * @param {Object} p - normalizeTerminalParams 的结果
+ * @param {number} rangeKm - 星间距离 [km]
+ * @param {Object} [terms] - 预先计算的静态分项
+ */
+function computeLinkBudget(p, rangeKm, terms = computeStaticBudgetTerms(p)) {
+  const range = rangeKm * 1e3;
+  const freeSpaceLoss = toDb(Math.pow(p.wavelength / (4 * Math.PI * range), 2));
+
+  const rxPowerDbm = terms.tx_power_dbm + terms.tx_optics_db + terms.tx_gain_db + terms.pointing_loss_db +
+    freeSpaceLoss + terms.rx_gain_db + terms.rx_optics_db + terms.split_db + terms.coupling_db;
+  const rxPower = Math.pow(10, rxPowerDbm / 10) * 1e-3;
+
+  // 前置放大后的光电流与噪声（热噪声 + 散粒噪声，按电噪声等效带宽）
+  const current = p.responsivity * rxPower * Math.pow(10, RX_PREAMP_GAIN_DB / 10);
+  const noiseBandwidth = p.bandwidth * NOISE_BANDWIDTH_FACTOR;
+  const thermalNoise = 4 * BOLTZMANN * p.noiseTemperature * noiseBandwidth / p.loadResistance;
+  const shotNoise = 2 * ELECTRON_CHARGE * (current + p.darkCurrent) * noiseBandwidth;
+  const snr = current * current / (thermalNoise + shotNoise);
+
+  return {
+    ...terms,
+    range_km: rangeKm,
+    free_space_loss_db: freeSpaceLoss,
+    rx_power_dbm: rxPowerDbm,
+    link_margin_db: rxPowerDbm - terms.rx_sensitivity_dbm,
+    snr_db: toDb(snr),
+    ber: berForModulation(p.modulation, snr),
+    data_rate_gbps: p.bandwidth / 1e9,
+    latency_ms: range / LIGHT_SPEED * 1e3 + PROCESSING_DELAY_MS
+  };
+}
+
+/**
+ * 对距离时间序列计算预算
+ * @param {Object} p - normalizeTerminalParams 的结果
+ * @param {Object[]} records - 含 time 与 range_km 的记录
+ * @returns {Object[]} 与 records 一一对应的预算结果（无距离的采样只含 time）
+ */
+function computeLinkBudgetSeries(p, records) {
+  const terms = computeStaticBudgetTerms(p);
+  return records.map(record => {
+    if (!Number.isFinite(record.range_km)) return { time: record.time };
+    return { time: record.time, ...computeLinkBudget(p, record.range_km, terms) };
+  });
+}
+
+/**
+ * 自洽检查：链路余量为正（接收功率高于灵敏度）时误码率不应接近 0.5
+ * @param {Object[]} budgets - 预算结果或含 link_margin_db/ber 的记录
+ * @returns {number} 余量为正而误码率 >= DEAD_LINK_BER 的采样数
+ */
+function countBudgetContradictions(budgets) {
+  return budgets.filter(b => b.link_margin_db >= 0 && b.ber >= DEAD_LINK_BER).length;
+}
+
+/**
+ * 将本地预算结果与参考数据逐点比较。误码率按数量级 (log10) 比较。
+ * @param {Object[]} computed - computeLinkBudgetSeries 的结果
+ * @param {Object[]} reference - 参考记录（如 PreDatas）
+ * @param {string[]} fields
+ * @returns {Object<string, {count: number, meanDiff: number, rmsDiff: number, maxAbsDiff: number}>}
+ */
+function crossCheckLinkBudget(computed, reference, fields = ['link_margin_db', 'snr_db', 'ber']) {
+  const report = {};
+  fields.forEach(field => {
+    let count = 0;
+    let sum = 0;
+    let sumSq = 0;
+    let maxAbs = 0;
+    computed.forEach((c, i) => {
+      const ref = reference[i] && reference[i][field];
+      if (!Number.isFinite(c[field]) || !Number.isFinite(ref)) return;
+      const diff = field === 'ber'
+        ? Math.log10(Math.max(c[field], 1e-300)) - Math.log10(Math.max(ref, 1e-300))
+        : c[field] - ref;
+      count++;
+      sum += diff;
+      sumSq += diff * diff;
+      maxAbs = Math.max(maxAbs, Math.abs(diff));
+    });
+    report[field] = {
+      count,
+      meanDiff: count ? sum / count : NaN,
+      rmsDiff: count ? Math.sqrt(sumSq / count) : NaN,
+      maxAbsDiff: count ? maxAbs : NaN
+    };
+  });
+  return report;
+}
@@ -36,6 +36,22 @@ async function loadAllComponents() {
   await Promise.all(components.map(comp => loadComponent(comp.url, comp.id)));
 }
 
+/**
+ * 触发浏览器下载
+ * @param {string} filename - 下载文件名
+ * @param {string|Blob} content - 文件内容
+ * @param {string} mimeType - 内容类型
+ */
+function downloadFile(filename, content, mimeType) {
+  const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
 // --- 全局仿真状态管理系统 ---
 const SIMULATION_STATES = {
   STOPPED: 'stopped',
@@ -44,9 +60,8 @@ const SIMULATION_STATES = {
 };
 
 let simulationState = SIMULATION_STATES.STOPPED;
-let simulationStartTime = 0; // 仿真开始的时间戳
-let simulationPausedTime = 0; // 暂停时的累计运行时间
-let totalPausedDuration = 0; // 总暂停时长
+const simClock = createSimulationClock(); // 固定步长的仿真时钟
+let runMode = 'auto'; // 'auto' 连续运行 | 'step' 单阶段运行
 
 // --- 参数输入状态管理 ---
 const paramInputStatus = {
@@ -58,13 +73,22 @@ const paramInputStatus = {
 };
 
 // --- Three.js 场景变量 ---
-let terminal1 = { scene: null, camera: null, renderer: null, azimuth: null, elevation: null, controls: null };
-let terminal2 = { scene: null, camera: null, renderer: null, azimuth: null, elevation: null, controls: null };
+let terminal1 = { scene: null, camera: null, renderer: null, azimuth: null, elevation: null, controls: null, frameMaterial: null, beam: null, readout: null };
+let terminal2 = { scene: null, camera: null, renderer: null, azimuth: null, elevation: null, controls: null, frameMaterial: null, beam: null, readout: null };
 
-// --- ECharts 变量与数据 ---
-let charts = { loss: null, ber: null, gain: null };
+// --- 仿真数据 ---
 let simulationData = []; // 存储解析后的 CSV 数据
-let chartData = { loss: [], ber: [], gain: [] }; // 存储已绘制的点
+let resultSourceId = null; // 当前数据源在 RESULT_SOURCES 中的键
+let resultSource = null; // 当前数据源定义 (RESULT_SOURCES)
+let resultMeta = null; // 当前数据的可用列、时长与采样间隔
+let stageSegments = []; // 按任务阶段划分的数据区段
+let linkBudgetData = []; // 按终端参数本地计算的链路预算，与 simulationData 一一对应
+let linkBudgetGeneration = 0; // 每次按终端参数重算预算时递增，供依赖预算的推演判断是否需要重算
+let linkBudgetCheck = null; // 本地预算与数据源的交叉校验结果
+let linkBudgetConflicts = 0; // 余量为正而误码率接近 0.5 的预算采样数
+let resultStream = null; // 实时结果流客户端（仅 streamUrl 数据源）
+let followLive = false; // 时间轴跟随实时流的最新采样
+let lastLinkUp = null; // 上一帧的链路通断，用于发布阈值跨越事件
 
 /**
  * 检查是否所有参数都已就绪
@@ -73,6 +97,62 @@ function areAllParamsReady() {
   return Object.values(paramInputStatus).every(status => status === true);
 }
 
+/**
+ * 标记面板是否已确认，同步参数按钮样式
+ */
+function setPanelConfirmed(panelId, confirmed) {
+  if (!paramInputStatus.hasOwnProperty(panelId)) return;
+  paramInputStatus[panelId] = confirmed;
+  const triggerBtn = document.querySelector(`.param-item[data-panel-target="${panelId}"]`);
+  if (triggerBtn) triggerBtn.classList.toggle('confirmed', confirmed);
+}
+
+/**
+ * 刷新状态栏的参数配置提示
+ */
+function updateStatusBarText() {
+  const statusBarText = document.querySelector('.status-bar-left span');
+  if (!statusBarText) return;
+
+  // 告警优先显示，按最高严重程度着色
+  const activeAlarms = getActiveAlarms();
+  const levels = Object.keys(EVENT_SEVERITIES);
+  const worst = activeAlarms.reduce((acc, rule) => (levels.indexOf(rule.severity) > levels.indexOf(acc) ? rule.severity : acc), 'info');
+  const statusBar = statusBarText.closest('.status-bar');
+  if (statusBar) statusBar.dataset.alarm = activeAlarms.length > 0 ? worst : '';
+
+  if (activeAlarms.length > 0) {
+    statusBarText.textContent = `系统状态: 告警 - ${activeAlarms.map(describeAlarmRule).join('；')}`;
+    statusBarText.style.color = ALARM_SEVERITY_COLORS[worst];
+  } else if (areAllParamsReady()) {
+    statusBarText.textContent = "系统状态: 就绪 (参数配置完成)";
+    statusBarText.style.color = "#188038";
+  } else {
+    const remaining = Object.values(paramInputStatus).filter(v => !v).length;
+    statusBarText.textContent = `系统状态: 等待配置 (剩余 ${remaining} 项)`;
+    statusBarText.style.color = "#d93025";
+  }
+}
+
+/**
+ * 面板参数变更后刷新依赖这些参数的模块
+ * @param {string[]} panelIds - 发生变更的面板
+ */
+function applyPanelParamChanges(panelIds) {
+  const changed = id => panelIds.includes(id);
+  // 本地外推的场景随轨道/器件参数重新生成（加载后会重配时钟与轨迹）
+  if (resultSource && resultSource.generator && (changed('panel-orbit-params') || changed('panel-device-params'))) {
+    loadSimulationData(resultSourceId);
+    return;
+  }
+  if (changed('panel-device-params')) configureSimulationClock();
+  else if (changed('panel-orbit-params')) rebuildConstellationTracks(simClock.startTime, simClock.endTime);
+  if (changed('panel-terminal-params') && resultMeta) {
+    recomputeLinkBudget();
+    renderSimulationFrame();
+  }
+}
+
 /**
  * 开始或继续仿真
  */
@@ -82,18 +162,20 @@ function startSimulation() {
     return;
   }
 
+  // 单阶段模式下点击运行即恢复自动运行
+  if (runMode === 'step') setRunMode('auto');
+
   if (simulationState === SIMULATION_STATES.STOPPED) {
-    simulationStartTime = Date.now();
-    simulationPausedTime = 0;
-    totalPausedDuration = 0;
+    simClock.jumpToStart();
     simulationState = SIMULATION_STATES.RUNNING;
     updateSimulationButtons();
-    console.log('仿真开始');
+    publishEvent({ type: 'run.start', source: 'run', message: '仿真开始', payload: { speed: simClock.speed } });
   } else if (simulationState === SIMULATION_STATES.PAUSED) {
-    totalPausedDuration += Date.now() - simulationPausedTime;
+    // 在末尾暂停后继续，则从头回放
+    if (simClock.atEnd) simClock.jumpToStart();
     simulationState = SIMULATION_STATES.RUNNING;
     updateSimulationButtons();
-    console.log('仿真继续');
+    publishEvent({ type: 'run.resume', source: 'run', message: '仿真继续' });
   }
 }
 
@@ -102,10 +184,9 @@ function startSimulation() {
  */
 function pauseSimulation() {
   if (simulationState === SIMULATION_STATES.RUNNING) {
-    simulationPausedTime = Date.now();
     simulationState = SIMULATION_STATES.PAUSED;
     updateSimulationButtons();
-    console.log('仿真暂停');
+    publishEvent({ type: 'run.pause', source: 'run', message: '仿真暂停' });
   }
 }
 
@@ -114,9 +195,11 @@ function pauseSimulation() {
  */
 function stopSimulation() {
   if (simulationState !== SIMULATION_STATES.STOPPED) {
+    const stoppedAt = getSimulationTime();
     simulationState = SIMULATION_STATES.STOPPED;
+    simClock.jumpToStart();
     updateSimulationButtons();
-    console.log('仿真停止');
+    publishEvent({ type: 'run.stop', source: 'run', message: `仿真停止于 ${stoppedAt.toFixed(1)}s`, simTime: stoppedAt });
   }
 }
 
@@ -155,18 +238,79 @@ function updateSimulationButtons() {
 }
 
 /**
- * 获取当前仿真运行时间（秒）
+ * 获取当前仿真时间（秒），即仿真时钟当前帧的时间
  */
 function getSimulationTime() {
-  if (simulationState === SIMULATION_STATES.STOPPED) return 0;
-  let currentTime = Date.now();
-  let totalElapsed = 0;
-  if (simulationState === SIMULATION_STATES.RUNNING) {
-    totalElapsed = (currentTime - simulationStartTime) - totalPausedDuration;
-  } else if (simulationState === SIMULATION_STATES.PAUSED) {
-    totalElapsed = (simulationPausedTime - simulationStartTime) - totalPausedDuration;
+  return simClock.time;
+}
+
+/**
+ * 按数据采样间隔（无数据时按器件面板的 F_samp / T_stop）配置仿真时钟与时间轴
+ * @param {Object} [options]
+ * @param {boolean} [options.rebuildTracks=true] - 是否按新时间范围重建星座轨迹
+ */
+function configureSimulationClock({ rebuildTracks = true } = {}) {
+  const deviceParams = readPanelParams('panel-device-params');
+  let step = deviceParams.F_samp > 0 ? 1 / deviceParams.F_samp : simClock.step;
+  let startTime = 0;
+  let endTime = deviceParams.T_stop > 0 ? deviceParams.T_stop : Infinity;
+
+  if (resultMeta && resultMeta.rows > 1) {
+    step = resultMeta.sampleInterval;
+    startTime = simulationData[0].time;
+    endTime = startTime + resultMeta.duration;
+  }
+
+  simClock.configure({ step, startTime, endTime });
+
+  const slider = document.getElementById('sim-timeline');
+  // 时间轴范围跟随数据时长；拖动不受步长限制，采样之间的状态由插值恢复
+  if (slider && Number.isFinite(endTime)) {
+    slider.min = startTime;
+    slider.max = endTime;
+    slider.step = 'any';
   }
-  return Math.max(0, totalElapsed / 1000);
+
+  const stepEl = document.getElementById('status-step-size');
+  if (stepEl) stepEl.textContent = `步长: ${step}s`;
+
+  if (rebuildTracks) rebuildConstellationTracks(startTime, endTime);
+  renderFaultBands();
+  renderAlarmMarkers();
+}
+
+// 参数面板读数缓存：每帧多个视图都要读取面板参数，只在控件被修改后重新读取 DOM。
+// 仅缓存 PARAM_SCHEMA 中的固定面板（动态重建的表单如工况对话框每次都直接读取）。
+let paramGeneration = 0;
+const panelParamCache = {}; // 面板 ID -> {generation, params}
+
+/**
+ * 使参数面板读数缓存失效（控件输入、单位切换或程序写入后）
+ */
+function invalidatePanelParams() {
+  paramGeneration++;
+}
+
+document.addEventListener('input', invalidatePanelParams, true);
+document.addEventListener('change', invalidatePanelParams, true);
+
+/**
+ * 读取面板中带 data-param 的输入与下拉框
+ * @param {string} panelId - 面板 ID
+ * @returns {Object<string, number|string>} 参数名 -> 标称单位下的数值（下拉框为选项值）
+ */
+function readPanelParams(panelId) {
+  const cached = panelParamCache[panelId];
+  if (cached && cached.generation === paramGeneration) return { ...cached.params };
+
+  const params = {};
+  const panel = document.getElementById(panelId);
+  if (!panel) return params;
+  panel.querySelectorAll('[data-param]').forEach(el => {
+    params[el.dataset.param] = readParamInput(el);
+  });
+  if (PARAM_SCHEMA.some(p => p.panel === panelId)) panelParamCache[panelId] = { generation: paramGeneration, params };
+  return { ...params };
 }
 
 /**
@@ -196,6 +340,7 @@ function createTerminalInstance(containerId, termObj) {
   // U型支架
   const yokeBaseGeo = new THREE.CylinderGeometry(0.5, 0.5, 0.6, 32);
   const darkMat = new THREE.MeshPhongMaterial({ color: 0x333333 });
+  termObj.frameMaterial = darkMat; // 限幅/限速时高亮
   const yokeMesh = new THREE.Mesh(yokeBaseGeo, darkMat);
   termObj.azimuth.add(yokeMesh);
 
@@ -211,7 +356,8 @@ function createTerminalInstance(containerId, termObj) {
   termObj.elevation = new THREE.Group();
   termObj.elevation.position.y = 0.8;
 
-  const mirrorGeo = new THREE.BoxGeometry(1.0, 0.1, 1.0);
+  // 镜面朝向视轴 (-Z)
+  const mirrorGeo = new THREE.BoxGeometry(1.0, 1.0, 0.1);
   const mirrorMat = new THREE.MeshPhongMaterial({
     color: 0x4da8da,
     emissive: 0x112233,
@@ -229,6 +375,7 @@ function createTerminalInstance(containerId, termObj) {
 
   termObj.azimuth.add(termObj.elevation);
   termObj.scene.add(termObj.azimuth);
+  attachGimbalOverlay(termObj, container);
 
   // 3. 灯光
   const ambientLight = new THREE.AmbientLight(0x404040, 2);
@@ -251,9 +398,10 @@ function createTerminalInstance(containerId, termObj) {
 function initThreeJS() {
   createTerminalInstance('threejs-viz-1', terminal1);
   createTerminalInstance('threejs-viz-2', terminal2);
+  initConstellationScene();
 
   window.addEventListener('resize', () => {
-    [terminal1, terminal2].forEach(t => {
+    [terminal1, terminal2, constellation].forEach(t => {
       if (t.renderer) {
         const container = t.renderer.domElement.parentElement;
         t.camera.aspect = container.clientWidth / container.clientHeight;
@@ -262,61 +410,347 @@ function initThreeJS() {
       }
     });
     Object.values(charts).forEach(c => c && c.resize());
+    requestRender();
   });
 }
 
 /**
- * 将 CSV 字符串转换为对象数组
+ * 加载仿真结果数据并按数据源的列映射转换
+ * @param {string} sourceId - RESULT_SOURCES 中的键
  */
-function csvToArray(str, delimiter = ",") {
-  const headers = str.slice(0, str.indexOf("\n")).split(delimiter).map(h => h.trim());
-  const rows = str.slice(str.indexOf("\n") + 1).split("\n");
-  return rows.map(row => {
-    const values = row.split(delimiter);
-    return headers.reduce((obj, header, i) => {
-      obj[header] = parseFloat(values[i]);
-      return obj;
-    }, {});
-  }).filter(item => !isNaN(item.step));
-}
+async function loadSimulationData(sourceId = DEFAULT_RESULT_SOURCE) {
+  const source = RESULT_SOURCES[sourceId];
+  if (!source) {
+    publishEvent({ type: 'data.error', source: 'data', severity: 'error', message: `未知数据源: ${sourceId}` });
+    return;
+  }
+
+  if (resultStream) {
+    resultStream.close();
+    resultStream = null;
+  }
+  const streamEl = document.getElementById('status-stream');
+  if (streamEl) streamEl.hidden = !source.streamUrl;
+  if (source.streamUrl) {
+    startResultStream(sourceId);
+    return;
+  }
 
-/**
- * 加载仿真 CSV 数据
- */
-async function loadSimulationData() {
   try {
-    const response = await fetch('SwapDatas/sim_results.csv');
-    const csvText = await response.text();
-    simulationData = csvToArray(csvText);
-    console.log("CSV Data loaded:", simulationData.length, "rows");
+    if (source.generator === 'orbit') {
+      simulationData = generateOrbitScenario();
+      resultSourceId = sourceId;
+      resultSource = source;
+      mergeLinkBudgetIntoData();
+    } else {
+      const response = await fetch(source.url);
+      if (!response.ok) {
+        throw new Error(`Failed to fetch ${source.url}. Status: ${response.statusText}`);
+      }
+      const records = [];
+      const normalize = createResultRowNormalizer(source);
+      await parseCSVStream(response.body, row => {
+        const record = normalize(row);
+        if (record) records.push(record);
+      }, resultCSVOptions(source));
+      simulationData = records;
+      resultSourceId = sourceId;
+      resultSource = source;
+    }
+    resultMeta = describeResultData(simulationData, source);
+    publishEvent({
+      type: 'data.loaded',
+      source: 'data',
+      message: `已加载数据源 ${source.label}: ${simulationData.length} 行`,
+      payload: { sourceId, rows: simulationData.length, duration: resultMeta.duration }
+    });
+    if (resultMeta.unavailable.length > 0) {
+      publishEvent({
+        type: 'data.columnsUnavailable',
+        source: 'data',
+        severity: 'warning',
+        message: `以下列无有效数据: ${resultMeta.unavailable.map(f => source.columns[f]).join(', ')}`,
+        payload: { fields: resultMeta.unavailable }
+      });
+    }
+    applyResultSourceToViews();
   } catch (err) {
     console.error("Failed to load CSV:", err);
+    publishEvent({ type: 'data.error', source: 'data', severity: 'error', message: `数据源加载失败: ${err.message}`, payload: { sourceId } });
+  }
+}
+
+// 实时流的界面刷新间隔 [ms]，期间到达的行批量追加
+const LIVE_FLUSH_INTERVAL = 500;
+
+/**
+ * 连接实时结果流：数据行到达后追加到 simulationData，断线后自动续传
+ * @param {string} sourceId - RESULT_SOURCES 中带 streamUrl 的键
+ */
+function startResultStream(sourceId) {
+  const source = RESULT_SOURCES[sourceId];
+  simulationData = [];
+  resultSourceId = sourceId;
+  resultSource = source;
+  resultMeta = describeResultData(simulationData, source);
+  applyResultSourceToViews();
+
+  const normalize = createResultRowNormalizer(source);
+  let parser = null;
+  let pending = [];
+  let flushTimer = null;
+
+  const stream = createResultStream(source.streamUrl, {
+    onHeader: line => {
+      if (parser) return;
+      parser = createCSVRowParser(row => {
+        const record = normalize(row);
+        if (record) pending.push(record);
+      }, resultCSVOptions(source));
+      parser.push(line + '\n');
+    },
+    onRow: line => {
+      if (!parser) return;
+      parser.push(line + '\n');
+      if (!flushTimer) flushTimer = setTimeout(flush, LIVE_FLUSH_INTERVAL);
+    },
+    onEnd: () => {
+      clearTimeout(flushTimer);
+      flush();
+      // 求解结束：补做交叉校验并按完整时长重建轨迹
+      if (simulationData.length > 0) applyResultSourceToViews();
+      publishEvent({
+        type: 'stream.end',
+        source: 'stream',
+        message: `求解结束，共接收 ${simulationData.length} 行`,
+        payload: { rows: simulationData.length }
+      });
+    },
+    onStatus: updateStreamStatus
+  });
+
+  function flush() {
+    flushTimer = null;
+    if (resultStream !== stream) return;
+    const records = pending;
+    pending = [];
+    appendLiveRecords(records);
+  }
+
+  resultStream = stream;
+  stream.connect();
+}
+
+/**
+ * 追加实时流的新记录，增量更新元数据、链路预算与时间轴
+ * @param {Object[]} records
+ */
+function appendLiveRecords(records) {
+  if (records.length === 0) return;
+  const previousMeta = resultMeta;
+  records.forEach(record => simulationData.push(record));
+  resultMeta = describeResultData(simulationData, resultSource);
+
+  // 首批数据或可用列变化时需要完整刷新图表绑定
+  if (previousMeta.rows < 2 || resultMeta.available.length !== previousMeta.available.length) {
+    applyResultSourceToViews();
+    return;
+  }
+
+  stageSegments = buildStageSegments(simulationData);
+  let budgets = [];
+  if (linkBudgetData.length > 0) {
+    const params = normalizeTerminalParams(readPanelParams('panel-terminal-params'));
+    budgets = computeLinkBudgetSeries(params, records);
+    budgets.forEach(budget => linkBudgetData.push(budget));
   }
+  appendSimulationData(records, budgets);
+  configureSimulationClock({ rebuildTracks: false });
+  updateDataRowsStatus();
 }
 
 /**
- * 初始化 ECharts 图表
+ * 实时流是否仍在接收数据（含重连中）
  */
-function initCharts() {
-  const commonOption = (title, color) => ({
-    backgroundColor: 'transparent',
-    title: { text: title, textStyle: { color: '#666', fontSize: 10 }, left: 5, top: 5 },
-    grid: { left: '15%', right: '10%', bottom: '15%', top: '25%' },
-    xAxis: { type: 'value', name: 'Time', splitLine: { show: false }, axisLabel: { fontSize: 9 } },
-    yAxis: { type: 'value', splitLine: { lineStyle: { color: '#222' } }, axisLabel: { fontSize: 9 } },
-    series: [{ type: 'line', showSymbol: true, symbolSize: 4, data: [], itemStyle: { color: color }, lineStyle: { width: 1 } }]
+function isResultStreamActive() {
+  return !!resultStream && ['connecting', 'live', 'reconnecting'].includes(resultStream.status);
+}
+
+/**
+ * 在状态栏显示实时流连接状态，并发布状态变化事件
+ */
+function updateStreamStatus(status) {
+  if (status !== 'ended') {
+    publishEvent({
+      type: 'stream.status',
+      source: 'stream',
+      severity: status === 'reconnecting' ? 'warning' : 'info',
+      message: `实时流${STREAM_STATUS_LABELS[status] || status}`,
+      payload: { status, lastStep: resultStream ? resultStream.lastStep : -1 }
+    });
+  }
+  const el = document.getElementById('status-stream');
+  if (!el) return;
+  el.hidden = false;
+  el.dataset.state = status;
+  const rows = resultStream && resultStream.lastStep >= 0 ? ` (#${resultStream.lastStep})` : '';
+  el.textContent = `实时流: ${STREAM_STATUS_LABELS[status] || status}${rows}`;
+}
+
+/**
+ * 切换时间轴“跟随实时”模式
+ */
+function setFollowLive(enabled) {
+  followLive = enabled;
+  const btn = document.getElementById('btn-follow-live');
+  if (btn) btn.classList.toggle('active', enabled);
+}
+
+/**
+ * 按轨道面板外推双星几何，时长与步长取自器件面板的 T_stop / F_samp
+ * @returns {Object[]} 几何记录（链路预算字段随后合并）
+ */
+function generateOrbitScenario() {
+  return generateOrbitRecords(readPanelParams('panel-orbit-params'), readPanelParams('panel-device-params'));
+}
+
+/**
+ * 本地计算的数据源：将终端面板的链路预算直接写入记录
+ */
+function mergeLinkBudgetIntoData() {
+  const params = normalizeTerminalParams(readPanelParams('panel-terminal-params'));
+  const budget = computeLinkBudgetSeries(params, simulationData);
+  simulationData.forEach((record, i) => Object.assign(record, budget[i]));
+}
+
+/**
+ * 初始化数据源下拉框
+ */
+function initResultSourceSelect() {
+  const select = document.getElementById('result-source-select');
+  if (!select) return;
+
+  Object.entries(RESULT_SOURCES).forEach(([id, source]) => {
+    const option = document.createElement('option');
+    option.value = id;
+    option.textContent = source.label;
+    option.selected = id === DEFAULT_RESULT_SOURCE;
+    select.appendChild(option);
   });
 
-  charts.loss = echarts.init(document.getElementById('chart-link-loss'));
-  charts.loss.setOption(commonOption('眼图1', '#188038'));
+  select.addEventListener('change', () => {
+    stopSimulation();
+    loadSimulationData(select.value);
+  });
+}
+
+/**
+ * 数据源切换后重置图表绑定、概览与状态栏
+ */
+function applyResultSourceToViews() {
+  stageSegments = buildStageSegments(simulationData);
+  lastLinkUp = null;
+  resetSpotViews();
+  resetGimbals();
+  recomputeLinkBudget();
+
+  resetMonitorCharts();
+  updateLinkSummary(null);
+  configureSimulationClock();
+  updateDataRowsStatus();
+}
+
+function updateDataRowsStatus() {
+  const dataEl = document.getElementById('status-data-rows');
+  if (dataEl) dataEl.textContent = `数据: ${resultMeta.rows} 行 / ${resultMeta.duration.toFixed(0)}s`;
+}
 
-  charts.ber = echarts.init(document.getElementById('chart-ber'));
-  charts.ber.setOption(commonOption('眼图2', '#d93025'));
-  // 误码率通常是对数坐标
-  charts.ber.setOption({ yAxis: { type: 'log', min: 1e-8 } });
+/**
+ * 按终端面板的当前输入重新计算链路预算，并与数据源中的预算列交叉校验
+ */
+function recomputeLinkBudget() {
+  linkBudgetGeneration++;
+  if (resultSource && resultSource.generator) {
+    // 本地计算的数据本身即为预算结果，无需叠加与校验
+    mergeLinkBudgetIntoData();
+    linkBudgetData = [];
+    linkBudgetCheck = null;
+    linkBudgetConflicts = countBudgetContradictions(simulationData);
+  } else if (!isResultFieldAvailable(resultMeta, 'range_km')) {
+    linkBudgetData = [];
+    linkBudgetCheck = null;
+    linkBudgetConflicts = 0;
+  } else {
+    const params = normalizeTerminalParams(readPanelParams('panel-terminal-params'));
+    linkBudgetData = computeLinkBudgetSeries(params, simulationData);
+    linkBudgetCheck = crossCheckLinkBudget(linkBudgetData, simulationData);
+    linkBudgetConflicts = countBudgetContradictions(linkBudgetData);
+  }
+  postSimulationData();
+}
 
-  charts.gain = echarts.init(document.getElementById('chart-gain'));
-  charts.gain.setOption(commonOption('FOU', '#1a73e8'));
+/**
+ * 格式化字段数值（误码率用科学计数法）
+ */
+function formatFieldValue(field, value) {
+  if (!Number.isFinite(value)) return '—';
+  return field === 'ber' ? value.toExponential(2) : value.toFixed(2);
+}
+
+/**
+ * 更新总览区的链路指标摘要
+ * @param {Object|null} data - 当前时刻的数据记录
+ * @param {Object|null} budget - 当前时刻的本地预算结果
+ */
+function updateLinkSummary(data, budget = null) {
+  const container = document.getElementById('link-summary');
+  if (!container || !resultSource) return;
+
+  const addRow = (label, text, className) => {
+    const row = document.createElement('div');
+    row.className = 'summary-row';
+    if (className) row.classList.add(className);
+    row.innerHTML = `<span class="label">${label}</span><span class="value">${text}</span>`;
+    container.appendChild(row);
+  };
+
+  container.innerHTML = '';
+  resultSource.summary.forEach(field => {
+    if (!isResultFieldAvailable(resultMeta, field)) {
+      addRow(formatFieldLabel(field), '不可用', 'unavailable');
+    } else {
+      addRow(formatFieldLabel(field), formatFieldValue(field, data ? data[field] : NaN));
+    }
+  });
+
+  // 注入工况作用期间的附加状态
+  if (data && data.link_up !== undefined) {
+    addRow('注入工况', '', 'section');
+    addRow(RESULT_FIELDS.link_up.label, data.link_up ? '正常' : '断开', data.link_up ? null : 'unavailable');
+    ['track_err_az_urad', 'track_err_el_urad', 'track2_err_az_urad', 'track2_err_el_urad'].forEach(field => {
+      if (Number.isFinite(data[field])) addRow(formatFieldLabel(field), formatFieldValue(field, data[field]));
+    });
+  }
+
+  // 预算模型自洽检查：余量为正时误码率不应接近 0.5
+  if (linkBudgetConflicts > 0) {
+    addRow('余量/误码率矛盾', `${linkBudgetConflicts} 个采样`, 'unavailable');
+  }
+
+  if (linkBudgetData.length === 0) return;
+
+  addRow('本地预算', '', 'section');
+  ['link_margin_db', 'snr_db', 'ber'].forEach(field => {
+    addRow(formatFieldLabel(field), formatFieldValue(field, budget ? budget[field] : NaN));
+  });
+
+  if (linkBudgetCheck) {
+    addRow('校验 RMS 偏差', '', 'section');
+    Object.entries(linkBudgetCheck).forEach(([field, stats]) => {
+      const unit = field === 'ber' ? ' dec' : ' dB';
+      addRow(RESULT_FIELDS[field].label, stats.count ? stats.rmsDiff.toFixed(2) + unit : '无参考');
+    });
+  }
 }
 
 function initializeApp() {
@@ -352,26 +786,25 @@ function initializeApp() {
   if (quickConfirmBtn) {
     quickConfirmBtn.addEventListener('click', () => {
       console.log("Quick confirming all parameters...");
-      
+
+      // 0. 校验所有面板，存在无效参数时不予确认
+      const invalidPanels = Object.keys(paramInputStatus).filter(id => !validateParamPanel(id));
+      if (invalidPanels.length > 0) {
+        const titles = invalidPanels.map(id => document.querySelector(`#${id} h2`)?.textContent || id);
+        alert(`以下面板存在无效参数，请修正后再确认：\n${titles.join('\n')}`);
+        return;
+      }
+
       // 1. 更新所有状态
-      Object.keys(paramInputStatus).forEach(id => {
-        paramInputStatus[id] = true;
-        const triggerBtn = document.querySelector(`.param-item[data-panel-target="${id}"]`);
-        if (triggerBtn) triggerBtn.classList.add('confirmed');
-      });
+      Object.keys(paramInputStatus).forEach(id => setPanelConfirmed(id, true));
 
       // 2. 更新 UI 信息栏
       updateSimulationButtons();
       updateStatusBarText();
 
       // 3. 记录日志
-      const date = new Date();
-      const timeStr = date.toISOString().substr(11, 8);
-      logHistory.push({ 
-        time: getSimulationTime(), 
-        msg: `[${timeStr}] 用户激活: 一键确认所有配置参数。` 
-      });
-      
+      publishEvent({ type: 'config.confirmAll', source: 'config', message: '一键确认所有配置参数' });
+
       // 4. 触发导出
       exportConfigToCSV();
       
@@ -379,6 +812,18 @@ function initializeApp() {
     });
   }
 
+  // 终端参数修改后立即重算链路预算并刷新图表
+  const terminalPanel = document.getElementById('panel-terminal-params');
+  if (terminalPanel) {
+    const onTerminalParamChange = () => {
+      if (!resultMeta || !validateParamPanel('panel-terminal-params')) return;
+      recomputeLinkBudget();
+      renderSimulationFrame();
+    };
+    terminalPanel.addEventListener('input', onTerminalParamChange);
+    terminalPanel.addEventListener('change', onTerminalParamChange);
+  }
+
   // 为所有带 data-panel-target 的按钮绑定点击事件
   openPanelButtons.forEach(button => {
     button.addEventListener('click', () => {
@@ -429,15 +874,22 @@ function initializeApp() {
    * 处理保存逻辑
    */
   function handleSave(panel) {
-    if (paramInputStatus.hasOwnProperty(panel.id)) {
-      paramInputStatus[panel.id] = true;
-      // 更新按钮样式为“已完成”
-      const triggerBtn = document.querySelector(`.param-item[data-panel-target="${panel.id}"]`);
-      if (triggerBtn) triggerBtn.classList.add('confirmed');
+    if (!validateParamPanel(panel.id)) {
+      panel.querySelector('.form-group.invalid [data-param]')?.focus();
+      return;
     }
 
+    setPanelConfirmed(panel.id, true);
+    publishEvent({
+      type: 'config.saved',
+      source: 'config',
+      message: `已保存${panel.querySelector('h2')?.textContent || panel.id}`,
+      payload: { panel: panel.id, params: readPanelParams(panel.id) }
+    });
+
     updateSimulationButtons();
     updateStatusBarText();
+    applyPanelParamChanges([panel.id]);
     closePanel(panel);
 
     // 检查是否全部完成，如果完成则直接导出 CSV
@@ -449,41 +901,11 @@ function initializeApp() {
   }
 
   /**
-   * 遍历所有面板提取数据并发送至 Python 后端
+   * 按参数模式提取所有面板数据并发送至 Python 后端
    */
   async function exportConfigToCSV() {
-    let dataToSave = [];
-    const panelIds = Object.keys(paramInputStatus);
-
-    panelIds.forEach(id => {
-      const panel = document.getElementById(id);
-      if (!panel) return;
-
-      const panelTitle = panel.querySelector('h2').textContent;
-      const groups = panel.querySelectorAll('.form-group');
-
-      groups.forEach(group => {
-        const labelText = group.querySelector('label')?.textContent.replace(/,/g, "") || "Unknown";
-        let value = "";
-
-        const input = group.querySelector('input');
-        const select = group.querySelector('select');
-
-        if (input) {
-          value = input.value;
-        } else if (select) {
-          value = select.options[select.selectedIndex].text;
-        }
-
-        if (value !== "") {
-          dataToSave.push({
-            panel: panelTitle,
-            parameter: labelText,
-            value: value
-          });
-        }
-      });
-    });
+    // 数值参数统一换算为 SI 单位
+    const dataToSave = collectParamsForExport();
 
     console.log("Sending data to backend:", dataToSave);
 
@@ -499,13 +921,13 @@ function initializeApp() {
 
       const result = await response.json();
       if (result.status === 'success') {
-        console.log("Configuration saved to SwapDatas/InputDatas.csv");
+        publishEvent({ type: 'config.exported', source: 'config', message: '配置已保存至 SwapDatas/InputDatas.csv' });
       } else {
-        console.error("Save failed:", result.message);
+        publishEvent({ type: 'config.exportFailed', source: 'config', severity: 'error', message: `后端保存失败: ${result.message}` });
         fallbackDownload(dataToSave);
       }
     } catch (err) {
-      console.warn("Backend server not running. Falling back to browser download.");
+      publishEvent({ type: 'config.exportFailed', source: 'config', severity: 'warning', message: '后端未运行，改为浏览器下载 InputDatas.csv' });
       fallbackDownload(dataToSave);
     }
   }
@@ -514,32 +936,11 @@ function initializeApp() {
    * 降级方案：如果后端没启动，则触发浏览器普通下载
    */
   function fallbackDownload(data) {
-    let csvRows = ["Panel,Parameter,Value"];
-    data.forEach(item => {
-      csvRows.push(`${item.panel},${item.parameter},${item.value}`);
-    });
-    const csvContent = "\ufeff" + csvRows.join("\n");
-    const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
-    const url = URL.createObjectURL(blob);
-    const link = document.createElement("a");
-    link.href = url;
-    link.download = "InputDatas.csv";
-    link.click();
+    const csvContent = stringifyCSV(['Panel', 'Parameter', 'Value', 'Unit', 'Id'],
+      data.map(item => [item.panel, item.parameter, item.value, item.unit, item.id]), { bom: true });
+    downloadFile("InputDatas.csv", csvContent, 'text/csv;charset=utf-8;');
   }
 
-  function updateStatusBarText() {
-    const statusBarText = document.querySelector('.status-bar-left span');
-    if (!statusBarText) return;
-
-    if (areAllParamsReady()) {
-      statusBarText.textContent = "系统状态: 就绪 (参数配置完成)";
-      statusBarText.style.color = "#188038";
-    } else {
-      const remaining = Object.values(paramInputStatus).filter(v => !v).length;
-      statusBarText.textContent = `系统状态: 等待配置 (剩余 ${remaining} 项)`;
-      statusBarText.style.color = "#d93025";
-    }
-  }
 
   document.addEventListener('keydown', (event) => {
     if (event.key === 'Escape') {
@@ -555,25 +956,172 @@ function initializeApp() {
       if (action === 'start') startSimulation();
       else if (action === 'pause') pauseSimulation();
       else if (action === 'stop') stopSimulation();
+      else if (action === 'jump-start') {
+        setFollowLive(false);
+        simClock.jumpToStart();
+      }
+      else if (action === 'jump-end') simClock.jumpToEnd();
     });
   });
 
+  const speedSelect = document.getElementById('sim-speed-select');
+  if (speedSelect) {
+    PLAYBACK_SPEEDS.forEach(speed => {
+      const option = document.createElement('option');
+      option.value = speed;
+      option.textContent = `${speed}×`;
+      option.selected = speed === simClock.speed;
+      speedSelect.appendChild(option);
+    });
+    speedSelect.addEventListener('change', () => simClock.setSpeed(parseFloat(speedSelect.value)));
+  }
+
+  const followLiveBtn = document.getElementById('btn-follow-live');
+  if (followLiveBtn) followLiveBtn.addEventListener('click', () => setFollowLive(!followLive));
+
   updateSimulationButtons();
   initializeSimulationTimer();
 }
 
 function setRunMode(mode) {
+  runMode = mode;
   const btnAuto = document.getElementById('btn-mode-auto');
   const btnStep = document.getElementById('btn-mode-step');
+  const stepControls = document.getElementById('step-controls');
   if (mode === 'auto') {
     btnAuto.classList.add('btn-primary');
     btnStep.classList.remove('btn-primary');
   } else {
     btnStep.classList.add('btn-primary');
     btnAuto.classList.remove('btn-primary');
+    pauseSimulation();
+  }
+  if (stepControls) stepControls.hidden = mode !== 'step';
+}
+
+/**
+ * 单阶段运行：前进或后退一个采样 / 一个任务阶段，并将所有视图刷新到该时刻
+ * @param {number} direction - 1 前进，-1 后退
+ */
+function stepSimulation(direction) {
+  if (!areAllParamsReady()) {
+    alert("请先完成所有参数配置！");
+    return;
+  }
+
+  if (simulationState === SIMULATION_STATES.STOPPED) {
+    simClock.jumpToStart();
+    simulationState = SIMULATION_STATES.PAUSED;
+    updateSimulationButtons();
+  } else if (simulationState === SIMULATION_STATES.RUNNING) {
+    pauseSimulation();
+  }
+
+  const granularity = document.getElementById('step-granularity')?.value || 'sample';
+  if (granularity === 'stage' && stageSegments.length > 0) {
+    const target = findStageBoundary(getSimulationTime(), direction);
+    if (target !== null) simClock.seek(target);
+  } else {
+    simClock.stepFrames(direction);
   }
+
+  renderSimulationFrame();
 }
 
+/**
+ * 查找相邻的阶段起点。后退时若不在当前阶段起点，先回到当前阶段起点。
+ * @returns {number|null} 目标时间，已在首/末阶段时为 null
+ */
+function findStageBoundary(time, direction) {
+  const eps = simClock.step / 2;
+  if (direction > 0) {
+    const next = stageSegments.find(seg => seg.startTime > time + eps);
+    return next ? next.startTime : null;
+  }
+  const previous = stageSegments.filter(seg => seg.startTime < time - eps);
+  return previous.length > 0 ? previous[previous.length - 1].startTime : null;
+}
+
+/**
+ * 采样的链路状况：数据给出的余量/误码率优先，缺失时取本地预算；
+ * 工况给出 link_up 时以其为准，否则按链路余量是否 ≥ 0 dB 判断通断
+ * @param {Object} sample - 采样（已叠加工况）
+ * @param {Object|null} budget - 本地链路预算
+ * @returns {{margin: number, ber: number, up: (boolean|null)}} 无法判断通断时 up 为 null
+ */
+function readLinkCondition(sample, budget) {
+  const pick = field => (Number.isFinite(sample[field]) ? sample[field] : budget ? budget[field] : undefined);
+  const margin = pick('link_margin_db');
+  let up = null;
+  if (sample.link_up !== undefined) up = !!sample.link_up;
+  else if (Number.isFinite(margin)) up = margin >= 0;
+  return { margin, ber: pick('ber'), up };
+}
+
+/**
+ * 链路通断跨越时发布事件
+ * @param {Object} sample - 当前采样（已叠加工况）
+ * @param {Object|null} budget - 本地链路预算
+ * @param {number} time - 仿真时间 [s]
+ */
+function updateLinkState(sample, budget, time) {
+  const { margin, up } = readLinkCondition(sample, budget);
+  if (up === null || up === lastLinkUp) return;
+
+  const previous = lastLinkUp;
+  lastLinkUp = up;
+  if (previous === null) return; // 首帧只记录初始状态
+  const marginText = Number.isFinite(margin) ? `（余量 ${margin.toFixed(2)} dB）` : '';
+  publishEvent({
+    type: up ? 'link.up' : 'link.down',
+    source: 'link',
+    severity: up ? 'info' : 'warning',
+    link: 'T1-T2',
+    message: up ? `链路恢复${marginText}` : `链路中断${marginText}`,
+    payload: { margin: Number.isFinite(margin) ? margin : null },
+    simTime: time
+  });
+}
+
+/**
+ * 将 3D 转台、光斑、图表与摘要刷新到指定时刻（默认为当前仿真时间）。
+ * 采样点之间的状态由相邻采样线性插值得到，拖动时间轴时也按此恢复全部视图。
+ * 时刻与仿真 Worker 最近的状态帧一致时直接使用帧中已插值的采样与预算。
+ * @param {number} [time] - 仿真时间 [s]
+ */
+function renderSimulationFrame(time = getSimulationTime()) {
+  updateScheduledFaults(time);
+  if (!terminal1.azimuth || !terminal2.azimuth) return;
+
+  // 已注入的工况逐采样叠加到数据与本地预算上
+  const faultCtx = injectedFaults.length > 0 ? createFaultContext() : null;
+  const perturb = sample => perturbSample(sample, injectedFaults, faultCtx);
+  const frame = simulationFrameAt(time);
+  const currentStepData = perturb(frame ? frame.sample : sampleAt(simulationData, time));
+
+  updateChartData(frame ? frame.index : findSampleIndex(simulationData, time), perturb);
+  updatePat(time, t => ({ sample: perturb(sampleAt(simulationData, t)), budget: perturb(sampleAt(linkBudgetData, t)) }));
+  if (currentStepData) {
+    const budget = perturb(frame ? frame.budget : sampleAt(linkBudgetData, time));
+    updateSpotViz(time);
+    updateLinkSummary(currentStepData, budget);
+    updateLinkState(currentStepData, budget, time);
+    evaluateAlarms(currentStepData, budget, time);
+    updateModulationViews(currentStepData, budget);
+  }
+
+  updateGimbals(currentStepData, time);
+
+  [terminal1, terminal2].forEach(t => {
+    if (t.controls) t.controls.update();
+    if (t.renderer) t.renderer.render(t.scene, t.camera);
+  });
+
+  updateConstellationScene(time);
+}
+
+const MAX_FRAME_GAP_MS = 250; // 主线程推进时单帧计入的最长真实时间 [ms]
+
 function initializeSimulationTimer() {
   const timeValueElement = document.querySelector('#status-monitor #simulation-time-value'); // Fixed ID
   // Wait, in main.html it was a querySelector('#simulation-time .value span')
@@ -581,33 +1129,16 @@ function initializeSimulationTimer() {
 
   const timelineSlider = document.getElementById('sim-timeline');
   const timelineTimeDisplay = document.getElementById('current-timeline-time');
-  const logBox = document.getElementById('event-stream-container');
 
-  if (!timelineSlider || !logBox) return;
+  if (!timelineSlider) return;
 
   let displayTime = 0.0;
   let isDragging = false;
-  let logHistory = [
-    { time: 0.0, msg: "[系统初始化] 等待仿真指令..." },
-    { time: 0.1, msg: "[00:00:00] 仿真开始。" },
-    { time: 1.5, msg: "[00:00:01] 加载星座配置 StarLink-Phase1... 完成。" },
-    { time: 3.2, msg: "[00:00:03] 计算初始化轨道参数..." },
-    { time: 5.5, msg: "[00:00:05] 正在扫描可见链路..." },
-    { time: 8.0, msg: "[00:00:08] 链路 L-001 (SAT-01 <-> SAT-02) 建立成功 (SNR: 12.4dB)." },
-    { time: 9.2, msg: "[00:00:09] 链路 L-005 (SAT-03 <-> SAT-04) 建立成功 (SNR: 11.8dB)." },
-    { time: 12.5, msg: "[00:00:12] 警告: SAT-05 能量不足，进入省电模式。" },
-    { time: 15.0, msg: "[00:00:15] 拓扑更新: 3 条链路因地球遮挡断开。" },
-    { time: 22.1, msg: "[00:00:22] 收到地面站 G-01 上行指令。" },
-    { time: 35.0, msg: "[00:00:35] 路由表重收敛完成。" },
-    { time: 48.0, msg: "[00:00:48] 链路 L-089 (SAT-12 <-> SAT-13) 误码率上升 (BER: 1.2e-4)。" },
-    { time: 60.0, msg: "[00:01:00] 进入下一仿真周期。" },
-    { time: 75.5, msg: "[00:01:15] 卫星 SAT-42 完成姿态机动。" },
-    { time: 90.0, msg: "[00:01:30] 仿真数据自动保存。" }
-  ];
+  let lastTickTime = performance.now();
 
   function updateUI() {
     const simTime = getSimulationTime();
-    if (simulationState === SIMULATION_STATES.RUNNING && !isDragging) displayTime = simTime;
+    if (!isDragging) displayTime = simTime;
     if (!isDragging) timelineSlider.value = displayTime;
 
     const timeDisplayLarge = document.getElementById('simulation-time-display-large');
@@ -618,229 +1149,104 @@ function initializeSimulationTimer() {
       date.setSeconds(displayTime);
       timelineTimeDisplay.textContent = date.toISOString().substr(11, 8);
     }
-    renderLogs();
-  }
-
-  function renderLogs() {
-    const visibleLogs = logHistory.filter(log => log.time <= displayTime);
-    
-    // 如果显示的条数没变，就不重复渲染以保证性能
-    if (logBox.children.length === visibleLogs.length) return;
-
-    logBox.innerHTML = '';
-    visibleLogs.forEach(entry => {
-      const p = document.createElement('p');
-      p.className = 'log-entry';
-      
-      // 匹配 [HH:MM:SS] 格式的时间戳进行美化渲染
-      const timeMatch = entry.msg.match(/^\[(\d{2}:\d{2}:\d{2})\]/);
-      if (timeMatch) {
-        const timeStr = timeMatch[1];
-        const content = entry.msg.replace(timeMatch[0], '').trim();
-        p.innerHTML = `<span class="time">[${timeStr}]</span> ${content}`;
-        if (content.includes('警告') || content.includes('断开')) p.classList.add('warning');
-        if (content.includes('注入') || content.includes('事件')) p.style.color = 'var(--accent-color)';
-      } else {
-        p.textContent = entry.msg;
-      }
-      logBox.appendChild(p);
-    });
-
-    // 自动滚动到容器底部
-    const container = logBox.parentElement;
-    container.scrollTop = container.scrollHeight;
-  }
-
-  function generateRandomLog() {
-    if (Math.random() > 0.98) {
-      const simTime = getSimulationTime();
-      const satId = Math.floor(Math.random() * 50) + 1;
-      const snr = (Math.random() * 10 + 5).toFixed(1);
-      const nowStr = new Date(simTime * 1000).toISOString().substr(11, 8);
-      logHistory.push({ time: simTime, msg: `[${nowStr}] 实时监测: SAT-${satId} 信号波动 (SNR: ${snr}dB)` });
-    }
   }
 
   timelineSlider.addEventListener('input', (e) => {
     isDragging = true;
+    setFollowLive(false);
     displayTime = parseFloat(e.target.value);
+    renderSimulationFrame(displayTime);
     updateUI();
   });
 
   timelineSlider.addEventListener('change', (e) => {
     isDragging = false;
-    displayTime = parseFloat(e.target.value);
+    simClock.seek(parseFloat(e.target.value));
+    displayTime = simClock.time;
   });
 
   timelineSlider.addEventListener('mousedown', () => isDragging = true);
   timelineSlider.addEventListener('mouseup', () => isDragging = false);
 
-  setInterval(() => {
-    if (!isDragging) {
-      const simTime = getSimulationTime();
-      if (simulationState === SIMULATION_STATES.RUNNING) displayTime = simTime;
-    }
-    if (simulationState === SIMULATION_STATES.RUNNING) generateRandomLog();
-
-    // 更新 3D 转台模型旋转
-    if (terminal1.azimuth && terminal2.azimuth) {
-      const time = getSimulationTime();
-      const currentStepData = simulationData.find(d => d.time >= time - 0.05 && d.time <= time + 0.05);
-
-      if (currentStepData) {
-        // 终端 1 运动
-        terminal1.azimuth.rotation.y = currentStepData.az1 * (Math.PI / 180);
-        terminal1.elevation.rotation.x = currentStepData.el1 * (Math.PI / 180);
-
-        // 终端 2 运动
-        terminal2.azimuth.rotation.y = currentStepData.az2 * (Math.PI / 180);
-        terminal2.elevation.rotation.x = currentStepData.el2 * (Math.PI / 180);
-
-        updateChartData(currentStepData);
-        updateSpotViz(currentStepData);
-      } else {
-        // 默认模拟运动
-        terminal1.azimuth.rotation.y = time * 0.3;
-        terminal1.elevation.rotation.x = Math.sin(time * 0.5) * 0.5;
-        
-        terminal2.azimuth.rotation.y = -time * 0.3;
-        terminal2.elevation.rotation.x = Math.cos(time * 0.5) * 0.5;
-      }
-
-      [terminal1, terminal2].forEach(t => {
-        if (t.controls) t.controls.update();
-        if (t.renderer) t.renderer.render(t.scene, t.camera);
+  initSimulationWorker(simClock);
+
+  // 每个动画帧：同步自动推进开关，有变化时才重绘；没有新状态时只在相机被拖动（含阻尼惯性）时重绘 3D 视图
+  const renderLoop = now => {
+    requestAnimationFrame(renderLoop);
+    const running = simulationState === SIMULATION_STATES.RUNNING && runMode === 'auto' && !isDragging;
+    updateSimulationWorkerRunning(running);
+    // 没有 Worker 时在主线程推进；页面恢复可见后的第一帧不补推隐藏期间的时间
+    if (!simLoop.worker && running && simClock.advance(Math.min(now - lastTickTime, MAX_FRAME_GAP_MS)) !== 0) requestRender();
+    lastTickTime = now;
+    if (running) checkRunEnd();
+
+    if (followLive && resultStream && !isDragging && !simClock.atEnd) simClock.jumpToEnd();
+
+    if (simLoop.renderRequested) {
+      if (!isDragging) displayTime = getSimulationTime();
+      renderSimulationFrame(displayTime);
+      updateUI();
+      simLoop.renderRequested = false;
+    } else {
+      [terminal1, terminal2, constellation].forEach(t => {
+        if (t.controls && t.controls.update()) t.renderer.render(t.scene, t.camera);
       });
     }
-
-    updateUI();
-  }, 100);
+  };
+  requestAnimationFrame(renderLoop);
 }
 
 /**
- * 将新的仿真点推送到图表
+ * 自动运行到达结束时间时暂停。实时流仍在接收时，播放到最新采样后等待新数据
  */
-function updateChartData(data) {
-  const time = data.time;
-
-  // 避免重复添加相同时间的点
-  if (chartData.loss.some(p => p[0] === time)) return;
-
-  chartData.loss.push([time, data.link_loss]);
-  chartData.ber.push([time, data.ber]);
-  chartData.gain.push([time, data.antenna_gain]);
-
-  // 保持最近 50 个点以防性能问题
-  if (chartData.loss.length > 50) {
-    chartData.loss.shift();
-    chartData.ber.shift();
-    chartData.gain.shift();
+function checkRunEnd() {
+  if (simulationState !== SIMULATION_STATES.RUNNING || runMode !== 'auto') return;
+  if (simClock.atEnd && !isResultStreamActive()) {
+    publishEvent({ type: 'run.end', source: 'run', message: '仿真到达结束时间' });
+    pauseSimulation();
   }
-
-  charts.loss.setOption({ series: [{ data: chartData.loss }] });
-  charts.ber.setOption({ series: [{ data: chartData.ber }] });
-  charts.gain.setOption({ series: [{ data: chartData.gain }] });
 }
 
 /**
- * 更新光斑视觉监测
+ * 更新光斑视觉监测：光斑取 PAT 状态机给出的探测器偏差，终端 1 扫描时显示扫描路径
  */
-function updateSpotViz(data) {
-  drawSpot('canvas-spot-1', data.spot1_x, data.spot1_y);
-  drawSpot('canvas-spot-2', data.spot2_x, data.spot2_y);
-}
-
-function drawSpot(canvasId, offsetX, offsetY) {
-  const canvas = document.getElementById(canvasId);
-  if (!canvas) return;
-  const ctx = canvas.getContext('2d');
-  const w = canvas.width;
-  const h = canvas.height;
-
-  // 清除背景
-  ctx.clearRect(0, 0, w, h);
-
-  // 绘制十字准星
-  ctx.strokeStyle = '#eee';
-  ctx.lineWidth = 1;
-  ctx.beginPath();
-  ctx.moveTo(w/2, 0); ctx.lineTo(w/2, h);
-  ctx.moveTo(0, h/2); ctx.lineTo(w, h/2);
-  ctx.stroke();
-
-  // 绘制目标圆圈
-  ctx.strokeStyle = '#ccc';
-  ctx.beginPath();
-  ctx.arc(w/2, h/2, 20, 0, Math.PI * 2);
-  ctx.stroke();
-
-  // 绘制光斑 (根据偏移量，假设坐标范围是 -2 到 2)
-  const centerX = w/2 + (offsetX * (w/4));
-  const centerY = h/2 + (offsetY * (h/4));
-
-  ctx.fillStyle = 'rgba(217, 48, 37, 0.7)'; // 红色光斑
-  ctx.shadowBlur = 10;
-  ctx.shadowColor = 'red';
-  ctx.beginPath();
-  ctx.arc(centerX, centerY, 5, 0, Math.PI * 2);
-  ctx.fill();
+function updateSpotViz(time) {
+  updateSpotView('canvas-spot-1', getPatDetectorOffset('T1'), time, getPatScanView());
+  updateSpotView('canvas-spot-2', getPatDetectorOffset('T2'), time);
 }
 
 document.addEventListener('DOMContentLoaded', () => {
   loadAllComponents().then(() => {
+    initEventLogViewer();
+    renderParameterPanels();
+    initSpotViews();
     initializeApp();
+    initScenarioControls();
     initThreeJS();
-    initCharts();
+    initMonitorCharts();
+    initResultSourceSelect();
     loadSimulationData();
     initEventTimeline();
+    initFaultControls();
+    initAlarmControls();
+    initPatControls();
+    initServoControls();
+    initBatchControls();
+    initRunReport();
+    initRunCompare();
   });
 });
 
 /**
- * 初始化事件进度条与工况注入联动
+ * 初始化事件进度条与工况注入联动：工况按钮打开参数对话框，注入后标记在事件时间轴上
  */
 function initEventTimeline() {
   const functionPanel = document.getElementById('function-control');
-  const eventLine = document.getElementById('event-timeline');
-  const simTimeline = document.getElementById('sim-timeline'); // 获取主进度条作为比例参考
-  
-  if (!functionPanel || !eventLine) return;
+  if (!functionPanel) return;
 
   functionPanel.addEventListener('click', (e) => {
-    const btn = e.target.closest('.btn-tool');
+    const btn = e.target.closest('.btn-tool[data-fault]');
     if (!btn) return;
-
-    // 如果仿真没在运行，提示先运行
-    if (simulationState !== SIMULATION_STATES.RUNNING) {
-      console.warn("仿真未运行，无法标记实时事件时间点。");
-      return;
-    }
-
-    const eventName = btn.textContent.trim();
-    const currentTime = getSimulationTime();
-    
-    // 计算百分比位置 (假设满格是 100s, 对应 index.html 中的 01:40)
-    // 注意：这里需要与主进度条的逻辑同步。目前主进度条 max 是 100。
-    const maxTime = 100; 
-    const percentage = (currentTime / maxTime) * 100;
-
-    if (percentage <= 100) {
-      const marker = document.createElement('div');
-      marker.className = 'event-marker';
-      marker.style.left = `${percentage}%`;
-      marker.setAttribute('data-label', `${eventName} @ ${currentTime.toFixed(1)}s`);
-      
-      eventLine.appendChild(marker);
-      console.log(`Event marked: ${eventName} at ${currentTime.toFixed(2)}s`);
-
-      // 同时将事件同步到右侧“事件流”列表中
-      const date = new Date(null);
-      date.setSeconds(currentTime);
-      const timeStr = date.toISOString().substr(11, 8);
-      logHistory.push({ 
-        time: currentTime, 
-        msg: `[${timeStr}] 外部注入事件: ${eventName}` 
-      });
-    }
+    openFaultDialog(btn.dataset.fault);
   });
 }
@@ -0,0 +1,404 @@
+// --- 监测图表 ---
+// 每个图表面板 (.chart-panel[data-chart]) 可选择任意数值列叠加显示，每列独立 y 轴并可切换线性/对数坐标。
+// 图表保留整个运行历史，渲染前按当前缩放窗口做 LTTB 降采样；支持框选/滚轮缩放，
+// 可导出 PNG 图片与全分辨率 CSV。各数据源的列选择保存在 localStorage。
+// 可叠加一次参照运行（如对比基线）的完整曲线，以点线显示。
+
+const CHART_STORAGE_KEY = 'chartPanels';
+const LTTB_THRESHOLD = 800; // 每条曲线渲染的最大点数
+const CHART_COLORS = ['#188038', '#d93025', '#1a73e8', '#f9ab00', '#9334e6', '#12b5cb'];
+
+let charts = {}; // 面板键 -> ECharts 实例
+let chartPanels = {}; // 面板键 -> {fields: [{field, scale}], zoom: [start%, end%]}
+let chartRenderKeys = {}; // 面板键 -> 上次渲染的输入签名与预算数组，未变化时跳过
+let chartOverlay = { records: null, label: '' }; // 叠加的参照运行：逐采样记录与图例后缀
+
+/**
+ * 默认坐标类型：误码率用对数坐标
+ */
+function defaultChartScale(field) {
+  return field === 'ber' ? 'log' : 'linear';
+}
+
+/**
+ * LTTB (Largest-Triangle-Three-Buckets) 降采样
+ * @param {number[][]} points - [[x, y], ...]，y 均为有限值
+ * @param {number} threshold - 目标点数
+ * @returns {number[]} 保留点的下标
+ */
+function downsampleLTTB(points, threshold) {
+  const n = points.length;
+  if (threshold >= n || threshold < 3) return points.map((_, i) => i);
+
+  const kept = [0];
+  const every = (n - 2) / (threshold - 2);
+  let a = 0;
+  for (let i = 0; i < threshold - 2; i++) {
+    // 下一个桶的平均点
+    const avgStart = Math.floor((i + 1) * every) + 1;
+    const avgEnd = Math.min(Math.floor((i + 2) * every) + 1, n);
+    let avgX = 0;
+    let avgY = 0;
+    for (let j = avgStart; j < avgEnd; j++) {
+      avgX += points[j][0];
+      avgY += points[j][1];
+    }
+    avgX /= avgEnd - avgStart;
+    avgY /= avgEnd - avgStart;
+
+    // 当前桶中与上一保留点、下一桶平均点构成最大三角形的点
+    const rangeEnd = Math.floor((i + 1) * every) + 1;
+    let maxArea = -1;
+    let next = Math.floor(i * every) + 1;
+    for (let j = next; j < rangeEnd; j++) {
+      const area = Math.abs((points[a][0] - avgX) * (points[j][1] - points[a][1]) -
+        (points[a][0] - points[j][0]) * (avgY - points[a][1]));
+      if (area > maxArea) {
+        maxArea = area;
+        next = j;
+      }
+    }
+    kept.push(next);
+    a = next;
+  }
+  kept.push(n - 1);
+  return kept;
+}
+
+/**
+ * 按时间窗口截取并降采样一条曲线，无效值处断开
+ * @param {Object[]} records
+ * @param {string} field
+ * @param {string} scale - 'linear' | 'log'
+ * @param {number[]} window - [t0, t1]
+ * @returns {Array<[number, number|null]>}
+ */
+function buildChartSeries(records, field, scale, [t0, t1]) {
+  const valid = v => Number.isFinite(v) && (scale !== 'log' || v > 0);
+  const segments = [];
+  let current = null;
+  records.forEach(record => {
+    if (record.time < t0 || record.time > t1) return;
+    const value = record[field];
+    if (!valid(value)) {
+      current = null;
+      return;
+    }
+    if (!current) segments.push(current = []);
+    current.push([record.time, value]);
+  });
+
+  const total = segments.reduce((sum, seg) => sum + seg.length, 0);
+  const data = [];
+  segments.forEach((segment, s) => {
+    if (s > 0) data.push([segment[0][0], null]);
+    const budget = Math.max(3, Math.round(LTTB_THRESHOLD * segment.length / total));
+    const scaled = scale === 'log' ? segment.map(([x, y]) => [x, Math.log10(y)]) : segment;
+    downsampleLTTB(scaled, budget).forEach(i => data.push(segment[i]));
+  });
+  return data;
+}
+
+// --- 面板配置 ---
+
+/**
+ * 当前数据可选的列：数据源中有效的列与本地预算给出的列
+ */
+function chartFieldOptions() {
+  const fields = new Set(resultMeta ? resultMeta.available : []);
+  if (linkBudgetData.length > 0) {
+    Object.keys(linkBudgetData[linkBudgetData.length - 1]).forEach(field => {
+      if (RESULT_FIELDS[field] && field !== 'time') fields.add(field);
+    });
+  }
+  return Object.keys(RESULT_FIELDS).filter(field => fields.has(field));
+}
+
+function saveChartPanels() {
+  const stored = readStoredJSON(CHART_STORAGE_KEY, {});
+  stored[resultSourceId] = {};
+  Object.entries(chartPanels).forEach(([key, panel]) => { stored[resultSourceId][key] = panel.fields; });
+  writeStoredJSON(CHART_STORAGE_KEY, stored);
+}
+
+/**
+ * 按数据源恢复各面板的列选择（无保存时取数据源的 charts 绑定）
+ */
+function loadChartPanels() {
+  const stored = readStoredJSON(CHART_STORAGE_KEY, {})[resultSourceId] || {};
+  chartPanels = {};
+  Object.keys(charts).forEach(key => {
+    const binding = [].concat((resultSource && resultSource.charts[key]) || []);
+    const fields = stored[key] || binding.map(field => ({ field, scale: defaultChartScale(field) }));
+    chartPanels[key] = { fields: fields.filter(f => RESULT_FIELDS[f.field]), zoom: [0, 100] };
+  });
+}
+
+/**
+ * 按面板配置重建坐标轴与曲线（列或坐标类型变化时）
+ */
+function applyChartLayout(key) {
+  const chart = charts[key];
+  const panel = chartPanels[key];
+  if (!chart || !panel) return;
+
+  const available = chartFieldOptions();
+  const fields = panel.fields.filter(f => available.includes(f.field));
+  const yAxis = fields.map((f, i) => ({
+    type: f.scale === 'log' ? 'log' : 'value',
+    name: formatFieldLabel(f.field),
+    nameTextStyle: { color: CHART_COLORS[i % CHART_COLORS.length], fontSize: 9, align: i === 0 ? 'left' : 'right' },
+    position: i === 0 ? 'left' : 'right',
+    offset: i > 1 ? (i - 1) * 45 : 0,
+    scale: true,
+    axisLine: { show: true, lineStyle: { color: CHART_COLORS[i % CHART_COLORS.length] } },
+    splitLine: { show: i === 0, lineStyle: { color: '#222' } },
+    axisLabel: { fontSize: 9 }
+  }));
+  const series = [];
+  fields.forEach((f, i) => {
+    const color = CHART_COLORS[i % CHART_COLORS.length];
+    series.push({ type: 'line', name: formatFieldLabel(f.field), yAxisIndex: i, showSymbol: false, data: [], itemStyle: { color }, lineStyle: { width: 1 } });
+    // 终端参数本地计算的预算结果，与数据叠加对照
+    series.push({ type: 'line', name: `${formatFieldLabel(f.field)} (本地预算)`, yAxisIndex: i, showSymbol: false, data: [], itemStyle: { color }, lineStyle: { width: 1, type: 'dashed', opacity: 0.7 } });
+    if (chartOverlay.records) {
+      series.push({ type: 'line', name: `${formatFieldLabel(f.field)} (${chartOverlay.label})`, yAxisIndex: i, showSymbol: false, data: [], itemStyle: { color }, lineStyle: { width: 1.5, type: 'dotted', opacity: 0.6 } });
+    }
+  });
+
+  chart.setOption({
+    grid: { left: 45, right: 20 + Math.max(0, fields.length - 1) * 45, bottom: 40, top: 30 },
+    yAxis: yAxis.length > 0 ? yAxis : [{ type: 'value' }],
+    series,
+    graphic: [{
+      type: 'text',
+      left: 'center',
+      top: 'middle',
+      invisible: fields.length > 0,
+      style: { text: '未选择数据列', fill: '#666', fontSize: 12 }
+    }]
+  }, { replaceMerge: ['yAxis', 'series'] });
+  // 曲线数据已清空，下一帧按新布局重新填充（暂停时也需要）
+  chartRenderKeys[key] = null;
+  requestRender();
+}
+
+/**
+ * 数据源切换后按保存的配置重置全部面板
+ */
+function resetMonitorCharts() {
+  loadChartPanels();
+  Object.keys(charts).forEach(key => {
+    charts[key].dispatchAction({ type: 'dataZoom', start: 0, end: 100 });
+    applyChartLayout(key);
+    renderChartFieldList(key);
+  });
+}
+
+/**
+ * 设置或清除叠加的参照运行
+ * @param {Object[]|null} records - 逐采样记录（字段同结果数据），null 表示不叠加
+ * @param {string} [label] - 图例后缀
+ */
+function setChartOverlay(records, label = '') {
+  chartOverlay = { records, label };
+  postChartOverlay(records);
+  Object.keys(charts).forEach(applyChartLayout);
+}
+
+/**
+ * 图表 x 轴的完整范围（缩放百分比据此换算为时间窗口）
+ * @param {Object[]} [records] - 结果数据
+ * @param {number} [endTime] - 时钟的结束时间
+ */
+function chartTimeExtent(records = simulationData, endTime = simClock.endTime) {
+  const first = records.length > 0 ? records[0].time : 0;
+  const last = records.length > 0 ? records[records.length - 1].time : 1;
+  const end = Number.isFinite(endTime) ? Math.max(endTime, last) : last;
+  return [first, end > first ? end : first + 1];
+}
+
+/**
+ * 缩放百分比 -> 时间窗口
+ */
+function chartZoomSpan([min, max], zoom) {
+  return [min + (max - min) * zoom[0] / 100, min + (max - min) * zoom[1] / 100];
+}
+
+/**
+ * 一个面板的全部曲线：每列依次为 数据、本地预算、参照运行（有叠加时），与 applyChartLayout 的顺序一致
+ * @param {{field: string, scale: string}[]} fields - 当前可用的列
+ * @param {Object[]} history - 截至当前采样的数据（已叠加工况）
+ * @param {Object[]} budgetHistory - 对应的本地预算
+ * @param {Object[]|null} overlay - 参照运行，整段显示，不随当前时刻截断
+ * @param {number[]} span - [t0, t1]
+ */
+function buildChartPanelSeries(fields, history, budgetHistory, overlay, span) {
+  const series = [];
+  fields.forEach(f => {
+    series.push({ data: buildChartSeries(history, f.field, f.scale, span) });
+    series.push({ data: buildChartSeries(budgetHistory, f.field, f.scale, span) });
+    if (overlay) series.push({ data: buildChartSeries(overlay, f.field, f.scale, span) });
+  });
+  return series;
+}
+
+/**
+ * 将图表刷新为截至当前采样的完整历史（按缩放窗口降采样）。
+ * 有仿真 Worker 时曲线由 Worker 计算，这里只应用其结果。
+ * @param {number} index - 当前采样序号，-1 表示尚无数据
+ * @param {function(Object): Object} [perturb] - 对每个采样叠加工况扰动
+ */
+function updateChartData(index, perturb = sample => sample) {
+  if (!resultSource) return;
+  if (simLoop.worker) {
+    syncChartWorker();
+    Object.entries(takeWorkerCharts()).forEach(([key, { min, max, series }]) => {
+      if (charts[key]) charts[key].setOption({ xAxis: { min, max }, series });
+    });
+    return;
+  }
+
+  const faultsKey = injectedFaults.map(f => `${f.id}:${f.start}:${JSON.stringify(f.params)}`).join(',');
+  const extent = chartTimeExtent();
+  let history = null;
+  let budgetHistory = null;
+
+  Object.entries(charts).forEach(([key, chart]) => {
+    const panel = chartPanels[key];
+    if (!panel) return;
+    const renderKey = [index, simulationData.length, linkBudgetData.length, faultsKey, panel.zoom.join(':'), ...extent].join('|');
+    // 终端参数修改后 linkBudgetData 会整体替换
+    const last = chartRenderKeys[key];
+    if (last && last.key === renderKey && last.budget === linkBudgetData) return;
+    chartRenderKeys[key] = { key: renderKey, budget: linkBudgetData };
+
+    if (!history) {
+      history = simulationData.slice(0, index + 1).map(perturb);
+      budgetHistory = linkBudgetData.slice(0, index + 1).map(perturb);
+    }
+    const available = chartFieldOptions();
+    const fields = panel.fields.filter(f => available.includes(f.field));
+    const series = buildChartPanelSeries(fields, history, budgetHistory, chartOverlay.records, chartZoomSpan(extent, panel.zoom));
+    chart.setOption({ xAxis: { min: extent[0], max: extent[1] }, series });
+  });
+}
+
+// --- 导出 ---
+
+function exportChartPNG(key) {
+  const url = charts[key].getDataURL({ type: 'png', pixelRatio: 2, backgroundColor: '#0a0a0a' });
+  const bytes = Uint8Array.from(atob(url.split(',')[1]), c => c.charCodeAt(0));
+  downloadFile(`chart-${key}.png`, new Blob([bytes], { type: 'image/png' }));
+}
+
+/**
+ * 导出截至当前时刻的全分辨率数据（含工况扰动与本地预算）
+ */
+function exportChartCSV(key) {
+  const panel = chartPanels[key];
+  const fields = panel.fields.map(f => f.field).filter(field => chartFieldOptions().includes(field));
+  if (fields.length === 0) return;
+
+  const time = getSimulationTime();
+  const faultCtx = injectedFaults.length > 0 ? createFaultContext() : null;
+  const perturb = sample => perturbSample(sample, injectedFaults, faultCtx);
+  const index = findSampleIndex(simulationData, time);
+  const headers = ['time [s]'];
+  fields.forEach(field => headers.push(formatFieldLabel(field), `${formatFieldLabel(field)} (本地预算)`));
+  const rows = simulationData.slice(0, index + 1).map((record, i) => {
+    const data = perturb(record);
+    const budget = linkBudgetData[i] ? perturb(linkBudgetData[i]) : {};
+    const row = [data.time];
+    fields.forEach(field => row.push(
+      Number.isFinite(data[field]) ? data[field] : '',
+      Number.isFinite(budget[field]) ? budget[field] : ''));
+    return row;
+  });
+  downloadFile(`chart-${key}.csv`, stringifyCSV(headers, rows, { bom: true }), 'text/csv;charset=utf-8;');
+}
+
+// --- 界面 ---
+
+/**
+ * 列选择下拉：勾选显示，"log" 切换该列的对数坐标
+ */
+function renderChartFieldList(key) {
+  const list = document.querySelector(`.chart-panel[data-chart="${key}"] .chart-field-list`);
+  const panel = chartPanels[key];
+  if (!list || !panel) return;
+  list.innerHTML = '';
+  chartFieldOptions().forEach(field => {
+    const selected = panel.fields.find(f => f.field === field);
+    const row = document.createElement('label');
+    row.className = 'chart-field';
+    row.innerHTML = `<input type="checkbox" data-role="show"> <span>${formatFieldLabel(field)}</span>
+      <input type="checkbox" data-role="log" title="对数坐标"> <small>log</small>`;
+    const show = row.querySelector('[data-role="show"]');
+    const log = row.querySelector('[data-role="log"]');
+    show.checked = !!selected;
+    log.checked = selected ? selected.scale === 'log' : defaultChartScale(field) === 'log';
+
+    const update = () => {
+      // 已选列保持原位置（即 y 轴顺序），新勾选的列追加到末尾
+      const position = panel.fields.findIndex(f => f.field === field);
+      panel.fields = panel.fields.filter(f => f.field !== field);
+      if (show.checked) {
+        const entry = { field, scale: log.checked ? 'log' : 'linear' };
+        if (position >= 0) panel.fields.splice(position, 0, entry);
+        else panel.fields.push(entry);
+      }
+      saveChartPanels();
+      applyChartLayout(key);
+      renderChartFieldList(key);
+    };
+    show.addEventListener('change', update);
+    log.addEventListener('change', update);
+    list.appendChild(row);
+  });
+}
+
+/**
+ * 初始化全部监测图表面板
+ */
+function initMonitorCharts() {
+  document.querySelectorAll('.chart-panel[data-chart]').forEach(container => {
+    const key = container.dataset.chart;
+    const chart = echarts.init(container.querySelector('.chart-canvas'));
+    charts[key] = chart;
+    chart.setOption({
+      backgroundColor: 'transparent',
+      animation: false,
+      tooltip: { trigger: 'axis', textStyle: { fontSize: 10 } },
+      toolbox: {
+        right: 5,
+        top: 0,
+        itemSize: 11,
+        feature: { dataZoom: { yAxisIndex: 'none', title: { zoom: '框选缩放', back: '撤销缩放' } } }
+      },
+      xAxis: { type: 'value', name: 'Time', splitLine: { show: false }, axisLabel: { fontSize: 9 } },
+      yAxis: [{ type: 'value' }],
+      dataZoom: [
+        { type: 'inside', xAxisIndex: 0, filterMode: 'none' },
+        { type: 'slider', xAxisIndex: 0, filterMode: 'none', height: 12, bottom: 4, showDetail: false }
+      ],
+      series: []
+    });
+    chart.on('datazoom', () => {
+      const zoom = chart.getOption().dataZoom[0];
+      chartPanels[key].zoom = [zoom.start, zoom.end];
+      // 按新的缩放窗口重新降采样
+      requestRender();
+    });
+
+    const toolbar = document.createElement('div');
+    toolbar.className = 'chart-toolbar';
+    toolbar.innerHTML = `<details class="chart-fields"><summary>数据列</summary><div class="chart-field-list"></div></details>
+      <button type="button" class="chart-export" data-format="png" title="导出图片">PNG</button>
+      <button type="button" class="chart-export" data-format="csv" title="导出当前曲线的全分辨率数据">CSV</button>`;
+    toolbar.querySelector('[data-format="png"]').addEventListener('click', () => exportChartPNG(key));
+    toolbar.querySelector('[data-format="csv"]').addEventListener('click', () => exportChartCSV(key));
+    container.appendChild(toolbar);
+  });
+  loadChartPanels();
+}
@@ -0,0 +1,276 @@
+// --- 双星轨道外推 ---
+// 由轨道参数面板的开普勒根数外推两颗卫星（二体 + J2 + 大气阻力，RK4 积分），
+// 并计算星间距离、超前瞄准角、多普勒频移与传输时延，输出字段与 PreDatas.csv 对应。
+
+const EARTH_MU = 398600.4418; // [km³/s²]
+const EARTH_RADIUS = 6378.137; // [km]
+const EARTH_J2 = 1.08262668e-3;
+const EARTH_ROTATION_RATE = 7.292115e-5; // [rad/s]
+
+/**
+ * 指数大气模型分段表 (Vallado)：[基准高度 km, 基准密度 kg/m³, 标高 km]
+ */
+const ATMOSPHERE_TABLE = [
+  [0, 1.225, 7.249], [25, 3.899e-2, 6.349], [30, 1.774e-2, 6.682], [40, 3.972e-3, 7.554],
+  [50, 1.057e-3, 8.382], [60, 3.206e-4, 7.714], [70, 8.770e-5, 6.549], [80, 1.905e-5, 5.799],
+  [90, 3.396e-6, 5.382], [100, 5.297e-7, 5.877], [110, 9.661e-8, 7.263], [120, 2.438e-8, 9.473],
+  [130, 8.484e-9, 12.636], [140, 3.845e-9, 16.149], [150, 2.070e-9, 22.523], [180, 5.464e-10, 29.740],
+  [200, 2.789e-10, 37.105], [250, 7.248e-11, 45.546], [300, 2.418e-11, 53.628], [350, 9.518e-12, 53.298],
+  [400, 3.725e-12, 58.515], [450, 1.585e-12, 60.828], [500, 6.967e-13, 63.822], [600, 1.454e-13, 71.835],
+  [700, 3.614e-14, 88.667], [800, 1.170e-14, 124.64], [900, 5.245e-15, 181.05], [1000, 3.019e-15, 268.00]
+];
+
+const vec = {
+  add: (a, b) => [a[0] + b[0], a[1] + b[1], a[2] + b[2]],
+  sub: (a, b) => [a[0] - b[0], a[1] - b[1], a[2] - b[2]],
+  scale: (a, k) => [a[0] * k, a[1] * k, a[2] * k],
+  dot: (a, b) => a[0] * b[0] + a[1] * b[1] + a[2] * b[2],
+  cross: (a, b) => [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]],
+  norm: a => Math.sqrt(a[0] * a[0] + a[1] * a[1] + a[2] * a[2]),
+  unit: a => vec.scale(a, 1 / vec.norm(a))
+};
+
+/**
+ * 大气密度 [kg/m³]
+ * @param {number} altitude - 高度 [km]
+ */
+function atmosphereDensity(altitude) {
+  if (altitude < 0) return ATMOSPHERE_TABLE[0][1];
+  let row = ATMOSPHERE_TABLE[0];
+  for (const entry of ATMOSPHERE_TABLE) {
+    if (altitude >= entry[0]) row = entry;
+    else break;
+  }
+  return row[1] * Math.exp(-(altitude - row[0]) / row[2]);
+}
+
+/**
+ * 开普勒根数 -> ECI 位置速度
+ * @param {Object} el - { a [km], e, i, raan, argp, M [rad] }
+ * @returns {{r: number[], v: number[]}} [km], [km/s]
+ */
+function keplerToState(el) {
+  // 牛顿迭代求偏近点角
+  let E = el.e < 0.8 ? el.M : Math.PI;
+  for (let k = 0; k < 50; k++) {
+    const dE = (E - el.e * Math.sin(E) - el.M) / (1 - el.e * Math.cos(E));
+    E -= dE;
+    if (Math.abs(dE) < 1e-12) break;
+  }
+
+  const nu = 2 * Math.atan2(Math.sqrt(1 + el.e) * Math.sin(E / 2), Math.sqrt(1 - el.e) * Math.cos(E / 2));
+  const p = el.a * (1 - el.e * el.e);
+  const rMag = el.a * (1 - el.e * Math.cos(E));
+
+  // 近焦点坐标系
+  const rPf = [rMag * Math.cos(nu), rMag * Math.sin(nu), 0];
+  const vPf = [-Math.sqrt(EARTH_MU / p) * Math.sin(nu), Math.sqrt(EARTH_MU / p) * (el.e + Math.cos(nu)), 0];
+
+  const cO = Math.cos(el.raan), sO = Math.sin(el.raan);
+  const ci = Math.cos(el.i), si = Math.sin(el.i);
+  const cw = Math.cos(el.argp), sw = Math.sin(el.argp);
+  const rot = [
+    [cO * cw - sO * sw * ci, -cO * sw - sO * cw * ci, sO * si],
+    [sO * cw + cO * sw * ci, -sO * sw + cO * cw * ci, -cO * si],
+    [sw * si, cw * si, ci]
+  ];
+  const apply = v => rot.map(row => row[0] * v[0] + row[1] * v[1] + row[2] * v[2]);
+  return { r: apply(rPf), v: apply(vPf) };
+}
+
+/**
+ * 加速度：中心引力 + J2 摄动 + 大气阻力
+ * @param {number[]} r - 位置 [km]
+ * @param {number[]} v - 速度 [km/s]
+ * @param {number} ballistic - Cd·A/m [m²/kg]
+ */
+function orbitAcceleration(r, v, ballistic) {
+  const rMag = vec.norm(r);
+  const r2 = rMag * rMag;
+  const gravity = vec.scale(r, -EARTH_MU / (r2 * rMag));
+
+  const zr2 = (r[2] * r[2]) / r2;
+  const k = 1.5 * EARTH_J2 * EARTH_MU * EARTH_RADIUS * EARTH_RADIUS / (r2 * r2 * rMag);
+  const j2 = [
+    k * r[0] * (5 * zr2 - 1),
+    k * r[1] * (5 * zr2 - 1),
+    k * r[2] * (5 * zr2 - 3)
+  ];
+
+  // 大气随地球自转，阻力按相对大气速度计算；ρ·v² 以 m/s 计后换算回 km/s²
+  const vRel = vec.sub(v, vec.cross([0, 0, EARTH_ROTATION_RATE], r));
+  const rho = atmosphereDensity(rMag - EARTH_RADIUS);
+  const drag = vec.scale(vRel, -0.5 * ballistic * rho * vec.norm(vRel) * 1e3);
+
+  return vec.add(vec.add(gravity, j2), drag);
+}
+
+/**
+ * 单步 RK4 积分
+ */
+function rk4Step(state, h, ballistic) {
+  const f = s => ({ dr: s.v, dv: orbitAcceleration(s.r, s.v, ballistic) });
+  const shift = (s, d, k) => ({ r: vec.add(s.r, vec.scale(d.dr, k)), v: vec.add(s.v, vec.scale(d.dv, k)) });
+
+  const k1 = f(state);
+  const k2 = f(shift(state, k1, h / 2));
+  const k3 = f(shift(state, k2, h / 2));
+  const k4 = f(shift(state, k3, h));
+
+  return {
+    r: vec.add(state.r, vec.scale(vec.add(vec.add(k1.dr, vec.scale(k2.dr, 2)), vec.add(vec.scale(k3.dr, 2), k4.dr)), h / 6)),
+    v: vec.add(state.v, vec.scale(vec.add(vec.add(k1.dv, vec.scale(k2.dv, 2)), vec.add(vec.scale(k3.dv, 2), k4.dv)), h / 6))
+  };
+}
+
+/**
+ * 将轨道面板读数转换为两颗卫星的根数（弧度）与物理常数
+ * @param {Object} raw - readPanelParams('panel-orbit-params') 的结果
+ */
+function normalizeOrbitParams(raw) {
+  const deg = Math.PI / 180;
+  const satellite = n => ({
+    a: raw[`sat${n}_a_km`],
+    e: raw[`sat${n}_e`],
+    i: raw[`sat${n}_i_deg`] * deg,
+    argp: raw[`sat${n}_argp_deg`] * deg,
+    raan: raw[`sat${n}_raan_deg`] * deg,
+    M: raw[`sat${n}_M_deg`] * deg,
+    mass: raw[`sat${n}_mass_kg`],
+    area: raw[`sat${n}_area_m2`],
+    cd: raw[`sat${n}_cd`]
+  });
+  return {
+    sat1: satellite(1),
+    sat2: satellite(2),
+    lightSpeed: raw.c_light_kms,
+    laserFrequency: raw.fc_hz
+  };
+}
+
+/**
+ * 超前瞄准角：发射方向需超前视线 2·v⊥/c。
+ * 分解到以终端 1 为原点的视线坐标系：Az 为垂直于视线与当地径向的方向，El 为视线的“仰角”方向。
+ * @returns {{az: number, el: number}} [μrad]
+ */
+function pointAheadAngles(r1, v1, r2, v2, lightSpeed) {
+  const los = vec.unit(vec.sub(r2, r1));
+  const vRel = vec.sub(v2, v1);
+  const vPerp = vec.sub(vRel, vec.scale(los, vec.dot(vRel, los)));
+
+  const azAxis = vec.unit(vec.cross(r1, los));
+  const elAxis = vec.cross(azAxis, los);
+  const k = 2 / lightSpeed * 1e6;
+  return { az: vec.dot(vPerp, azAxis) * k, el: vec.dot(vPerp, elAxis) * k };
+}
+
+/**
+ * 外推两颗卫星并生成链路几何时间序列
+ * @param {Object} params - normalizeOrbitParams 的结果
+ * @param {Object} options
+ * @param {number} options.duration - 时长 [s]
+ * @param {number} options.step - 输出间隔 [s]
+ * @param {number} [options.maxIntegrationStep=10] - 积分最大步长 [s]
+ * @returns {Object[]} 记录：time、range_km、lead_az_urad、lead_el_urad、doppler_ghz、latency_ms 及两星 ECI 位置
+ */
+function propagateSatellitePair(params, options) {
+  const substeps = Math.max(1, Math.ceil(options.step / (options.maxIntegrationStep || 10)));
+  const h = options.step / substeps;
+  const ballistic = sat => sat.cd * sat.area / sat.mass;
+  const b1 = ballistic(params.sat1);
+  const b2 = ballistic(params.sat2);
+
+  let s1 = keplerToState(params.sat1);
+  let s2 = keplerToState(params.sat2);
+  const frames = Math.floor(options.duration / options.step + 1e-9);
+  const records = [];
+
+  for (let n = 0; n <= frames; n++) {
+    const time = Math.round(n * options.step * 1e9) / 1e9;
+    const rel = vec.sub(s2.r, s1.r);
+    const range = vec.norm(rel);
+    const rangeRate = vec.dot(rel, vec.sub(s2.v, s1.v)) / range;
+    const lead = pointAheadAngles(s1.r, s1.v, s2.r, s2.v, params.lightSpeed);
+
+    records.push({
+      step: n,
+      time,
+      range_km: range,
+      lead_az_urad: lead.az,
+      lead_el_urad: lead.el,
+      doppler_ghz: -params.laserFrequency * rangeRate / params.lightSpeed / 1e9,
+      latency_ms: range / params.lightSpeed * 1e3 + PROCESSING_DELAY_MS,
+      sat1_r: s1.r,
+      sat2_r: s2.r
+    });
+
+    for (let k = 0; k < substeps; k++) {
+      s1 = rk4Step(s1, h, b1);
+      s2 = rk4Step(s2, h, b2);
+    }
+  }
+
+  return records;
+}
+
+// 本地外推的采样数上限，超出时放宽输出步长以控制内存
+const MAX_GENERATED_SAMPLES = 20000;
+
+/**
+ * 按面板读数外推双星几何，时长与步长取自器件参数 T_stop / F_samp。
+ * 只依赖传入的读数，批量仿真的 Worker 中同样可用。
+ * @param {Object} orbitRaw - readPanelParams('panel-orbit-params') 的结果
+ * @param {Object} device - readPanelParams('panel-device-params') 的结果
+ * @returns {Object[]} 几何记录
+ */
+function generateOrbitRecords(orbitRaw, device) {
+  const duration = device.T_stop > 0 ? device.T_stop : 0;
+  let step = device.F_samp > 0 ? 1 / device.F_samp : 1;
+  if (duration / step > MAX_GENERATED_SAMPLES) step = duration / MAX_GENERATED_SAMPLES;
+  return propagateSatellitePair(normalizeOrbitParams(orbitRaw), { duration, step });
+}
+
+// 视线最低点低于该高度即认为穿过稠密大气层 [km]
+const LOS_ATMOSPHERE_ALTITUDE = 100;
+
+/**
+ * 视线段上距地心最近点的高度 [km]，为负表示穿过地球
+ */
+function lineOfSightGrazingAltitude(r1, r2) {
+  const d = vec.sub(r2, r1);
+  const t = Math.max(0, Math.min(1, -vec.dot(r1, d) / vec.dot(d, d)));
+  return vec.norm(vec.add(r1, vec.scale(d, t))) - EARTH_RADIUS;
+}
+
+/**
+ * 判断视线遮挡情况
+ * @returns {'clear'|'atmosphere'|'earth'}
+ */
+function classifyLineOfSight(r1, r2, atmosphereAltitude = LOS_ATMOSPHERE_ALTITUDE) {
+  const altitude = lineOfSightGrazingAltitude(r1, r2);
+  if (altitude < 0) return 'earth';
+  if (altitude < atmosphereAltitude) return 'atmosphere';
+  return 'clear';
+}
+
+/**
+ * 由外推记录计算视线通畅的链路可用窗口
+ * @param {Object[]} records - propagateSatellitePair 的结果
+ * @returns {{start: number, end: number}[]}
+ */
+function computeLinkAvailability(records, atmosphereAltitude = LOS_ATMOSPHERE_ALTITUDE) {
+  const windows = [];
+  let current = null;
+  records.forEach(record => {
+    const clear = classifyLineOfSight(record.sat1_r, record.sat2_r, atmosphereAltitude) === 'clear';
+    if (clear && !current) {
+      current = { start: record.time, end: record.time };
+      windows.push(current);
+    } else if (clear) {
+      current.end = record.time;
+    } else {
+      current = null;
+    }
+  });
+  return windows;
+}
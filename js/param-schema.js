@@ -0,0 +1,563 @@
+// --- 参数模式 (Schema) ---
+// 所有配置面板的参数在此声明：ID、标签、单位、类型、取值范围与默认值。
+// 面板表单由模式生成；输入可切换为同量纲的其他单位，读取时换算回参数的标称单位，导出时换算为 SI。
+
+/**
+ * 单位定义：SI 值 = 数值 × factor + offset
+ */
+const UNITS = {
+  rad: { quantity: 'angle', factor: 1 },
+  mrad: { quantity: 'angle', factor: 1e-3 },
+  'μrad': { quantity: 'angle', factor: 1e-6 },
+  deg: { quantity: 'angle', factor: Math.PI / 180 },
+  m: { quantity: 'length', factor: 1 },
+  km: { quantity: 'length', factor: 1e3 },
+  cm: { quantity: 'length', factor: 1e-2 },
+  mm: { quantity: 'length', factor: 1e-3 },
+  'μm': { quantity: 'length', factor: 1e-6 },
+  nm: { quantity: 'length', factor: 1e-9 },
+  s: { quantity: 'time', factor: 1 },
+  ms: { quantity: 'time', factor: 1e-3 },
+  'μs': { quantity: 'time', factor: 1e-6 },
+  Hz: { quantity: 'frequency', factor: 1 },
+  kHz: { quantity: 'frequency', factor: 1e3 },
+  THz: { quantity: 'frequency', factor: 1e12 },
+  W: { quantity: 'power', factor: 1 },
+  mW: { quantity: 'power', factor: 1e-3 },
+  'μW': { quantity: 'power', factor: 1e-6 },
+  nW: { quantity: 'power', factor: 1e-9 },
+  A: { quantity: 'current', factor: 1 },
+  nA: { quantity: 'current', factor: 1e-9 },
+  'm/s': { quantity: 'speed', factor: 1 },
+  'km/s': { quantity: 'speed', factor: 1e3 },
+  'rad/s': { quantity: 'angularRate', factor: 1 },
+  'deg/s': { quantity: 'angularRate', factor: Math.PI / 180 },
+  K: { quantity: 'temperature', factor: 1 },
+  '°C': { quantity: 'temperature', factor: 1, offset: 273.15 },
+  H: { quantity: 'inductance', factor: 1 },
+  mH: { quantity: 'inductance', factor: 1e-3 }
+};
+
+const SI_UNITS = {
+  angle: 'rad', length: 'm', time: 's', frequency: 'Hz', power: 'W', current: 'A',
+  speed: 'm/s', angularRate: 'rad/s', temperature: 'K', inductance: 'H'
+};
+
+/**
+ * 单位换算。未登记的单位（无量纲、kg 等）按 1:1 处理。
+ */
+function convertUnit(value, fromUnit, toUnit) {
+  if (fromUnit === toUnit) return value;
+  const from = UNITS[fromUnit];
+  const to = UNITS[toUnit];
+  if (!from || !to || from.quantity !== to.quantity) return value;
+  const si = value * from.factor + (from.offset || 0);
+  return (si - (to.offset || 0)) / to.factor;
+}
+
+/**
+ * 参数对应的 SI 单位
+ */
+function siUnitOf(unit) {
+  const info = UNITS[unit];
+  return info ? SI_UNITS[info.quantity] : (unit || '');
+}
+
+const num = (id, label, unit, options = {}) => ({ id, label, unit, type: 'number', ...options });
+const ANGLE_UNITS = ['rad', 'mrad', 'μrad', 'deg'];
+
+/**
+ * 面板参数模式。每个参数的 unit 为标称单位（readPanelParams 返回值所用单位），
+ * units 为输入时可选的单位（首项为默认显示单位），aliases 为旧版表单中的标签。
+ */
+const PARAM_SCHEMA = [
+  {
+    panel: 'panel-environment-params',
+    title: '环境参数配置',
+    groups: [{
+      params: [
+        {
+          id: 'env_model', label: '空间环境模型', type: 'select', default: '温度',
+          options: [{ value: '温度' }, { value: '辐照' }, { value: '自由空间损耗' }]
+        },
+        num('T_platform', '平台温度', '°C', { units: ['°C', 'K'], default: 25.4, min: -150, max: 150, aliases: ['balabala'] }),
+        num('T_ambient', '环境温度', 'K', { units: ['K', '°C'], default: 290, min: 0, aliases: ['balabala'] }),
+        { id: 'F107', label: '太阳活动指数 (F10.7)', type: 'range', unit: 'sfu', default: 150, min: 50, max: 300, fullWidth: true },
+        num('T_background', '背景噪声温度', 'K', { units: ['K', '°C'], default: 2.7, min: 0, fullWidth: true })
+      ]
+    }]
+  },
+  {
+    panel: 'panel-orbit-params',
+    title: '轨道参数配置',
+    groups: [1, 2].map(n => ({
+      legend: `卫星 ${n} (MySat_${n})`,
+      params: [
+        num(`sat${n}_a_km`, '半长轴', 'km', { units: ['km', 'm'], default: n === 1 ? 6978.137 : 7000.0, exclusiveMin: EARTH_RADIUS }),
+        num(`sat${n}_e`, '偏心率', '', { default: n === 1 ? 0.0 : 0.001, min: 0, exclusiveMax: 1 }),
+        num(`sat${n}_i_deg`, '倾角', 'deg', { units: ['deg', 'rad'], default: n === 1 ? 45.0 : 98.0, min: 0, max: 180 }),
+        num(`sat${n}_argp_deg`, '近地点幅角', 'deg', { units: ['deg', 'rad'], default: 0.0, min: 0, max: 360 }),
+        num(`sat${n}_raan_deg`, '升交点赤经', 'deg', { units: ['deg', 'rad'], default: n === 1 ? 0.0 : 30.0, min: 0, max: 360 }),
+        num(`sat${n}_M_deg`, '平近点角', 'deg', { units: ['deg', 'rad'], default: 0.0, min: 0, max: 360 }),
+        num(`sat${n}_mass_kg`, '质量', 'kg', { default: n === 1 ? 1000 : 500, exclusiveMin: 0 }),
+        num(`sat${n}_area_m2`, '阻力面积', 'm²', { default: n === 1 ? 2.2 : 1.5, min: 0 }),
+        num(`sat${n}_cd`, '阻力系数 (Cd)', '', { default: 2.2, min: 0, max: 10, fullWidth: true })
+      ]
+    })).concat([{
+      legend: '物理常数',
+      params: [
+        num('c_light_kms', '光速 (c_light)', 'km/s', { units: ['km/s', 'm/s'], default: 299792.458, exclusiveMin: 0, fullWidth: true }),
+        num('fc_hz', '激光频率 (fc)', 'Hz', { units: ['Hz', 'THz'], default: 193.5e12, exclusiveMin: 0, fullWidth: true })
+      ]
+    }])
+  },
+  {
+    panel: 'panel-terminal-params',
+    title: '终端参数配置',
+    groups: [
+      {
+        legend: '光学天线与激光特性',
+        params: [
+          num('wavelength_nm', '波长 (Wavelength)', 'nm', { units: ['nm', 'μm'], default: 1550, min: 200, max: 20000 }),
+          num('P_tx_W', '入瞳功率 (OpticalPower)', 'W', { units: ['W', 'mW'], default: 2, exclusiveMin: 0 }),
+          num('eta_tx', '发射光学效率', '', { default: 0.75, exclusiveMin: 0, max: 1 }),
+          num('eta_rx', '接收光学效率', '', { default: 0.66, exclusiveMin: 0, max: 1 }),
+          num('D_mm', '天线孔径 (Diameter)', 'mm', { units: ['mm', 'cm', 'm'], default: 56, exclusiveMin: 0 }),
+          num('divergence_urad', '发散角 (Divergence)', 'μrad', { units: ['μrad', 'mrad', 'rad', 'deg'], default: 60, exclusiveMin: 0, aliases: ['散散角 (Divergence)'] }),
+          num('split_ratio', '分光比 (Comm/Track)', '', { default: 0.95, exclusiveMin: 0, max: 1 }),
+          num('pointing_rms_urad', '指向误差 (total_rms)', 'μrad', { units: ['μrad', 'mrad'], default: 2.0, min: 0 })
+        ]
+      },
+      {
+        legend: '光纤耦合器 (Coupler)',
+        params: [
+          num('w_fiber_um', '光纤模场半径 (wb)', 'μm', { units: ['μm', 'mm'], default: 5, exclusiveMin: 0 }),
+          num('f_cm', '系统焦距 (fd)', 'cm', { units: ['cm', 'mm', 'm'], default: 45, exclusiveMin: 0 }),
+          num('eps', '等效遮挡比 (eps)', '', { default: 0, min: 0, exclusiveMax: 1, fullWidth: true })
+        ]
+      },
+      {
+        legend: '探测器与通信解调',
+        params: [
+          num('R_resp', '响应度 (R)', 'A/W', { default: 0.78, exclusiveMin: 0 }),
+          num('T_noise', '等效噪声温度 (T)', 'K', { units: ['K', '°C'], default: 300, exclusiveMin: 0 }),
+          num('R_eq', '等效电阻 (Req)', 'Ω', { default: 1000, exclusiveMin: 0 }),
+          num('I_dark', '暗电流 (Id)', 'A', { units: ['A', 'nA'], default: 1.5e-9, min: 0 }),
+          {
+            id: 'B_mode', label: '带宽 (B_mode)', type: 'select', default: '2.5G',
+            options: [{ value: '2.5G', label: '2.5 GHz' }, { value: '1.25G', label: '1.25 GHz' }, { value: '10G', label: '10 GHz' }]
+          },
+          {
+            id: 'modulation', label: '调制格式', type: 'select', default: 'QPSK',
+            options: [{ value: 'QPSK' }, { value: 'BPSK' }, { value: '16QAM' }, { value: '64QAM' }]
+          },
+          num('sensitivity_uW', '接收机灵敏度', 'μW', { units: ['μW', 'nW', 'mW'], default: 0.0316, exclusiveMin: 0, fullWidth: true })
+        ]
+      }
+    ]
+  },
+  {
+    panel: 'panel-device-params',
+    title: '器件参数配置',
+    groups: [
+      {
+        legend: '仿真通用设置',
+        params: [
+          num('F_s', 'LR 求解器频率 (F_s)', 'Hz', { units: ['Hz', 'kHz'], default: 60000, exclusiveMin: 0 }),
+          num('T_stop', '仿真时长 (T_stop)', 's', { units: ['s', 'ms'], default: 15, exclusiveMin: 0 }),
+          num('F_samp', '输出采样频率 (F_samp)', 'Hz', { units: ['Hz', 'kHz'], default: 100, exclusiveMin: 0, fullWidth: true })
+        ]
+      },
+      {
+        legend: '光学与天线增益',
+        params: [
+          num('G_op', '望远镜放大系数 (G_op)', '', { default: 7, exclusiveMin: 0 }),
+          num('FPA_op', '指向角/FPA增益 (FPA_op)', '', { default: 1.414, exclusiveMin: 0 })
+        ]
+      },
+      {
+        legend: '探测器参数 (Detector)',
+        params: [
+          num('FOV_D', '视场半径 (FOV_D)', 'rad', { units: ANGLE_UNITS, default: 0.004, exclusiveMin: 0 }),
+          num('f_D', '采样率 (f_D)', 'Hz', { units: ['Hz', 'kHz'], default: 6000, exclusiveMin: 0 }),
+          num('pix_D', '像元尺寸 (pix_D)', 'μm', { units: ['μm', 'mm'], default: 5.5, exclusiveMin: 0 }),
+          num('n_D', '噪声幅度 (n_D)', 'rad', { units: ['rad', 'μrad'], default: 1e-6, min: 0 }),
+          num('FOV_F', '精探测视场半径 (FOV_F)', 'rad', { units: ANGLE_UNITS, default: 2e-4, exclusiveMin: 0 }),
+          num('pix_F', '精探测像元尺寸 (pix_F)', 'μm', { units: ['μm', 'mm'], default: 15, exclusiveMin: 0 })
+        ]
+      },
+      {
+        legend: '捕获与跟踪 (PAT)',
+        params: [
+          {
+            id: 'pat_pattern', label: '扫描方式', type: 'select', default: 'spiral',
+            options: [{ value: 'spiral', label: '螺旋扫描' }, { value: 'raster', label: '光栅扫描' }]
+          },
+          num('pat_unc', '不确定区域半角 (FOU)', 'rad', { units: ANGLE_UNITS, default: 5e-4, exclusiveMin: 0 }),
+          num('pat_overlap', '扫描重叠率', '', { default: 0.2, min: 0, exclusiveMax: 1 }),
+          num('pat_dwell', '扫描驻留时间', 's', { units: ['s', 'ms', 'μs'], default: 0.002, exclusiveMin: 0 }),
+          num('pat_snr_acq', '捕获 SNR 门限', 'dB', { default: 10 }),
+          num('pat_hold', '交接保持时间', 's', { units: ['s', 'ms'], default: 0.05, min: 0 })
+        ]
+      },
+      {
+        legend: '精瞄组件 (FPA)',
+        params: [
+          num('J_fsm', '转动惯量 (J_fsm)', 'kg·m²', { default: 1e-5, exclusiveMin: 0 }),
+          num('F_fpid', '控制器频率 (F_fpid)', 'Hz', { units: ['Hz', 'kHz'], default: 6000, exclusiveMin: 0 }),
+          num('fsm_max', '最大偏转角 (fsm_max, ±)', 'rad', { units: ANGLE_UNITS, default: 0.013, exclusiveMin: 0, fullWidth: true, aliases: ['最大偏转角 (fsm_max)'] })
+        ]
+      },
+      {
+        legend: '粗瞄组件 (CPA)',
+        params: [
+          num('R_m', '电阻 (R)', 'Ω', { default: 20, exclusiveMin: 0 }),
+          num('L_m', '电感 (L)', 'H', { units: ['H', 'mH'], default: 0.006, exclusiveMin: 0 }),
+          num('K_b', '反电动势系数 (K_b)', 'V·s/rad', { default: 0.636, exclusiveMin: 0 }),
+          num('C_m', '力矩系数 (C_m)', 'N·m/A', { default: 0.636, exclusiveMin: 0 }),
+          num('J_m', '转动惯量 (J_m)', 'kg·m²', { default: 0.5, exclusiveMin: 0 }),
+          num('T_cp', '更新时间 (T_cp)', 's', { units: ['s', 'ms'], default: 0.02, exclusiveMin: 0 }),
+          num('cpa_max_deg', '最大偏转角 (±)', 'deg', { units: ['deg', 'rad'], default: 90, exclusiveMin: 0, max: 180, aliases: ['最大偏转角'] }),
+          num('cpa_rate_deg', '最大转速', 'deg/s', { units: ['deg/s', 'rad/s'], default: 5, exclusiveMin: 0 })
+        ]
+      },
+      {
+        legend: 'CPA位置传感器 (码盘)',
+        params: [
+          num('T_mp', '采样周期 (T_mp)', 's', { units: ['s', 'ms', 'μs'], default: 2e-4, exclusiveMin: 0 }),
+          num('F_mp', '码盘频率 (F_mp)', 'Hz', { units: ['Hz', 'kHz'], default: 500, exclusiveMin: 0 }),
+          num('pn_mp', '噪声功率 (pn_mp)', '', { default: 1e-5, min: 0, fullWidth: true })
+        ]
+      },
+      {
+        legend: '伺服控制器 (PID)',
+        params: [
+          num('cpa_kp', 'CPA 比例增益 (Kp)', 'V/rad', { default: 790, min: 0 }),
+          num('fsm_kp', 'FSM 比例增益 (Kp)', 'N·m/rad', { default: 14, min: 0 }),
+          num('cpa_ki', 'CPA 积分增益 (Ki)', 'V/(rad·s)', { default: 400, min: 0 }),
+          num('fsm_ki', 'FSM 积分增益 (Ki)', 'N·m/(rad·s)', { default: 700, min: 0 }),
+          num('cpa_kd', 'CPA 微分增益 (Kd)', 'V·s/rad', { default: 188, min: 0 }),
+          num('fsm_kd', 'FSM 微分增益 (Kd)', 'N·m·s/rad', { default: 0.044, min: 0 })
+        ]
+      },
+      {
+        legend: '平台扰动',
+        params: [
+          num('dist_amp', '正弦振动幅度', 'μrad', { units: ['μrad', 'mrad'], default: 50, min: 0 }),
+          num('dist_freq', '正弦振动频率', 'Hz', { default: 1, min: 0 }),
+          num('dist_rms', '随机抖动 (RMS)', 'μrad', { units: ['μrad', 'mrad'], default: 5, min: 0, fullWidth: true })
+        ]
+      }
+    ]
+  },
+  {
+    panel: 'panel-task-params',
+    title: '任务参数配置',
+    groups: []
+  }
+];
+
+/**
+ * 参数 ID -> { def, panel }
+ */
+const PARAM_INDEX = {};
+PARAM_SCHEMA.forEach(panel => {
+  panel.groups.forEach(group => registerParamDefs(panel.panel, panel.title, group.params));
+});
+
+/**
+ * 登记不属于配置面板的参数（如工况注入对话框），使其同样支持单位换算与校验
+ * @param {string} panelId - 所属容器 ID
+ * @param {string} title - 所属容器标题
+ * @param {Object[]} defs - 参数定义
+ */
+function registerParamDefs(panelId, title, defs) {
+  defs.forEach(def => {
+    PARAM_INDEX[def.id] = { def, panel: panelId, panelTitle: title };
+  });
+}
+
+/**
+ * 格式化带单位的数值，用于错误提示
+ */
+function formatWithUnit(value, unit) {
+  const text = Math.abs(value) >= 1e9 || (Math.abs(value) < 1e-3 && value !== 0)
+    ? value.toExponential(3)
+    : String(Math.round(value * 1e6) / 1e6);
+  return unit ? `${text} ${unit}` : text;
+}
+
+/**
+ * 校验单个参数值（标称单位）
+ * @param {Object} def - 参数定义
+ * @param {number|string} value - 标称单位下的值
+ * @param {string} [displayUnit] - 当前显示单位，用于提示信息
+ * @returns {string|null} 错误信息，合法时为 null
+ */
+function validateParamValue(def, value, displayUnit = def.unit) {
+  if (def.type === 'select') {
+    return def.options.some(opt => opt.value === value) ? null : '请选择有效选项';
+  }
+  if (!Number.isFinite(value)) return '请输入有效数值';
+
+  const shown = bound => formatWithUnit(convertUnit(bound, def.unit, displayUnit), displayUnit);
+  if (def.min !== undefined && value < def.min) return `不能小于 ${shown(def.min)}`;
+  if (def.exclusiveMin !== undefined && value <= def.exclusiveMin) return `必须大于 ${shown(def.exclusiveMin)}`;
+  if (def.max !== undefined && value > def.max) return `不能大于 ${shown(def.max)}`;
+  if (def.exclusiveMax !== undefined && value >= def.exclusiveMax) return `必须小于 ${shown(def.exclusiveMax)}`;
+  return null;
+}
+
+// --- 表单生成与读取 ---
+
+function renderParamField(def) {
+  const group = document.createElement('div');
+  group.className = 'form-group';
+  group.dataset.paramId = def.id;
+
+  const label = document.createElement('label');
+  label.htmlFor = `param-${def.id}`;
+  label.textContent = def.label;
+  group.appendChild(label);
+
+  if (def.type === 'select') {
+    const select = document.createElement('select');
+    select.id = `param-${def.id}`;
+    select.dataset.param = def.id;
+    def.options.forEach(opt => {
+      const option = document.createElement('option');
+      option.value = opt.value;
+      option.textContent = opt.label || opt.value;
+      option.selected = opt.value === def.default;
+      select.appendChild(option);
+    });
+    group.appendChild(select);
+  } else if (def.type === 'range') {
+    const input = document.createElement('input');
+    input.type = 'range';
+    input.id = `param-${def.id}`;
+    input.dataset.param = def.id;
+    input.min = def.min;
+    input.max = def.max;
+    input.value = def.default;
+    input.style.width = '100%';
+    group.appendChild(input);
+
+    const scale = document.createElement('div');
+    scale.className = 'range-scale';
+    scale.innerHTML = `<span>Low (${def.min})</span><output>${def.default}</output><span>High (${def.max})</span>`;
+    input.addEventListener('input', () => { scale.querySelector('output').textContent = input.value; });
+    group.appendChild(scale);
+  } else {
+    const row = document.createElement('div');
+    row.className = 'input-with-unit';
+
+    const input = document.createElement('input');
+    input.type = 'number';
+    input.step = 'any';
+    input.id = `param-${def.id}`;
+    input.dataset.param = def.id;
+    input.value = def.default;
+    row.appendChild(input);
+
+    if (def.units && def.units.length > 1) {
+      const unitSelect = document.createElement('select');
+      unitSelect.className = 'unit-select';
+      unitSelect.title = '输入单位';
+      def.units.forEach(unit => {
+        const option = document.createElement('option');
+        option.value = unit;
+        option.textContent = unit;
+        unitSelect.appendChild(option);
+      });
+      unitSelect.value = def.unit;
+      unitSelect.dataset.previous = def.unit;
+      // 切换单位时换算当前数值，物理量保持不变
+      unitSelect.addEventListener('change', () => {
+        const value = parseFloat(input.value);
+        if (Number.isFinite(value)) {
+          input.value = +convertUnit(value, unitSelect.dataset.previous, unitSelect.value).toPrecision(12);
+        }
+        unitSelect.dataset.previous = unitSelect.value;
+        validateParamField(group);
+      });
+      row.appendChild(unitSelect);
+    } else if (def.unit) {
+      const unitLabel = document.createElement('span');
+      unitLabel.className = 'unit-label';
+      unitLabel.textContent = def.unit;
+      row.appendChild(unitLabel);
+    }
+    group.appendChild(row);
+  }
+
+  const error = document.createElement('div');
+  error.className = 'field-error';
+  group.appendChild(error);
+  return group;
+}
+
+/**
+ * 按模式生成所有面板的表单内容（组件 HTML 加载后调用）
+ */
+function renderParameterPanels() {
+  PARAM_SCHEMA.forEach(panelDef => {
+    const body = document.querySelector(`#${panelDef.panel} .secondary-panel-body`);
+    if (!body) return;
+    body.innerHTML = '';
+
+    if (panelDef.groups.length === 0) {
+      body.innerHTML = '<p>暂无需要配置的参数</p>';
+      return;
+    }
+
+    panelDef.groups.forEach(groupDef => {
+      let container = body;
+      if (groupDef.legend) {
+        container = document.createElement('fieldset');
+        container.className = 'param-fieldset';
+        const legend = document.createElement('legend');
+        legend.textContent = groupDef.legend;
+        container.appendChild(legend);
+        body.appendChild(container);
+      }
+
+      // 相邻两个参数并排一行，fullWidth 参数独占一行
+      let row = null;
+      groupDef.params.forEach(def => {
+        const field = renderParamField(def);
+        if (def.fullWidth) {
+          container.appendChild(field);
+          row = null;
+          return;
+        }
+        if (!row) {
+          row = document.createElement('div');
+          row.className = 'form-row';
+          container.appendChild(row);
+          row.appendChild(field);
+        } else {
+          row.appendChild(field);
+          row = null;
+        }
+      });
+    });
+
+    body.addEventListener('input', e => {
+      const group = e.target.closest('.form-group[data-param-id]');
+      if (group) validateParamField(group);
+    });
+  });
+  invalidatePanelParams();
+}
+
+/**
+ * 读取单个参数控件的值，数值换算到参数的标称单位
+ */
+function readParamInput(el) {
+  const entry = PARAM_INDEX[el.dataset.param];
+  if (el.tagName === 'SELECT') return el.value;
+  const value = parseFloat(el.value);
+  const unitSelect = el.closest('.form-group')?.querySelector('.unit-select');
+  return entry && unitSelect ? convertUnit(value, unitSelect.value, entry.def.unit) : value;
+}
+
+/**
+ * 写入单个参数控件的值
+ * @param {HTMLElement} el - 带 data-param 的输入或下拉框
+ * @param {number|string} value - 数值，或下拉框的选项值/选项文字
+ * @param {string} [unit] - value 的单位，缺省为参数的标称单位
+ */
+function writeParamInput(el, value, unit) {
+  const entry = PARAM_INDEX[el.dataset.param];
+  const group = el.closest('.form-group');
+  if (el.tagName === 'SELECT') {
+    const option = entry && entry.def.options.find(opt => opt.value === value || opt.label === value);
+    el.value = option ? option.value : value;
+  } else {
+    const unitSelect = group?.querySelector('.unit-select');
+    const nominal = entry ? entry.def.unit : unit;
+    const displayUnit = unitSelect ? unitSelect.value : nominal;
+    el.value = +convertUnit(Number(value), unit || nominal, displayUnit).toPrecision(12);
+    const output = group?.querySelector('.range-scale output');
+    if (output) output.textContent = el.value;
+  }
+  if (group) validateParamField(group);
+  invalidatePanelParams();
+}
+
+/**
+ * 按面板标题与标签查找参数（兼容旧版 InputDatas.csv：标签末尾带 [单位]）
+ * @param {string} panelTitle
+ * @param {string} label
+ * @param {Set<string>} [exclude] - 已匹配的参数 ID，同名标签依次对应后续参数
+ */
+function findParamByLabel(panelTitle, label, exclude = new Set()) {
+  const panelDef = PARAM_SCHEMA.find(p => p.title === panelTitle);
+  if (!panelDef) return null;
+  const bare = label.replace(/\s*\[[^\]]*\]\s*$/, '').trim();
+  for (const group of panelDef.groups) {
+    const def = group.params.find(d => !exclude.has(d.id) &&
+      (d.label === bare || (d.aliases || []).includes(bare)));
+    if (def) return def;
+  }
+  return null;
+}
+
+/**
+ * 校验单个字段并显示/清除内联错误
+ * @returns {boolean} 是否合法
+ */
+function validateParamField(group) {
+  const el = group.querySelector('[data-param]');
+  const entry = el && PARAM_INDEX[el.dataset.param];
+  if (!entry) return true;
+
+  const unitSelect = group.querySelector('.unit-select');
+  const error = validateParamValue(entry.def, readParamInput(el), unitSelect ? unitSelect.value : entry.def.unit);
+  group.classList.toggle('invalid', !!error);
+  group.querySelector('.field-error').textContent = error || '';
+  return !error;
+}
+
+/**
+ * 校验整个面板
+ * @returns {boolean} 面板内全部参数合法
+ */
+function validateParamPanel(panelId) {
+  const panel = document.getElementById(panelId);
+  if (!panel) return true;
+  let valid = true;
+  panel.querySelectorAll('.form-group[data-param-id]').forEach(group => {
+    if (!validateParamField(group)) valid = false;
+  });
+  return valid;
+}
+
+/**
+ * 收集导出数据：数值参数换算为 SI 单位
+ * @returns {{panel: string, id: string, parameter: string, value: (number|string), unit: string}[]}
+ */
+function collectParamsForExport() {
+  const rows = [];
+  PARAM_SCHEMA.forEach(panelDef => {
+    const panel = document.getElementById(panelDef.panel);
+    if (!panel) return;
+    panelDef.groups.forEach(group => {
+      group.params.forEach(def => {
+        const el = panel.querySelector(`[data-param="${def.id}"]`);
+        if (!el) return;
+        const value = readParamInput(el);
+        const unit = def.type === 'number' ? siUnitOf(def.unit) : (def.unit || '');
+        rows.push({
+          panel: panelDef.title,
+          id: def.id,
+          parameter: def.label,
+          value: def.type === 'number' ? convertUnit(value, def.unit, unit) : value,
+          unit
+        });
+      });
+    });
+  });
+  return rows;
+}
@@ -0,0 +1,557 @@
+// --- 捕获、跟踪与瞄准 (PAT) ---
+// 两个终端按 扫描/凝视 -> 粗跟踪 -> 精跟踪 -> 通信 的状态机推进：
+// 终端 1 以信标在不确定区域内按螺旋或光栅路径扫描，终端 2 以粗探测器凝视；
+// 信标扫过视线且跟踪探测器信噪比达到门限时终端 2 捕获并回指，回指光束覆盖终端 1 后终端 1 停止扫描；
+// 开环指向误差由粗跟踪环路收敛，光斑进入精探测器线性区并保持后交接给精跟踪，链路余量满足时进入通信。
+// 状态机以固定步长从时间轴起点推进，拖动时间轴回退时重新推演，因此任意时刻的状态与播放路径无关。
+
+const PAT_MIN_STEP = 0.01; // 状态机推进步长 [s]
+const PAT_MAX_STEPS = 20000; // 时间轴过长时加大步长，使整段推演不超过该步数
+const PAT_COARSE_TAU_CYCLES = 5; // 粗跟踪环路时间常数 = 该倍数 × CPA 更新时间 T_cp
+const PAT_MAX_SCAN_POINTS = 20000; // 扫描点数上限，超出时加大扫描间距
+const PAT_SEED = 0x50415431; // 开环指向误差的随机种子
+
+/**
+ * 状态 -> 显示名称、推进次序与流程图序号
+ */
+const PAT_STATES = {
+  idle: { label: '待机', rank: 0, flowIndex: 0 },
+  scan: { label: '扫描', rank: 1, flowIndex: 1 },
+  stare: { label: '凝视', rank: 1, flowIndex: 1 },
+  coarse: { label: '粗跟踪', rank: 2, flowIndex: 2 },
+  fine: { label: '精跟踪', rank: 3, flowIndex: 2 },
+  comm: { label: '通信', rank: 4, flowIndex: 3 }
+};
+
+const PAT_TERMINALS = ['T1', 'T2'];
+
+let patEngine = null;
+let patConfigKey = null;
+let patDataKey = null;
+let patPublishedUntil = -Infinity; // 已发布过迁移事件的时刻，回退重推演时不重复发布
+const patScanCache = { key: null, points: [] };
+
+/**
+ * 读取状态机参数（角度为 rad）
+ */
+function readPatConfig() {
+  const device = readPanelParams('panel-device-params');
+  const terminal = normalizeTerminalParams(readPanelParams('panel-terminal-params'));
+  const overlap = Number.isFinite(device.pat_overlap) ? device.pat_overlap : 0;
+  return {
+    pattern: device.pat_pattern,
+    uncertainty: device.pat_unc,
+    spacing: terminal.divergence * (1 - overlap),
+    beamHalfAngle: terminal.divergence / 2,
+    dwell: device.pat_dwell,
+    snrThreshold: device.pat_snr_acq,
+    hold: device.pat_hold,
+    coarseTau: PAT_COARSE_TAU_CYCLES * device.T_cp,
+    coarseFov: device.FOV_D,
+    fineLinearRange: detectorGeometry('FPA').linearRange,
+    // 跟踪支路：分光后剩余功率，噪声带宽为探测器采样率（热噪声受限，SNR ∝ I² / B）
+    trackSnrOffsetDb: 20 * Math.log10((1 - terminal.splitRatio) / terminal.splitRatio) +
+      10 * Math.log10(terminal.bandwidth / device.f_D)
+  };
+}
+
+/**
+ * 生成扫描路径（以名义视线为原点的角偏差 [rad]）
+ * @param {'spiral'|'raster'} pattern
+ * @param {number} radius - 不确定区域半角
+ * @param {number} spacing - 相邻扫描线/扫描点间距
+ * @returns {{x: number, y: number}[]}
+ */
+function buildScanPattern(pattern, radius, spacing) {
+  if (!(radius > 0) || !(spacing > 0)) return [{ x: 0, y: 0 }];
+  // 点数约为 (2R / 间距)²，超出上限时按比例放大间距
+  spacing = Math.max(spacing, 2 * radius / Math.sqrt(PAT_MAX_SCAN_POINTS / 1.3));
+
+  const points = [];
+  if (pattern === 'raster') {
+    let row = 0;
+    for (let y = -radius; y <= radius + 1e-12; y += spacing, row++) {
+      const half = Math.sqrt(Math.max(0, radius * radius - y * y));
+      const count = Math.max(1, Math.round(2 * half / spacing) + 1);
+      for (let i = 0; i < count; i++) {
+        const k = row % 2 === 0 ? i : count - 1 - i; // 往返扫描
+        points.push({ x: count === 1 ? 0 : -half + 2 * half * k / (count - 1), y });
+      }
+    }
+    return points;
+  }
+
+  // 阿基米德螺线 r = a·θ，相邻圈距为间距，沿弧长等间距取点
+  const a = spacing / (2 * Math.PI);
+  for (let theta = 0; a * theta <= radius; theta += spacing / Math.hypot(a * theta, a)) {
+    points.push({ x: a * theta * Math.cos(theta), y: a * theta * Math.sin(theta) });
+  }
+  return points;
+}
+
+function getScanPattern(config, radius) {
+  const key = `${config.pattern}|${radius}|${config.spacing}`;
+  if (patScanCache.key !== key) {
+    patScanCache.key = key;
+    patScanCache.points = buildScanPattern(config.pattern, radius, config.spacing);
+  }
+  return patScanCache.points;
+}
+
+/**
+ * 不确定区域内确定性的开环指向误差
+ */
+function initialPointingError(index, radius) {
+  const r = radius * Math.sqrt(seededUniform(PAT_SEED, index * 2));
+  const phi = 2 * Math.PI * seededUniform(PAT_SEED, index * 2 + 1);
+  return { x: r * Math.cos(phi), y: r * Math.sin(phi) };
+}
+
+/**
+ * 跟踪残差 [rad] = 复合轴伺服误差 ERR_X/ERR_Y + 数据给出的残差。
+ * 数据光斑列以 FOV_D 归一化；无光斑列时取工况产生的该终端跟踪误差。
+ * 伺服结果尚在 Worker 中计算时按零误差处理，结果到达后状态机整体重放
+ */
+function readPointingResidual(sample, id, fov, servoResults) {
+  const servo = sampleServoError(id, sample.time, servoResults) || { x: 0, y: 0 };
+  const n = id === 'T1' ? 1 : 2;
+  if (isResultFieldAvailable(resultMeta, `spot${n}_x`) && Number.isFinite(sample[`spot${n}_x`])) {
+    return { x: servo.x + sample[`spot${n}_x`] * fov, y: servo.y + sample[`spot${n}_y`] * fov };
+  }
+  const track = id === 'T1' ? 'track_err' : 'track2_err';
+  if (Number.isFinite(sample[`${track}_az_urad`])) {
+    return { x: servo.x + sample[`${track}_az_urad`] * 1e-6, y: servo.y + sample[`${track}_el_urad`] * 1e-6 };
+  }
+  return { x: servo.x, y: servo.y };
+}
+
+/**
+ * 链路条件：跟踪探测器信噪比是否达到捕获门限、通信链路是否可用。
+ * 无信噪比数据时不以信噪比为约束；通信判据与任务阶段划分一致（余量 ≥ 0 dB，或误码率 ≤ 1e-3）。
+ */
+function readPatLinkConditions(sample, budget, config) {
+  const down = sample.link_up === 0;
+  const snr = pickAlarmValue(sample, budget, 'snr_db');
+  const trackSnr = Number.isFinite(snr) ? snr + config.trackSnrOffsetDb : NaN;
+  const margin = pickAlarmValue(sample, budget, 'link_margin_db');
+  const ber = pickAlarmValue(sample, budget, 'ber');
+  let commOk = true;
+  if (Number.isFinite(margin)) commOk = margin >= 0;
+  else if (Number.isFinite(ber)) commOk = ber <= 1e-3;
+  return {
+    trackSnr,
+    beaconOk: !down && (!Number.isFinite(trackSnr) || trackSnr >= config.snrThreshold),
+    commOk: !down && commOk
+  };
+}
+
+/**
+ * 创建状态机，从 startTime 开始
+ */
+function createPatEngine(startTime, config, uncertainty) {
+  const terminals = {};
+  PAT_TERMINALS.forEach((id, index) => {
+    terminals[id] = {
+      state: id === 'T1' ? 'scan' : 'stare',
+      since: startTime,
+      acquisition: initialPointingError(index, uncertainty), // 尚未由跟踪环路消除的开环误差
+      error: null, // 探测器上的光斑偏差（已捕获时）
+      lostError: null, // 失锁前最后一步的光斑偏差，重新捕获前保留
+      holdSince: null
+    };
+  });
+  return {
+    time: startTime,
+    startTime,
+    uncertainty,
+    scanTime: 0,
+    scanIndex: 0,
+    scanRounds: 0,
+    lossSince: null,
+    conditions: null,
+    terminals,
+    transitions: []
+  };
+}
+
+function transitionPat(engine, id, to, reason, time) {
+  const terminal = engine.terminals[id];
+  const from = terminal.state;
+  if (from === to) return;
+  const record = { time, id, from, to, reason, duration: time - terminal.since };
+  engine.transitions.push(record);
+  terminal.state = to;
+  terminal.since = time;
+  terminal.holdSince = null;
+
+  if (time <= patPublishedUntil) return;
+  const rank = PAT_STATES[to].rank - PAT_STATES[from].rank;
+  publishEvent({
+    type: 'pat.transition',
+    source: 'pat',
+    severity: rank < 0 ? 'warning' : 'info',
+    link: id,
+    message: `${PAT_STATES[from].label} → ${PAT_STATES[to].label}（${reason}，用时 ${record.duration.toFixed(2)}s）`,
+    payload: { from, to, reason, duration: record.duration },
+    simTime: time
+  });
+}
+
+/**
+ * 推进状态机一步
+ * @param {Object} engine
+ * @param {number} time - 步末时刻 [s]
+ * @param {Object} config - readPatConfig 的结果
+ * @param {{sample: Object|null, budget: Object|null}} inputs - 步末时刻的采样
+ * @param {Object} servoResults - getServoResults 的结果
+ */
+function stepPatEngine(engine, time, config, { sample, budget }, servoResults) {
+  const dt = time - engine.time;
+  engine.time = time;
+  if (!sample || !(dt > 0)) return;
+
+  const conditions = readPatLinkConditions(sample, budget, config);
+  engine.conditions = conditions;
+  const t1 = engine.terminals.T1;
+  const t2 = engine.terminals.T2;
+  const decay = config.coarseTau > 0 ? Math.exp(-dt / config.coarseTau) : 0;
+
+  // 跟踪环路收敛开环误差，探测器上的光斑 = 开环误差 + 数据残差
+  PAT_TERMINALS.forEach(id => {
+    const terminal = engine.terminals[id];
+    const tracking = PAT_STATES[terminal.state].rank >= PAT_STATES.coarse.rank;
+    if (tracking) {
+      terminal.acquisition.x *= decay;
+      terminal.acquisition.y *= decay;
+    }
+    const residual = readPointingResidual(sample, id, config.coarseFov, servoResults);
+    terminal.error = tracking
+      ? { x: terminal.acquisition.x + residual.x, y: terminal.acquisition.y + residual.y }
+      : null;
+    if (tracking) terminal.lostError = null;
+  });
+
+  // 终端 1 扫描：检查本步扫过的点是否覆盖视线
+  const points = getScanPattern(config, engine.uncertainty);
+  if (t1.state === 'scan') {
+    const previous = engine.scanTime;
+    engine.scanTime += dt;
+    const first = Math.floor(previous / config.dwell);
+    const last = Math.floor(engine.scanTime / config.dwell);
+    engine.scanIndex = last % points.length;
+    engine.scanRounds = Math.floor(last / points.length);
+
+    if (t2.state === 'stare' && conditions.beaconOk && Math.hypot(t2.acquisition.x, t2.acquisition.y) <= config.coarseFov) {
+      for (let k = first; k <= last && k - first < points.length; k++) {
+        const p = points[k % points.length];
+        if (Math.hypot(p.x - t1.acquisition.x, p.y - t1.acquisition.y) <= config.beamHalfAngle) {
+          transitionPat(engine, 'T2', 'coarse', '捕获信标', time);
+          break;
+        }
+      }
+    }
+
+    // 终端 2 回指光束覆盖终端 1：终端 1 停在当前扫描点，剩余误差交给粗跟踪
+    if (t2.state !== 'stare' && t2.error && conditions.beaconOk &&
+      Math.hypot(t2.error.x, t2.error.y) <= config.beamHalfAngle) {
+      const p = points[engine.scanIndex];
+      t1.acquisition = { x: t1.acquisition.x - p.x, y: t1.acquisition.y - p.y };
+      transitionPat(engine, 'T1', 'coarse', '收到回指光束', time);
+    }
+  }
+
+  // 信标丢失超过保持时间或光斑越出粗探测视场：双方重新捕获
+  const outOfView = PAT_TERMINALS.some(id => {
+    const error = engine.terminals[id].error;
+    return error && Math.hypot(error.x, error.y) > config.coarseFov;
+  });
+  const acquiring = t2.state !== 'stare';
+  if (acquiring && !conditions.beaconOk) {
+    if (engine.lossSince === null) engine.lossSince = time;
+  } else {
+    engine.lossSince = null;
+  }
+  if (acquiring && (outOfView || (engine.lossSince !== null && time - engine.lossSince >= config.hold))) {
+    const reason = outOfView ? '光斑越出粗探测视场' : '信标丢失';
+    engine.scanTime = 0;
+    engine.lossSince = null;
+    PAT_TERMINALS.forEach(id => {
+      const terminal = engine.terminals[id];
+      if (terminal.error) terminal.acquisition = { ...terminal.error };
+      terminal.lostError = terminal.error;
+      terminal.error = null;
+    });
+    transitionPat(engine, 'T1', 'scan', reason, time);
+    transitionPat(engine, 'T2', 'stare', reason, time);
+    return;
+  }
+
+  PAT_TERMINALS.forEach(id => {
+    const terminal = engine.terminals[id];
+    const partner = engine.terminals[id === 'T1' ? 'T2' : 'T1'];
+    if (!terminal.error) return;
+    const offset = Math.hypot(terminal.error.x, terminal.error.y);
+    const inFineRange = offset <= config.fineLinearRange;
+
+    if (terminal.state === 'coarse') {
+      if (!inFineRange) {
+        terminal.holdSince = null;
+      } else if (terminal.holdSince === null) {
+        terminal.holdSince = time;
+      }
+      if (terminal.holdSince !== null && time - terminal.holdSince >= config.hold) {
+        transitionPat(engine, id, 'fine', '光斑进入精探测线性区', time);
+      }
+    } else if (!inFineRange) {
+      transitionPat(engine, id, 'coarse', '光斑越出精探测线性区', time);
+    } else if (terminal.state === 'fine') {
+      if (conditions.commOk && PAT_STATES[partner.state].rank >= PAT_STATES.fine.rank) {
+        transitionPat(engine, id, 'comm', '链路余量满足', time);
+      }
+    } else if (terminal.state === 'comm') {
+      if (!conditions.commOk) transitionPat(engine, id, 'fine', '链路余量不足', time);
+      else if (PAT_STATES[partner.state].rank < PAT_STATES.fine.rank) transitionPat(engine, id, 'fine', '对端退出精跟踪', time);
+    }
+  });
+}
+
+/**
+ * 将状态机推进到指定时刻；时间回退或参数、数据变化时从时间轴起点重新推演
+ * @param {number} time - 仿真时间 [s]
+ * @param {function(number): {sample: Object|null, budget: Object|null}} sampleInputs - 任意时刻的采样（已叠加工况）
+ */
+function updatePat(time, sampleInputs) {
+  if (simulationData.length === 0) {
+    patEngine = null;
+    renderPatStatus();
+    return;
+  }
+
+  const config = readPatConfig();
+  const servoResults = getServoResults();
+  const key = JSON.stringify([config, servoCache.key, serializeFaultSchedule(), resultSourceId, simClock.startTime, simulationData[0].time]);
+  if (key !== patConfigKey) {
+    patConfigKey = key;
+    patEngine = null;
+    patPublishedUntil = -Infinity;
+  }
+  // 捕获用预算信噪比、建链用预算余量：终端参数重算预算或数据追加后重新推演（已发布的迁移不再重复发布）
+  const dataKey = `${linkBudgetGeneration}|${simulationData.length}`;
+  if (dataKey !== patDataKey) {
+    patDataKey = dataKey;
+    patEngine = null;
+  }
+  if (patEngine && time < patEngine.time) patEngine = null;
+  if (!patEngine) {
+    const first = sampleInputs(simClock.startTime).sample;
+    const fou = first && Number.isFinite(first.fou_urad) ? first.fou_urad * 1e-6 : config.uncertainty;
+    patEngine = createPatEngine(simClock.startTime, config, fou);
+  }
+
+  const span = simClock.endTime - simClock.startTime;
+  const step = Number.isFinite(span) ? Math.max(PAT_MIN_STEP, span / PAT_MAX_STEPS) : PAT_MIN_STEP;
+  while (patEngine.time < time) {
+    const next = Math.min(time, patEngine.time + step);
+    stepPatEngine(patEngine, next, config, sampleInputs(next), servoResults);
+  }
+  patPublishedUntil = Math.max(patPublishedUntil, time);
+  renderPatStatus();
+}
+
+/**
+ * 两个终端中推进最慢的状态
+ */
+function overallPatState() {
+  if (!patEngine) return 'idle';
+  return PAT_TERMINALS.map(id => patEngine.terminals[id].state)
+    .reduce((a, b) => (PAT_STATES[b].rank < PAT_STATES[a].rank ? b : a));
+}
+
+/**
+ * 终端探测器上的光斑偏差 [rad]，未捕获时为 null
+ */
+function getPatDetectorOffset(id) {
+  return patEngine ? patEngine.terminals[id].error : null;
+}
+
+/**
+ * 终端的指向偏差 [rad]：已捕获时为探测器上的光斑偏差，失锁后为失锁前的偏差（重新捕获前保持），
+ * 从未捕获时为 null。光斑越出视场时探测器上已无光斑，告警据此判断偏出程度
+ */
+function getPatPointingOffset(id) {
+  if (!patEngine) return null;
+  const terminal = patEngine.terminals[id];
+  return terminal.error || terminal.lostError;
+}
+
+/**
+ * 终端 1 正在扫描时的扫描路径与当前位置，供光斑视图绘制
+ */
+function getPatScanView() {
+  if (!patEngine || patEngine.terminals.T1.state !== 'scan') return null;
+  return {
+    points: patScanCache.points,
+    index: patEngine.scanIndex,
+    rounds: patEngine.scanRounds,
+    radius: patEngine.uncertainty,
+    beamHalfAngle: readPatConfig().beamHalfAngle
+  };
+}
+
+// --- 界面 ---
+
+/**
+ * 在仿真状态面板显示当前 PAT 阶段
+ */
+function renderPatStatus() {
+  const overall = overallPatState();
+  const badge = document.getElementById('current-stage-badge');
+  if (badge) {
+    badge.textContent = PAT_STATES[overall].label;
+    badge.title = patEngine
+      ? PAT_TERMINALS.map(id => `${id} ${PAT_STATES[patEngine.terminals[id].state].label}`).join(' · ')
+      : '无仿真数据';
+  }
+  document.querySelectorAll('#status-monitor .process-step').forEach((step, i) => {
+    step.classList.toggle('active', i === PAT_STATES[overall].flowIndex);
+  });
+}
+
+function formatPatAngle(error) {
+  return error ? `${(Math.hypot(error.x, error.y) * 1e6).toFixed(1)} μrad` : '—';
+}
+
+/**
+ * 首次进入某状态的时刻（相对时间轴起点）[s]，尚未进入时为 null
+ */
+function firstPatTransitionTime(id, to) {
+  const record = patEngine && patEngine.transitions.find(t => t.id === id && t.to === to);
+  return record ? record.time - patEngine.startTime : null;
+}
+
+function firstPatTransition(id, to) {
+  const time = firstPatTransitionTime(id, to);
+  return time === null ? '—' : `${time.toFixed(2)}s`;
+}
+
+/**
+ * PAT 关键时间：捕获（终端 2 捕获信标）、交接（终端 1 进入精跟踪）、建链（终端 1 进入通信）与重捕次数
+ */
+function summarizePatPerformance() {
+  return {
+    acquisition: firstPatTransitionTime('T2', 'coarse'),
+    handover: firstPatTransitionTime('T1', 'fine'),
+    link: firstPatTransitionTime('T1', 'comm'),
+    reacquisitions: patEngine ? patEngine.transitions.filter(t => t.id === 'T1' && t.to === 'scan').length : 0
+  };
+}
+
+/**
+ * 各查询页的表格内容
+ * @param {'scan'|'track'|'comm'|'perf'} kind
+ * @returns {{title: string, headers: string[], rows: Array[]}}
+ */
+function buildPatReport(kind) {
+  const config = readPatConfig();
+  const engine = patEngine;
+  const state = id => (engine ? PAT_STATES[engine.terminals[id].state].label : '—');
+
+  if (kind === 'scan') {
+    const points = engine ? getScanPattern(config, engine.uncertainty) : [];
+    return {
+      title: '扫描状态',
+      headers: ['项目', '值'],
+      rows: [
+        ['扫描方式', config.pattern === 'raster' ? '光栅扫描' : '螺旋扫描'],
+        ['不确定区域半角', engine ? `${(engine.uncertainty * 1e6).toFixed(1)} μrad` : '—'],
+        ['扫描点数 / 间距', `${points.length} / ${(config.spacing * 1e6).toFixed(1)} μrad`],
+        ['单轮扫描时间', `${(points.length * config.dwell).toFixed(3)}s`],
+        ['终端 1', engine && engine.terminals.T1.state === 'scan'
+          ? `扫描中：第 ${engine.scanRounds + 1} 轮，${engine.scanIndex + 1} / ${points.length}`
+          : state('T1')],
+        ['终端 2 捕获信标', firstPatTransition('T2', 'coarse')],
+        ['终端 1 收到回指', firstPatTransition('T1', 'coarse')]
+      ]
+    };
+  }
+
+  if (kind === 'track') {
+    return {
+      title: '跟踪状态',
+      headers: ['终端', '状态', '光斑偏差', '进入粗跟踪', '进入精跟踪'],
+      rows: PAT_TERMINALS.map(id => [
+        id, state(id), formatPatAngle(engine && engine.terminals[id].error),
+        firstPatTransition(id, 'coarse'), firstPatTransition(id, 'fine')
+      ]).concat([[
+        '门限', '', `精探测线性区 ${(config.fineLinearRange * 1e6).toFixed(1)} μrad`,
+        `粗探测视场 ${(config.coarseFov * 1e6).toFixed(0)} μrad`, `保持 ${config.hold}s`
+      ]])
+    };
+  }
+
+  if (kind === 'comm') {
+    const trackSnr = engine && engine.conditions ? engine.conditions.trackSnr : NaN;
+    const commTime = id => {
+      if (!engine) return 0;
+      let total = 0;
+      engine.transitions.filter(t => t.id === id && t.from === 'comm').forEach(t => { total += t.duration; });
+      const terminal = engine.terminals[id];
+      if (terminal.state === 'comm') total += engine.time - terminal.since;
+      return total;
+    };
+    return {
+      title: '通信状态',
+      headers: ['终端', '状态', '进入通信', '累计通信时间'],
+      rows: PAT_TERMINALS.map(id => [id, state(id), firstPatTransition(id, 'comm'), `${commTime(id).toFixed(2)}s`])
+        .concat([['跟踪探测 SNR', Number.isFinite(trackSnr) ? `${trackSnr.toFixed(1)} dB` : '—',
+          `捕获门限 ${config.snrThreshold} dB`, engine && engine.conditions && engine.conditions.commOk ? '链路可用' : '链路不可用']])
+    };
+  }
+
+  // 性能：关键时间与全部状态迁移
+  const { reacquisitions } = summarizePatPerformance();
+  return {
+    title: `PAT 性能（捕获 ${firstPatTransition('T2', 'coarse')}，交接 ${firstPatTransition('T1', 'fine')}，建链 ${firstPatTransition('T1', 'comm')}，重捕 ${reacquisitions} 次）`,
+    headers: ['时刻', '终端', '迁移', '原因', '前一状态用时'],
+    rows: (engine ? engine.transitions : []).map(t => [
+      formatEventTime(t.time), t.id, `${PAT_STATES[t.from].label} → ${PAT_STATES[t.to].label}`, t.reason, `${t.duration.toFixed(2)}s`
+    ])
+  };
+}
+
+function showPatReport(kind) {
+  const dialog = document.getElementById('pat-dialog');
+  if (!dialog) return;
+  const { title, headers, rows } = buildPatReport(kind);
+  dialog.querySelector('.fault-dialog-title').textContent = title;
+
+  const headRow = dialog.querySelector('thead tr');
+  headRow.innerHTML = '';
+  headers.forEach(text => {
+    const th = document.createElement('th');
+    th.textContent = text;
+    headRow.appendChild(th);
+  });
+  const tbody = dialog.querySelector('tbody');
+  tbody.innerHTML = '';
+  if (rows.length === 0) rows.push(['无状态迁移', ...headers.slice(1).map(() => '')]);
+  rows.forEach(cells => {
+    const row = document.createElement('tr');
+    cells.forEach(text => {
+      const td = document.createElement('td');
+      td.textContent = text;
+      row.appendChild(td);
+    });
+    tbody.appendChild(row);
+  });
+  if (!dialog.open) dialog.showModal();
+}
+
+/**
+ * 状态查询面板的 扫描/跟踪/通信/性能 按钮
+ */
+function initPatControls() {
+  [['btn-pat-scan', 'scan'], ['btn-pat-track', 'track'], ['btn-pat-comm', 'comm'], ['btn-pat-perf', 'perf']]
+    .forEach(([id, kind]) => document.getElementById(id)?.addEventListener('click', () => showPatReport(kind)));
+  renderPatStatus();
+}
@@ -0,0 +1,304 @@
+// --- 仿真结果数据源 ---
+// 每个数据源描述一个结果文件：时间列如何解析、原始列名与内部字段的映射，
+// 以及监测图表默认绑定的字段。视图层只使用内部字段名，不直接引用 CSV 列名。
+
+/**
+ * 内部字段的显示信息
+ */
+const RESULT_FIELDS = {
+  range_km: { label: '星间距离', unit: 'km' },
+  lead_az_urad: { label: '超前角 Az', unit: 'μrad' },
+  lead_el_urad: { label: '超前角 El', unit: 'μrad' },
+  doppler_ghz: { label: '多普勒频移', unit: 'GHz' },
+  star_id: { label: '星号', unit: '' },
+  fou_urad: { label: 'FOU', unit: 'μrad' },
+  link_margin_db: { label: '链路余量', unit: 'dB' },
+  snr_db: { label: '信噪比', unit: 'dB' },
+  ber: { label: '误码率', unit: '' },
+  data_rate_gbps: { label: '数据速率', unit: 'Gbps' },
+  latency_ms: { label: '传输时延', unit: 'ms' },
+  tx_power_dbm: { label: '发射功率', unit: 'dBm' },
+  tx_gain_db: { label: '发射天线增益', unit: 'dB' },
+  free_space_loss_db: { label: '自由空间损耗', unit: 'dB' },
+  rx_gain_db: { label: '接收天线增益', unit: 'dB' },
+  coupling_db: { label: '光纤耦合效率', unit: 'dB' },
+  rx_power_dbm: { label: '接收功率', unit: 'dBm' },
+  rx_sensitivity_dbm: { label: '接收灵敏度', unit: 'dBm' },
+  link_loss: { label: '链路损耗', unit: 'dB' },
+  antenna_gain: { label: '天线增益', unit: 'dB' },
+  az1: { label: '终端1 方位', unit: 'deg' },
+  el1: { label: '终端1 俯仰', unit: 'deg' },
+  az2: { label: '终端2 方位', unit: 'deg' },
+  el2: { label: '终端2 俯仰', unit: 'deg' },
+  spot1_x: { label: '光斑1 X', unit: '' },
+  spot1_y: { label: '光斑1 Y', unit: '' },
+  spot2_x: { label: '光斑2 X', unit: '' },
+  spot2_y: { label: '光斑2 Y', unit: '' },
+  track_err_az_urad: { label: '跟踪误差 Az', unit: 'μrad' },
+  track_err_el_urad: { label: '跟踪误差 El', unit: 'μrad' },
+  track2_err_az_urad: { label: '终端2 跟踪误差 Az', unit: 'μrad' },
+  track2_err_el_urad: { label: '终端2 跟踪误差 El', unit: 'μrad' },
+  link_up: { label: '链路状态', unit: '' }
+};
+
+/**
+ * PreDatas 格式的列映射（内部字段 -> CSV 列名），离线文件与实时流共用
+ */
+const PRE_DATAS_COLUMNS = {
+  range_km: 'Range_km',
+  lead_az_urad: 'LeadAngle_Az_murad',
+  lead_el_urad: 'LeadAngle_El_murad',
+  doppler_ghz: 'Doppler_GHz',
+  star_id: 'StarID',
+  fou_urad: 'FOU_urad',
+  link_margin_db: 'LinkMargin_dB',
+  snr_db: 'SNR_dB',
+  ber: 'BER',
+  data_rate_gbps: 'DataRate_Gbps',
+  latency_ms: 'Latency_ms',
+  // 预算分项列在导出时丢失了中文列名，按数值含义对应
+  tx_power_dbm: 'x____dBm',
+  tx_gain_db: 'x_______1',
+  free_space_loss_db: 'x_______2',
+  rx_gain_db: 'x_______4',
+  coupling_db: 'x_______6',
+  rx_power_dbm: 'x_____dBm',
+  rx_sensitivity_dbm: 'x_____dBm_1'
+};
+
+/**
+ * 可用的结果数据源。columns 为 内部字段 -> CSV 列名；charts 为 图表面板 -> 默认显示的列；streamUrl 数据源由后端实时推送；generator 数据源在本地计算生成。
+ */
+const RESULT_SOURCES = {
+  preDatas: {
+    label: '链路预算结果 (PreDatas)',
+    url: 'SwapDatas/PreDatas.csv',
+    timeColumn: 'Time',
+    timeWrap: 3600, // Time 列为 mm:ss.s，每小时回绕
+    columns: PRE_DATAS_COLUMNS,
+    charts: { trend: ['link_margin_db', 'ber'] },
+    summary: ['range_km', 'doppler_ghz', 'link_margin_db', 'snr_db', 'ber', 'latency_ms']
+  },
+  legacy: {
+    label: '示例结果 (sim_results)',
+    url: 'data/sim_results.csv',
+    timeColumn: 'time',
+    columns: {
+      link_loss: 'link_loss',
+      ber: 'ber',
+      antenna_gain: 'antenna_gain',
+      az1: 'az1',
+      el1: 'el1',
+      az2: 'az2',
+      el2: 'el2',
+      spot1_x: 'spot1_x',
+      spot1_y: 'spot1_y',
+      spot2_x: 'spot2_x',
+      spot2_y: 'spot2_y'
+    },
+    charts: { trend: ['link_loss', 'ber'] },
+    summary: ['link_loss', 'ber', 'antenna_gain']
+  },
+  live: {
+    // 后端求解器逐行写出的 PreDatas 格式结果，经 SSE 推送
+    label: '实时结果流 (后端)',
+    streamUrl: '/api/results/stream',
+    timeColumn: 'Time',
+    timeWrap: 3600,
+    columns: PRE_DATAS_COLUMNS,
+    charts: { trend: ['link_margin_db', 'ber'] },
+    summary: ['range_km', 'doppler_ghz', 'link_margin_db', 'snr_db', 'ber', 'latency_ms']
+  },
+  orbit: {
+    // 无结果文件：由轨道面板外推几何，再按终端面板计算链路预算
+    label: '轨道外推 (本地计算)',
+    generator: 'orbit',
+    columns: {
+      range_km: 'range_km',
+      lead_az_urad: 'lead_az_urad',
+      lead_el_urad: 'lead_el_urad',
+      doppler_ghz: 'doppler_ghz',
+      latency_ms: 'latency_ms',
+      link_margin_db: 'link_margin_db',
+      snr_db: 'snr_db',
+      ber: 'ber',
+      data_rate_gbps: 'data_rate_gbps',
+      rx_power_dbm: 'rx_power_dbm'
+    },
+    charts: { trend: ['link_margin_db', 'range_km'] },
+    summary: ['range_km', 'doppler_ghz', 'link_margin_db', 'snr_db', 'ber', 'latency_ms']
+  }
+};
+
+const DEFAULT_RESULT_SOURCE = 'preDatas';
+
+/**
+ * 创建行转换器：将 CSV 行转换为以内部字段命名的记录，并展开回绕的时间戳。
+ * 时间列应以 'time' 类型解析（秒），其余列为数值。
+ * @param {Object} source - RESULT_SOURCES 中的定义
+ * @returns {function(Object): (Object|null)} 无效时间的行返回 null
+ */
+function createResultRowNormalizer(source) {
+  let offset = 0;
+  let lastRaw = -Infinity;
+  let step = 0;
+
+  return raw => {
+    const parsed = raw[source.timeColumn];
+    if (!Number.isFinite(parsed)) return null;
+
+    // mm:ss 格式在整点处归零，需要累加回绕周期保持单调
+    if (parsed < lastRaw && source.timeWrap) offset += source.timeWrap;
+    lastRaw = parsed;
+
+    const record = { step: step++, time: parsed + offset };
+    Object.entries(source.columns).forEach(([field, column]) => {
+      const cell = raw[column];
+      record[field] = typeof cell === 'number' ? cell : NaN;
+    });
+    return record;
+  };
+}
+
+/**
+ * 结果文件的 CSV 列类型：时间列按时间戳解析，其余均为数值
+ */
+function resultCSVOptions(source) {
+  return { types: { [source.timeColumn]: 'time' }, defaultType: 'number' };
+}
+
+/**
+ * 统计各映射字段是否有有效数值。整列为 NaN 的字段视为不可用。
+ */
+function describeResultData(records, source) {
+  const available = [];
+  const unavailable = [];
+
+  Object.keys(source.columns).forEach(field => {
+    const hasValue = records.some(r => Number.isFinite(r[field]));
+    (hasValue ? available : unavailable).push(field);
+  });
+
+  const duration = records.length > 0 ? records[records.length - 1].time - records[0].time : 0;
+  const sampleInterval = records.length > 1 ? duration / (records.length - 1) : 0;
+
+  return { available, unavailable, duration, sampleInterval, rows: records.length };
+}
+
+/**
+ * 判断字段在当前数据中是否可用
+ */
+function isResultFieldAvailable(meta, field) {
+  return !!meta && meta.available.includes(field);
+}
+
+/**
+ * 格式化字段标签，例如 "链路余量 [dB]"
+ */
+function formatFieldLabel(field) {
+  const info = RESULT_FIELDS[field];
+  if (!info) return field;
+  return info.unit ? `${info.label} [${info.unit}]` : info.label;
+}
+
+/**
+ * 二分查找不晚于给定时间的最后一个采样点
+ * @param {Object[]} records - 按时间递增的记录
+ * @param {number} time - 仿真时间 [s]
+ * @returns {number} 采样序号；早于第一个采样或无数据时为 -1
+ */
+function findSampleIndex(records, time) {
+  let lo = 0;
+  let hi = records.length - 1;
+  let found = -1;
+  while (lo <= hi) {
+    const mid = (lo + hi) >> 1;
+    if (records[mid].time <= time + 1e-9) {
+      found = mid;
+      lo = mid + 1;
+    } else {
+      hi = mid - 1;
+    }
+  }
+  return found;
+}
+
+// --- 任务阶段划分 ---
+// 按链路指标将结果数据划分为 扫描 -> 跟踪 -> 通信 阶段，供单阶段运行按阶段步进。
+
+const MISSION_STAGES = {
+  scan: { label: '扫描', flowIndex: 1 },
+  track: { label: '跟踪', flowIndex: 2 },
+  comm: { label: '通信', flowIndex: 3 }
+};
+
+/**
+ * 判断单个采样所处的任务阶段：
+ * 无链路指标 -> 扫描；链路建立但余量不足（或误码率过高）-> 跟踪；否则 -> 通信
+ */
+function classifyMissionStage(record) {
+  if (Number.isFinite(record.link_margin_db)) {
+    return record.link_margin_db >= 0 ? 'comm' : 'track';
+  }
+  if (Number.isFinite(record.ber)) {
+    return record.ber <= 1e-3 ? 'comm' : 'track';
+  }
+  return 'scan';
+}
+
+/**
+ * 将记录划分为连续的阶段区段
+ * @returns {{stage: string, startIndex: number, endIndex: number, startTime: number, endTime: number}[]}
+ */
+function buildStageSegments(records) {
+  const segments = [];
+  records.forEach((record, index) => {
+    const stage = classifyMissionStage(record);
+    const last = segments[segments.length - 1];
+    if (last && last.stage === stage) {
+      last.endIndex = index;
+      last.endTime = record.time;
+    } else {
+      segments.push({ stage, startIndex: index, endIndex: index, startTime: record.time, endTime: record.time });
+    }
+  });
+  return segments;
+}
+
+// 误码率跨越多个数量级，在对数域内插值
+const LOG_INTERPOLATED_FIELDS = ['ber'];
+// 离散量不插值，沿用前一个采样
+const DISCRETE_FIELDS = ['step', 'star_id'];
+
+/**
+ * 插值单个字段。任一端无效时沿用前一个采样的值。
+ */
+function interpolateField(field, a, b, fraction) {
+  if (DISCRETE_FIELDS.includes(field) || !Number.isFinite(a) || !Number.isFinite(b)) return a;
+  if (LOG_INTERPOLATED_FIELDS.includes(field) && a > 0 && b > 0) {
+    return Math.pow(10, Math.log10(a) + (Math.log10(b) - Math.log10(a)) * fraction);
+  }
+  return a + (b - a) * fraction;
+}
+
+/**
+ * 获取任意时刻的系统状态：二分定位相邻采样并线性插值
+ * @param {Object[]} records - 按时间递增的记录
+ * @param {number} time - 仿真时间 [s]
+ * @returns {Object|null} 插值后的记录（time 为请求时间）；早于第一个采样时为 null
+ */
+function sampleAt(records, time) {
+  const index = findSampleIndex(records, time);
+  if (index < 0) return null;
+
+  const a = records[index];
+  const b = records[index + 1];
+  if (!b || a.time === time) return { ...a, time };
+
+  const fraction = (time - a.time) / (b.time - a.time);
+  const sample = { time };
+  Object.keys(a).forEach(field => {
+    if (field !== 'time') sample[field] = interpolateField(field, a[field], b[field], fraction);
+  });
+  return sample;
+}
@@ -0,0 +1,102 @@
+// --- 实时结果流 ---
+// 通过 Server-Sent Events 接收后端求解器逐行写出的结果。服务端以 CSV 文本行推送：
+// 'header' 事件为表头行，'row' 事件为数据行（id 为行序号），'end' 事件表示求解结束。
+// 断线后按最后收到的行序号续传，重连间隔逐次加长。
+
+const STREAM_RETRY_DELAYS = [1000, 2000, 5000, 10000]; // [ms]
+
+/**
+ * 连接状态 -> 状态栏文字
+ */
+const STREAM_STATUS_LABELS = {
+  idle: '未连接',
+  connecting: '连接中',
+  live: '实时',
+  reconnecting: '重连中',
+  ended: '已结束',
+  closed: '已断开'
+};
+
+/**
+ * 创建结果流客户端
+ * @param {string} url - SSE 端点
+ * @param {Object} handlers
+ * @param {function(string): void} [handlers.onHeader] - 收到表头行（每次连接都会重发）
+ * @param {function(string, number): void} handlers.onRow - 收到数据行及其行序号
+ * @param {function(): void} [handlers.onEnd] - 求解结束
+ * @param {function(string): void} [handlers.onStatus] - 连接状态变化
+ */
+function createResultStream(url, handlers) {
+  const stream = {
+    status: 'idle',
+    lastStep: -1, // 最后收到的行序号，续传从下一行开始
+    attempts: 0,
+    source: null,
+    retryTimer: null,
+
+    setStatus(status) {
+      if (stream.status === status) return;
+      stream.status = status;
+      if (handlers.onStatus) handlers.onStatus(status);
+    },
+
+    connect() {
+      stream.detach();
+      stream.setStatus(stream.attempts > 0 ? 'reconnecting' : 'connecting');
+
+      const separator = url.includes('?') ? '&' : '?';
+      const source = new EventSource(`${url}${separator}from_step=${stream.lastStep + 1}`);
+      stream.source = source;
+
+      source.onopen = () => {
+        stream.attempts = 0;
+        stream.setStatus('live');
+      };
+
+      source.addEventListener('header', e => {
+        if (handlers.onHeader) handlers.onHeader(e.data);
+      });
+
+      source.addEventListener('row', e => {
+        const step = parseInt(e.lastEventId, 10);
+        // 重连后服务端可能重发已收到的行
+        if (Number.isFinite(step) && step <= stream.lastStep) return;
+        stream.lastStep = Number.isFinite(step) ? step : stream.lastStep + 1;
+        handlers.onRow(e.data, stream.lastStep);
+      });
+
+      source.addEventListener('end', () => {
+        stream.detach();
+        stream.setStatus('ended');
+        if (handlers.onEnd) handlers.onEnd();
+      });
+
+      // EventSource 自带的重连不会携带 from_step，这里关闭后自行重连
+      source.onerror = () => {
+        if (stream.source !== source) return;
+        stream.detach();
+        const delay = STREAM_RETRY_DELAYS[Math.min(stream.attempts, STREAM_RETRY_DELAYS.length - 1)];
+        stream.attempts++;
+        stream.setStatus('reconnecting');
+        stream.retryTimer = setTimeout(() => stream.connect(), delay);
+      };
+    },
+
+    /** 关闭当前连接与重连计时器，不改变状态 */
+    detach() {
+      clearTimeout(stream.retryTimer);
+      stream.retryTimer = null;
+      if (stream.source) {
+        stream.source.close();
+        stream.source = null;
+      }
+    },
+
+    close() {
+      stream.detach();
+      stream.setStatus('closed');
+    }
+  };
+
+  return stream;
+}
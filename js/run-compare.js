@@ -0,0 +1,402 @@
+// --- 运行对比 ---
+// 每次运行结束（到达结束时间或停止）后把本次运行（参数、统计与逐采样曲线）存入 IndexedDB，页面刷新后仍可对比。
+// 任一已保存的运行可固定为基线：监测图表以点线叠加基线曲线，对比窗口给出相对基线的差值曲线
+// （Δ链路余量 [dB]、Δ误码率 [数量级]），以及变化的参数与变化的统计量。
+// 对比对象可以是当前运行（截至当前时刻）或另一条已保存的运行。
+
+const RUN_DB_NAME = 'laser-link-runs';
+const RUN_DB_VERSION = 1;
+const RUN_STORE = 'runs';
+const RUN_HISTORY_LIMIT = 20; // 保留的运行数（基线不计入）
+const RUN_COMPARE_CURRENT = 'current';
+
+/**
+ * 对比的统计量：get 从运行记录取值，ber 为真时差值按数量级给出
+ */
+const RUN_COMPARE_METRICS = [
+  { label: '链路可用度', unit: '%', digits: 1, get: run => run.statistics.availability_pct },
+  { label: '平均链路余量', unit: 'dB', digits: 2, get: run => run.statistics.margin_mean_db },
+  { label: '最小链路余量', unit: 'dB', digits: 2, get: run => run.statistics.margin_min_db },
+  ...RUN_REPORT_BER_QUANTILES.map(q => ({
+    label: `误码率 P${Math.round(q * 100)}`,
+    ber: true,
+    get: run => (run.statistics.ber_percentiles.find(p => p.q === q) || {}).value
+  })),
+  { label: '中断次数', unit: '', digits: 0, get: run => run.statistics.outage_count },
+  { label: '累计中断', unit: 's', digits: 1, get: run => run.statistics.outage_total_s },
+  { label: '最长中断', unit: 's', digits: 1, get: run => run.statistics.outage_longest_s },
+  { label: '捕获时间', unit: 's', digits: 2, get: run => run.pat.acquisition },
+  { label: '交接时间', unit: 's', digits: 2, get: run => run.pat.handover },
+  { label: '建链时间', unit: 's', digits: 2, get: run => run.pat.link },
+  { label: '重捕次数', unit: '', digits: 0, get: run => run.pat.reacquisitions }
+];
+
+const runCompare = {
+  db: null,
+  runs: [], // 已保存的运行（按保存顺序）
+  baseline: null,
+  target: RUN_COMPARE_CURRENT, // 对比对象：当前运行或已保存运行的 id
+  overlay: true, // 监测图表是否叠加基线
+  lastSavedId: null,
+  chart: null
+};
+
+// --- 存储 (IndexedDB) ---
+
+function openRunDatabase() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(RUN_DB_NAME, RUN_DB_VERSION);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(RUN_STORE, { keyPath: 'id', autoIncrement: true });
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * 在一个事务中操作运行存储，事务完成后返回最后一个请求的结果
+ * @param {string} mode - 'readonly' | 'readwrite'
+ * @param {function(IDBObjectStore): IDBRequest} action
+ */
+function runStoreTransaction(mode, action) {
+  return new Promise((resolve, reject) => {
+    const tx = runCompare.db.transaction(RUN_STORE, mode);
+    const request = action(tx.objectStore(RUN_STORE));
+    tx.oncomplete = () => resolve(request ? request.result : undefined);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+async function loadSavedRuns() {
+  const runs = await runStoreTransaction('readonly', store => store.getAll());
+  runCompare.runs = runs.sort((a, b) => a.id - b.id);
+  runCompare.baseline = runCompare.runs.find(run => run.baseline) || null;
+}
+
+// --- 运行记录 ---
+
+/**
+ * 合并数据与本地预算为一条记录：数据源给出的列优先，仅保留有限数值
+ */
+function mergeRunSample(sample, budget) {
+  const merged = { time: sample.time };
+  [budget, sample].forEach(source => {
+    if (!source) return;
+    Object.entries(source).forEach(([field, value]) => {
+      if (RESULT_FIELDS[field] && Number.isFinite(value)) merged[field] = value;
+    });
+  });
+  return merged;
+}
+
+/**
+ * 截取当前运行：参数、统计、PAT 关键时间与逐采样曲线（已叠加注入工况）
+ * @param {number} [endTime] - 截止时刻，缺省为当前仿真时间
+ */
+function captureRun(endTime = getSimulationTime()) {
+  const startTime = simClock.startTime;
+  const faultCtx = injectedFaults.length > 0 ? createFaultContext() : null;
+  const perturb = sample => perturbSample(sample, injectedFaults, faultCtx);
+  const from = Math.max(0, findSampleIndex(simulationData, startTime));
+  const index = findSampleIndex(simulationData, endTime);
+  const records = simulationData.slice(from, index + 1)
+    .map((record, i) => mergeRunSample(perturb(record), perturb(linkBudgetData[from + i] || null)));
+  const savedAt = new Date();
+
+  return {
+    name: `${resultSource ? resultSource.label : resultSourceId} ${savedAt.toLocaleTimeString()}`,
+    savedAt: savedAt.toISOString(),
+    source: { id: resultSourceId, label: resultSource ? resultSource.label : '' },
+    span: { start: startTime, end: endTime },
+    parameters: collectParamsForExport(),
+    faults: injectedFaults.map(describeFault),
+    statistics: computeRunStatistics(startTime, endTime),
+    pat: summarizePatPerformance(),
+    records,
+    baseline: false
+  };
+}
+
+/**
+ * 保存当前运行，超出 RUN_HISTORY_LIMIT 时删除最早的非基线运行
+ * @returns {Promise<Object|null>} 保存的运行；没有数据或存储不可用时为 null
+ */
+async function saveCurrentRun(endTime) {
+  if (!runCompare.db || simulationData.length === 0) return null;
+  const run = captureRun(endTime);
+  run.id = await runStoreTransaction('readwrite', store => store.add(run));
+  runCompare.runs.push(run);
+  runCompare.lastSavedId = run.id;
+
+  const expired = runCompare.runs.filter(r => !r.baseline).slice(0, -RUN_HISTORY_LIMIT);
+  if (expired.length > 0) {
+    await runStoreTransaction('readwrite', store => { expired.forEach(r => store.delete(r.id)); });
+    runCompare.runs = runCompare.runs.filter(r => !expired.includes(r));
+  }
+  return run;
+}
+
+/**
+ * 固定基线（id 为 null 时取消），并刷新图表叠加
+ */
+async function setBaselineRun(id) {
+  const changed = runCompare.runs.filter(run => run.baseline !== (run.id === id));
+  changed.forEach(run => { run.baseline = run.id === id; });
+  if (changed.length > 0) {
+    await runStoreTransaction('readwrite', store => { changed.forEach(run => store.put(run)); });
+  }
+  runCompare.baseline = runCompare.runs.find(run => run.id === id) || null;
+  applyBaselineOverlay();
+  if (runCompare.baseline) {
+    publishEvent({ type: 'compare.baseline', source: 'compare', message: `已将“${runCompare.baseline.name}”固定为基线`, payload: { id } });
+  }
+}
+
+async function deleteSavedRun(id) {
+  await runStoreTransaction('readwrite', store => store.delete(id));
+  runCompare.runs = runCompare.runs.filter(run => run.id !== id);
+  if (runCompare.baseline && runCompare.baseline.id === id) {
+    runCompare.baseline = null;
+    applyBaselineOverlay();
+  }
+  if (runCompare.target === id) runCompare.target = RUN_COMPARE_CURRENT;
+}
+
+function applyBaselineOverlay() {
+  const baseline = runCompare.overlay ? runCompare.baseline : null;
+  setChartOverlay(baseline ? baseline.records : null, '基线');
+  requestRender();
+}
+
+// --- 差值 ---
+
+/**
+ * 对比运行相对基线的差值曲线：在对比运行的采样时刻插值基线
+ * @returns {{time: number, margin_delta_db?: number, ber_delta_dec?: number}[]}
+ */
+function computeRunDifference(baseline, target) {
+  const last = baseline.records.length > 0 ? baseline.records[baseline.records.length - 1].time : -Infinity;
+  return target.records.map(record => {
+    // 超出基线时长的部分不外推
+    const base = record.time <= last + 1e-9 ? sampleAt(baseline.records, record.time) : null;
+    const delta = { time: record.time };
+    if (!base) return delta;
+    if (Number.isFinite(record.link_margin_db) && Number.isFinite(base.link_margin_db)) {
+      delta.margin_delta_db = record.link_margin_db - base.link_margin_db;
+    }
+    if (record.ber > 0 && base.ber > 0) delta.ber_delta_dec = Math.log10(record.ber / base.ber);
+    return delta;
+  });
+}
+
+const runValuesEqual = (a, b) => (Number.isFinite(a) && Number.isFinite(b)
+  ? Math.abs(a - b) <= 1e-9 * Math.max(1, Math.abs(a), Math.abs(b))
+  : a === b);
+
+/**
+ * 取值不同的参数（按参数 id 对齐）
+ */
+function diffRunParameters(baseline, target) {
+  const baseById = new Map(baseline.parameters.map(p => [p.id, p]));
+  const targetById = new Map(target.parameters.map(p => [p.id, p]));
+  const ids = [...new Set([...baseById.keys(), ...targetById.keys()])];
+  return ids
+    .map(id => ({ base: baseById.get(id), target: targetById.get(id) }))
+    .filter(({ base, target: t }) => !base || !t || !runValuesEqual(base.value, t.value))
+    .map(({ base, target: t }) => {
+      const def = t || base;
+      return { panel: def.panel, parameter: def.parameter, unit: def.unit, base: base ? base.value : null, target: t ? t.value : null };
+    });
+}
+
+/**
+ * 取值不同的统计量；误码率的差值以数量级表示
+ */
+function diffRunStatistics(baseline, target) {
+  return RUN_COMPARE_METRICS.map(metric => {
+    const base = metric.get(baseline);
+    const value = metric.get(target);
+    let delta = null;
+    if (Number.isFinite(base) && Number.isFinite(value)) {
+      delta = metric.ber ? (base > 0 && value > 0 ? Math.log10(value / base) : null) : value - base;
+    }
+    return { metric, base, value, delta };
+  }).filter(({ base, value }) => !runValuesEqual(base, value));
+}
+
+// --- 界面 ---
+
+function formatCompareValue(metric, value) {
+  if (metric.ber) return formatReportBer(value);
+  return formatReportNumber(value, metric.digits, metric.unit);
+}
+
+function formatCompareDelta(metric, delta) {
+  if (!Number.isFinite(delta)) return '—';
+  const sign = delta > 0 ? '+' : '';
+  if (metric.ber) return `${sign}${delta.toFixed(2)} 数量级`;
+  return `${sign}${formatReportNumber(delta, metric.digits, metric.unit)}`;
+}
+
+function formatParamValue(value) {
+  if (value === null || value === undefined) return '—';
+  return typeof value === 'number' ? String(+value.toPrecision(6)) : String(value);
+}
+
+function fillCompareTable(tbody, rows, emptyText) {
+  tbody.innerHTML = '';
+  if (rows.length === 0) rows = [[emptyText]];
+  rows.forEach(cells => {
+    const tr = document.createElement('tr');
+    cells.forEach(text => {
+      const td = document.createElement('td');
+      td.textContent = text;
+      if (cells.length === 1) td.colSpan = 5;
+      tr.appendChild(td);
+    });
+    tbody.appendChild(tr);
+  });
+}
+
+function renderCompareChart(difference) {
+  const span = difference.length > 0 ? [difference[0].time, difference[difference.length - 1].time] : [0, 1];
+  runCompare.chart.setOption({
+    animation: false,
+    tooltip: { trigger: 'axis' },
+    legend: { top: 0, textStyle: { fontSize: 10 } },
+    grid: { left: 50, right: 55, top: 30, bottom: 35 },
+    xAxis: { type: 'value', name: 'Time [s]', nameLocation: 'middle', nameGap: 22, min: span[0], max: span[1] },
+    yAxis: [
+      { type: 'value', name: 'Δ余量 [dB]', scale: true },
+      { type: 'value', name: 'Δ误码率 [dec]', scale: true, splitLine: { show: false } }
+    ],
+    series: [
+      { type: 'line', name: 'Δ链路余量', yAxisIndex: 0, showSymbol: false, data: buildChartSeries(difference, 'margin_delta_db', 'linear', span), itemStyle: { color: CHART_COLORS[0] } },
+      { type: 'line', name: 'Δ误码率', yAxisIndex: 1, showSymbol: false, data: buildChartSeries(difference, 'ber_delta_dec', 'linear', span), itemStyle: { color: CHART_COLORS[1] } }
+    ]
+  }, true);
+}
+
+/**
+ * 刷新对比窗口：运行列表、差值曲线、变化的参数与统计量
+ */
+function renderRunComparison(dialog) {
+  const baselineSelect = dialog.querySelector('.compare-baseline');
+  const targetSelect = dialog.querySelector('.compare-target');
+  const status = dialog.querySelector('.compare-status');
+  const describeRun = run => `#${run.id} ${run.name}（${(run.span.end - run.span.start).toFixed(1)}s）`;
+
+  baselineSelect.innerHTML = '';
+  baselineSelect.appendChild(new Option('（无）', ''));
+  targetSelect.innerHTML = '';
+  targetSelect.appendChild(new Option('当前运行', RUN_COMPARE_CURRENT));
+  runCompare.runs.forEach(run => {
+    baselineSelect.appendChild(new Option(describeRun(run), run.id));
+    targetSelect.appendChild(new Option(describeRun(run), run.id));
+  });
+  baselineSelect.value = runCompare.baseline ? runCompare.baseline.id : '';
+  targetSelect.value = runCompare.target;
+  dialog.querySelector('.compare-overlay').checked = runCompare.overlay;
+  dialog.querySelector('.btn-compare-delete').disabled = runCompare.target === RUN_COMPARE_CURRENT;
+
+  const baseline = runCompare.baseline;
+  const target = runCompare.target === RUN_COMPARE_CURRENT
+    ? (simulationData.length > 0 ? captureRun() : null)
+    : runCompare.runs.find(run => run.id === runCompare.target);
+  const paramsBody = dialog.querySelector('.compare-params tbody');
+  const statsBody = dialog.querySelector('.compare-stats tbody');
+  if (!runCompare.db) {
+    status.textContent = '浏览器不支持 IndexedDB，无法保存运行。';
+  } else if (!baseline || !target) {
+    status.textContent = baseline ? '没有可对比的运行数据。' : '请选择基线：运行结束或停止后会自动保存，可在此固定为基线。';
+  } else {
+    status.textContent = `对比 ${target.name}（${target.source.label || target.source.id}）与基线 ${baseline.name}（${baseline.source.label || baseline.source.id}）` +
+      (target.faults.length + baseline.faults.length > 0 ? `；对比运行工况: ${target.faults.join('；') || '无'}，基线工况: ${baseline.faults.join('；') || '无'}` : '');
+  }
+  if (!baseline || !target) {
+    runCompare.chart.clear();
+    fillCompareTable(paramsBody, [], '—');
+    fillCompareTable(statsBody, [], '—');
+    return;
+  }
+
+  renderCompareChart(computeRunDifference(baseline, target));
+  fillCompareTable(paramsBody, diffRunParameters(baseline, target).map(p =>
+    [p.panel, p.parameter, formatParamValue(p.base), formatParamValue(p.target), p.unit]), '参数相同');
+  fillCompareTable(statsBody, diffRunStatistics(baseline, target).map(({ metric, base, value, delta }) =>
+    [metric.label, formatCompareValue(metric, base), formatCompareValue(metric, value), formatCompareDelta(metric, delta)]), '统计量相同');
+}
+
+/**
+ * 初始化运行对比：打开存储、恢复基线，运行结束或停止时自动保存
+ */
+async function initRunCompare() {
+  const dialog = document.getElementById('compare-dialog');
+  if (!dialog) return;
+  const status = dialog.querySelector('.compare-status');
+  const pinBtn = document.getElementById('btn-report-baseline');
+  const refresh = () => {
+    if (dialog.open) renderRunComparison(dialog);
+  };
+  const fail = err => {
+    console.warn('Run comparison storage failed:', err);
+    status.textContent = `运行存储失败: ${err.message || err}`;
+  };
+
+  document.getElementById('btn-compare')?.addEventListener('click', () => {
+    dialog.showModal();
+    if (!runCompare.chart) runCompare.chart = echarts.init(document.getElementById('compare-chart'));
+    runCompare.chart.resize();
+    renderRunComparison(dialog);
+  });
+  dialog.querySelector('.compare-baseline').addEventListener('change', event => {
+    const id = event.target.value === '' ? null : Number(event.target.value);
+    setBaselineRun(id).then(refresh, fail);
+  });
+  dialog.querySelector('.compare-target').addEventListener('change', event => {
+    runCompare.target = event.target.value === RUN_COMPARE_CURRENT ? RUN_COMPARE_CURRENT : Number(event.target.value);
+    refresh();
+  });
+  dialog.querySelector('.compare-overlay').addEventListener('change', event => {
+    runCompare.overlay = event.target.checked;
+    applyBaselineOverlay();
+  });
+  dialog.querySelector('.btn-compare-save').addEventListener('click', () => {
+    saveCurrentRun().then(run => {
+      if (run) runCompare.target = run.id;
+      refresh();
+    }, fail);
+  });
+  dialog.querySelector('.btn-compare-delete').addEventListener('click', () => {
+    if (runCompare.target === RUN_COMPARE_CURRENT) return;
+    deleteSavedRun(runCompare.target).then(refresh, fail);
+  });
+  pinBtn?.addEventListener('click', () => {
+    if (runCompare.lastSavedId !== null) setBaselineRun(runCompare.lastSavedId).then(refresh, fail);
+  });
+
+  if (typeof indexedDB === 'undefined') return;
+  try {
+    runCompare.db = await openRunDatabase();
+    await loadSavedRuns();
+  } catch (err) {
+    runCompare.db = null;
+    console.warn('Run comparison storage unavailable:', err);
+    return;
+  }
+  if (runCompare.baseline) applyBaselineOverlay();
+
+  subscribeEvents(event => {
+    if (event.type !== 'run.end' && event.type !== 'run.stop') return;
+    saveCurrentRun(event.simTime).then(run => {
+      if (!run) return;
+      if (pinBtn) pinBtn.disabled = false;
+      refresh();
+    }, err => {
+      fail(err);
+      publishEvent({ type: 'compare.failed', source: 'compare', severity: 'warning', message: `运行保存失败: ${err.message || err}` });
+    });
+  });
+}
@@ -0,0 +1,332 @@
+// --- 运行报告 ---
+// 每次运行结束（到达结束时间或停止）后自动生成报告：场景参数（按面板分组）、图表与光斑视图快照、
+// 链路统计（可用度、余量、误码率分位数、中断次数与时长）、PAT 关键时间、注入工况及其影响、告警汇总。
+// 报告在“报告输出”面板中查看，可导出为自包含的 HTML（图片内嵌为 data URL）或 JSON 存档。
+
+const RUN_REPORT_FORMAT = 'run-report';
+const RUN_REPORT_VERSION = 1;
+const RUN_REPORT_BER_QUANTILES = [0.5, 0.9, 0.99];
+
+/**
+ * 快照来源：监测图表之外的画布
+ */
+const RUN_REPORT_CANVASES = [
+  ['canvas-spot-1', '终端光斑1'],
+  ['canvas-spot-2', '终端光斑2'],
+  ['canvas-eye', '眼图'],
+  ['canvas-constellation', '星座图']
+];
+
+// 导出 HTML 内嵌的样式，与面板内 .run-report 的样式保持一致
+const RUN_REPORT_STYLE = `
+body { margin: 24px; font-family: 'Segoe UI', 'Microsoft YaHei', sans-serif; color: #333; }
+.run-report h3 { font-size: 16px; margin: 0 0 8px; }
+.run-report h4 { font-size: 13px; margin: 16px 0 6px; color: #1a73e8; }
+.run-report table { border-collapse: collapse; width: 100%; font-size: 12px; }
+.run-report th, .run-report td { border-bottom: 1px solid #eee; padding: 3px 6px; text-align: left; }
+.run-report th { background: #f8f9fa; font-weight: 600; }
+.run-report .run-report-meta { color: #666; font-size: 12px; margin: 0; }
+.run-report .run-report-snapshots { display: flex; flex-wrap: wrap; gap: 10px; }
+.run-report figure { margin: 0; flex: 1 1 220px; max-width: 360px; }
+.run-report figure img { width: 100%; border: 1px solid #ddd; border-radius: 4px; background: #0a0a0a; }
+.run-report figcaption { font-size: 11px; color: #666; text-align: center; }
+`;
+
+const runReport = { current: null };
+
+/**
+ * 统计 [startTime, endTime] 内的链路指标（逐采样，叠加全部已注入工况）
+ * @returns {Object} 可用度 [%]、余量 [dB]、误码率分位数、中断次数与时长 [s]
+ */
+function computeRunStatistics(startTime, endTime) {
+  const faultCtx = injectedFaults.length > 0 ? createFaultContext() : null;
+  const perturb = sample => perturbSample(sample, injectedFaults, faultCtx);
+
+  let known = 0;
+  let upCount = 0;
+  let marginSum = 0;
+  let marginCount = 0;
+  let marginMin = Infinity;
+  const bers = [];
+  const outages = [];
+  let downSince = null;
+  simulationData.forEach((record, i) => {
+    if (record.time < startTime - 1e-9 || record.time > endTime + 1e-9) return;
+    const { margin, ber, up } = readLinkCondition(perturb(record), perturb(linkBudgetData[i] || null));
+    if (Number.isFinite(margin)) {
+      marginSum += margin;
+      marginCount++;
+      marginMin = Math.min(marginMin, margin);
+    }
+    if (Number.isFinite(ber)) bers.push(ber);
+    if (up === null) return;
+    known++;
+    if (up) {
+      upCount++;
+      if (downSince !== null) outages.push({ start: downSince, end: record.time });
+      downSince = null;
+    } else if (downSince === null) {
+      downSince = record.time;
+    }
+  });
+  if (downSince !== null) outages.push({ start: downSince, end: endTime });
+
+  bers.sort((a, b) => a - b);
+  const durations = outages.map(o => o.end - o.start);
+  return {
+    samples: known,
+    availability_pct: known > 0 ? upCount / known * 100 : null,
+    margin_mean_db: marginCount > 0 ? marginSum / marginCount : null,
+    margin_min_db: marginCount > 0 ? marginMin : null,
+    ber_percentiles: RUN_REPORT_BER_QUANTILES.map(q => ({ q, value: bers.length > 0 ? quantileSorted(bers, q) : null })),
+    outage_count: outages.length,
+    outage_total_s: durations.reduce((sum, d) => sum + d, 0),
+    outage_longest_s: durations.length > 0 ? Math.max(...durations) : 0,
+    outages
+  };
+}
+
+/**
+ * 各工况在其作用窗口内的影响：相对无工况时的平均余量变化、窗口内最小余量与中断时长
+ */
+function computeFaultEffects(startTime, endTime) {
+  const faultCtx = injectedFaults.length > 0 ? createFaultContext() : null;
+  const interval = resultMeta && resultMeta.sampleInterval > 0 ? resultMeta.sampleInterval : 0;
+  return injectedFaults.map(fault => {
+    const from = Math.max(startTime, fault.start);
+    const to = Math.min(endTime, fault.start + fault.duration);
+    let deltaSum = 0;
+    let deltaCount = 0;
+    let marginMin = Infinity;
+    let down = 0;
+    simulationData.forEach((record, i) => {
+      if (record.time < from - 1e-9 || record.time > to + 1e-9) return;
+      const budget = linkBudgetData[i] || null;
+      const base = readLinkCondition(record, budget);
+      const alone = readLinkCondition(perturbSample(record, [fault], faultCtx), perturbSample(budget, [fault], faultCtx));
+      const all = readLinkCondition(perturbSample(record, injectedFaults, faultCtx), perturbSample(budget, injectedFaults, faultCtx));
+      if (Number.isFinite(alone.margin) && Number.isFinite(base.margin)) {
+        deltaSum += alone.margin - base.margin;
+        deltaCount++;
+      }
+      if (Number.isFinite(all.margin)) marginMin = Math.min(marginMin, all.margin);
+      if (all.up === false) down++;
+    });
+    return {
+      id: fault.id,
+      type: fault.type,
+      label: FAULT_TYPES[fault.type].label,
+      description: describeFault(fault),
+      start: fault.start,
+      duration: fault.duration,
+      params: { ...fault.params },
+      active: to >= from,
+      margin_delta_db: deltaCount > 0 ? deltaSum / deltaCount : null,
+      margin_min_db: Number.isFinite(marginMin) ? marginMin : null,
+      outage_s: down * interval
+    };
+  });
+}
+
+/**
+ * 图表与画布快照（PNG data URL）
+ */
+function captureRunSnapshots() {
+  const snapshots = [];
+  Object.entries(charts).forEach(([key, chart]) => {
+    const panel = chartPanels[key];
+    const title = panel && panel.fields.length > 0 ? panel.fields.map(f => formatFieldLabel(f.field)).join(' / ') : key;
+    snapshots.push({ title, image: chart.getDataURL({ type: 'png', pixelRatio: 2, backgroundColor: '#0a0a0a' }) });
+  });
+  RUN_REPORT_CANVASES.forEach(([id, title]) => {
+    const canvas = document.getElementById(id);
+    if (canvas && canvas.width > 0 && canvas.height > 0) snapshots.push({ title, image: canvas.toDataURL('image/png') });
+  });
+  return snapshots;
+}
+
+/**
+ * 生成运行报告
+ * @param {number} [endTime] - 统计截止时刻，缺省为当前仿真时间
+ */
+function buildRunReport(endTime = getSimulationTime()) {
+  const startTime = simClock.startTime;
+  const groups = [];
+  collectParamsForExport().forEach(({ panel, id, parameter, value, unit }) => {
+    let group = groups.find(g => g.panel === panel);
+    if (!group) {
+      group = { panel, params: [] };
+      groups.push(group);
+    }
+    group.params.push({ id, parameter, value, unit });
+  });
+
+  return {
+    format: RUN_REPORT_FORMAT,
+    version: RUN_REPORT_VERSION,
+    generatedAt: new Date().toISOString(),
+    source: { id: resultSourceId, label: resultSource ? resultSource.label : '' },
+    span: { start: startTime, end: endTime, duration: endTime - startTime },
+    parameters: groups,
+    statistics: computeRunStatistics(startTime, endTime),
+    pat: summarizePatPerformance(),
+    faults: computeFaultEffects(startTime, endTime),
+    alarms: buildAlarmSummary().map(({ rule, trips, outage, worst }) => ({
+      rule: describeAlarmRule(rule),
+      severity: rule.severity,
+      trips,
+      outage_s: outage,
+      worst: Number.isFinite(worst) ? worst : null
+    })),
+    snapshots: captureRunSnapshots()
+  };
+}
+
+// --- HTML ---
+
+function escapeHTML(text) {
+  return String(text).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+function reportTable(headers, rows) {
+  const head = headers.map(h => `<th>${escapeHTML(h)}</th>`).join('');
+  const body = rows.map(cells => `<tr>${cells.map(c => `<td>${escapeHTML(c)}</td>`).join('')}</tr>`).join('');
+  return `<table><thead><tr>${head}</tr></thead><tbody>${body}</tbody></table>`;
+}
+
+const formatReportNumber = (value, digits = 2, unit = '') =>
+  (Number.isFinite(value) ? `${value.toFixed(digits)}${unit ? ` ${unit}` : ''}` : '—');
+const formatReportBer = value => (Number.isFinite(value) ? value.toExponential(2) : '—');
+
+/**
+ * 报告正文（不含 <html> 外壳），面板内查看与导出共用
+ */
+function renderRunReportHTML(report) {
+  const s = report.statistics;
+  const parts = [
+    `<h3>运行报告</h3>`,
+    `<p class="run-report-meta">数据源 ${escapeHTML(report.source.label || report.source.id || '—')}，` +
+      `${escapeHTML(formatEventTime(report.span.start))} – ${escapeHTML(formatEventTime(report.span.end))}` +
+      `（${report.span.duration.toFixed(1)}s），生成于 ${escapeHTML(new Date(report.generatedAt).toLocaleString())}</p>`,
+
+    `<h4>链路统计</h4>`,
+    reportTable(['指标', '值'], [
+      ['链路可用度', formatReportNumber(s.availability_pct, 1, '%')],
+      ['平均 / 最小链路余量', `${formatReportNumber(s.margin_mean_db, 2, 'dB')} / ${formatReportNumber(s.margin_min_db, 2, 'dB')}`],
+      ...s.ber_percentiles.map(({ q, value }) => [`误码率 P${Math.round(q * 100)}`, formatReportBer(value)]),
+      ['中断次数', String(s.outage_count)],
+      ['累计 / 最长中断', `${formatReportNumber(s.outage_total_s, 1, 's')} / ${formatReportNumber(s.outage_longest_s, 1, 's')}`]
+    ]),
+
+    `<h4>捕获跟踪</h4>`,
+    reportTable(['指标', '值'], [
+      ['捕获时间（终端 2 捕获信标）', formatReportNumber(report.pat.acquisition, 2, 's')],
+      ['交接时间（终端 1 进入精跟踪）', formatReportNumber(report.pat.handover, 2, 's')],
+      ['建链时间（终端 1 进入通信）', formatReportNumber(report.pat.link, 2, 's')],
+      ['重捕次数', String(report.pat.reacquisitions)]
+    ]),
+
+    `<h4>注入工况</h4>`,
+    report.faults.length > 0
+      ? reportTable(['工况', '平均余量变化', '窗口内最小余量', '窗口内中断'], report.faults.map(f => [
+        f.description,
+        f.active ? formatReportNumber(f.margin_delta_db, 2, 'dB') : '未进入运行区间',
+        formatReportNumber(f.margin_min_db, 2, 'dB'),
+        formatReportNumber(f.outage_s, 1, 's')
+      ]))
+      : '<p class="run-report-meta">无</p>',
+
+    `<h4>告警</h4>`,
+    reportTable(['规则', '触发次数', '累计中断'], report.alarms.map(a => [a.rule, String(a.trips), formatReportNumber(a.outage_s, 1, 's')])),
+
+    `<h4>场景参数</h4>`,
+    ...report.parameters.map(group => `<h4>${escapeHTML(group.panel)}</h4>` +
+      reportTable(['参数', '值', '单位'], group.params.map(p => [p.parameter, String(p.value), p.unit]))),
+
+    `<h4>快照</h4>`,
+    `<div class="run-report-snapshots">${report.snapshots.map(snap =>
+      `<figure><img src="${snap.image}" alt="${escapeHTML(snap.title)}"><figcaption>${escapeHTML(snap.title)}</figcaption></figure>`).join('')}</div>`
+  ];
+  return parts.join('\n');
+}
+
+// --- 导出 ---
+
+function reportFileName(report, ext) {
+  return `run-report_${report.generatedAt.replace(/[:.]/g, '-')}.${ext}`;
+}
+
+function exportRunReportHTML(report) {
+  const html = `<!DOCTYPE html>
+<html lang="zh-CN">
+<head>
+<meta charset="utf-8">
+<title>运行报告 ${escapeHTML(report.generatedAt)}</title>
+<style>${RUN_REPORT_STYLE}</style>
+</head>
+<body class="run-report">
+${renderRunReportHTML(report)}
+</body>
+</html>
+`;
+  downloadFile(reportFileName(report, 'html'), html, 'text/html;charset=utf-8;');
+}
+
+function exportRunReportJSON(report) {
+  downloadFile(reportFileName(report, 'json'), JSON.stringify(report, null, 2), 'application/json');
+}
+
+// --- 界面 ---
+
+/**
+ * 生成报告并显示在报告面板
+ * @param {number} [endTime] - 统计截止时刻
+ */
+function generateRunReport(endTime) {
+  if (simulationData.length === 0) return null;
+  const report = buildRunReport(endTime);
+  runReport.current = report;
+
+  const container = document.getElementById('run-report-container');
+  if (container) container.innerHTML = renderRunReportHTML(report);
+  document.querySelectorAll('.btn-report-export').forEach(btn => { btn.disabled = false; });
+  publishEvent({
+    type: 'report.generated',
+    source: 'report',
+    message: `运行报告已生成（可用度 ${formatReportNumber(report.statistics.availability_pct, 1, '%')}，中断 ${report.statistics.outage_count} 次）`,
+    simTime: report.span.end
+  });
+  return report;
+}
+
+/**
+ * 切换报告面板的 事件流 / 运行报告 页
+ */
+function showReportTab(tab) {
+  document.querySelectorAll('#report-output [data-report-tab]').forEach(btn => {
+    btn.classList.toggle('active', btn.dataset.reportTab === tab);
+  });
+  document.querySelectorAll('#report-output [data-report-pane]').forEach(pane => {
+    pane.hidden = pane.dataset.reportPane !== tab;
+  });
+}
+
+/**
+ * 初始化运行报告：运行到达结束时间或停止时自动生成
+ */
+function initRunReport() {
+  document.querySelectorAll('#report-output [data-report-tab]').forEach(btn => {
+    btn.addEventListener('click', () => showReportTab(btn.dataset.reportTab));
+  });
+  document.getElementById('btn-report-generate')?.addEventListener('click', () => {
+    generateRunReport();
+    showReportTab('report');
+  });
+  document.getElementById('btn-report-export-html')?.addEventListener('click', () => exportRunReportHTML(runReport.current));
+  document.getElementById('btn-report-export-json')?.addEventListener('click', () => exportRunReportJSON(runReport.current));
+
+  subscribeEvents(event => {
+    if (event.type !== 'run.end' && event.type !== 'run.stop') return;
+    generateRunReport(event.simTime);
+  });
+}
@@ -0,0 +1,299 @@
+// --- 场景文件 ---
+// 场景 = 全部面板参数（SI 单位）+ 各面板确认状态 + 工况计划，以带版本号的 JSON 保存与分享。
+// 版本 1 不含工况计划（events），导入时保留当前计划。
+// 也可导入 exportConfigToCSV 生成的 InputDatas.csv（含旧版 Panel,Parameter,Value 三列格式）。
+// 命名预设与最近使用的场景保存在 localStorage。
+
+const SCENARIO_FORMAT = 'optical-link-scenario';
+const SCENARIO_VERSION = 2;
+const PRESET_STORAGE_KEY = 'scenarioPresets';
+const RECENT_STORAGE_KEY = 'recentScenarios';
+const MAX_RECENT_SCENARIOS = 8;
+
+/**
+ * 由当前面板内容生成场景对象
+ * @param {string} name - 场景名称
+ */
+function buildScenario(name) {
+  return {
+    format: SCENARIO_FORMAT,
+    version: SCENARIO_VERSION,
+    name,
+    savedAt: new Date().toISOString(),
+    confirmed: { ...paramInputStatus },
+    parameters: collectParamsForExport().map(({ id, value, unit }) => ({ id, value, unit })),
+    events: serializeFaultSchedule()
+  };
+}
+
+/**
+ * 解析并校验场景 JSON
+ * @param {string} text
+ * @returns {Object} 场景对象
+ */
+function parseScenarioJSON(text) {
+  const scenario = JSON.parse(text);
+  if (!scenario || scenario.format !== SCENARIO_FORMAT) {
+    throw new Error('文件不是场景格式');
+  }
+  if (!(scenario.version >= 1 && scenario.version <= SCENARIO_VERSION)) {
+    throw new Error(`不支持的场景版本: ${scenario.version}`);
+  }
+  if (!Array.isArray(scenario.parameters)) {
+    throw new Error('场景缺少 parameters 列表');
+  }
+  if (scenario.events !== undefined && !Array.isArray(scenario.events)) {
+    throw new Error('场景的 events 不是列表');
+  }
+  return scenario;
+}
+
+/**
+ * 将 InputDatas.csv 转换为场景。
+ * 含 Id 列的表格按参数 ID 匹配，Value 为 Unit 列所示单位（SI）；
+ * 旧版三列表格按面板标题与标签匹配，Value 为标签中标注的单位（即标称单位）。
+ * 出现过的面板视为已确认。
+ * @param {string} text - CSV 文本
+ * @param {string} name - 场景名称
+ * @returns {{scenario: Object, unmatched: string[]}}
+ */
+function scenarioFromConfigCSV(text, name) {
+  const { headers, rows } = parseCSV(text, { defaultType: 'string' });
+  if (!['Panel', 'Parameter', 'Value'].every(h => headers.includes(h))) {
+    throw new Error('CSV 需包含 Panel, Parameter, Value 列');
+  }
+
+  const parameters = [];
+  const unmatched = [];
+  const matched = new Set();
+  rows.forEach(row => {
+    const def = row.Id && PARAM_INDEX[row.Id]
+      ? PARAM_INDEX[row.Id].def
+      : findParamByLabel(row.Panel, row.Parameter || '', matched);
+    if (!def) {
+      unmatched.push(`${row.Panel} / ${row.Parameter}`);
+      return;
+    }
+    matched.add(def.id);
+    parameters.push({
+      id: def.id,
+      value: def.type === 'select' ? row.Value : parseFloat(row.Value),
+      unit: row.Id ? (row.Unit || '') : (def.unit || '')
+    });
+  });
+
+  const confirmed = {};
+  Object.keys(paramInputStatus).forEach(panelId => {
+    confirmed[panelId] = parameters.some(p => PARAM_INDEX[p.id].panel === panelId) ||
+      !PARAM_SCHEMA.some(panel => panel.panel === panelId && panel.groups.length > 0);
+  });
+
+  return {
+    scenario: {
+      format: SCENARIO_FORMAT,
+      version: SCENARIO_VERSION,
+      name,
+      savedAt: new Date().toISOString(),
+      confirmed,
+      parameters
+    },
+    unmatched
+  };
+}
+
+/**
+ * 将场景写入各面板，并按场景设置 paramInputStatus（含无效参数的面板不予确认）。
+ * 场景含工况计划时替换当前计划。
+ * @param {Object} scenario
+ * @returns {string[]} 当前表单中不存在的参数 ID
+ */
+function applyScenario(scenario) {
+  const unknown = [];
+  scenario.parameters.forEach(({ id, value, unit }) => {
+    const el = document.querySelector(`[data-param="${id}"]`);
+    if (!el) {
+      unknown.push(id);
+      return;
+    }
+    writeParamInput(el, value, unit);
+  });
+
+  const panelIds = Object.keys(paramInputStatus);
+  panelIds.forEach(panelId => {
+    const valid = validateParamPanel(panelId);
+    setPanelConfirmed(panelId, valid && !!(scenario.confirmed && scenario.confirmed[panelId]));
+  });
+
+  updateSimulationButtons();
+  updateStatusBarText();
+  applyPanelParamChanges(panelIds);
+  if (scenario.events) {
+    setFaultSchedule(scenario.events);
+    renderFaultBands();
+  }
+  addRecentScenario(scenario);
+  publishEvent({
+    type: 'scenario.applied',
+    source: 'scenario',
+    severity: unknown.length > 0 ? 'warning' : 'info',
+    message: `已应用场景 "${scenario.name}"（${scenario.parameters.length} 个参数）`,
+    payload: { name: scenario.name, unknown }
+  });
+  return unknown;
+}
+
+// --- 预设与最近场景 (localStorage) ---
+
+function readStoredJSON(key, fallback) {
+  try {
+    const text = localStorage.getItem(key);
+    return text ? JSON.parse(text) : fallback;
+  } catch (err) {
+    console.warn(`Failed to read ${key} from localStorage:`, err);
+    return fallback;
+  }
+}
+
+function writeStoredJSON(key, value) {
+  try {
+    localStorage.setItem(key, JSON.stringify(value));
+  } catch (err) {
+    console.warn(`Failed to write ${key} to localStorage:`, err);
+  }
+}
+
+/**
+ * @returns {Object<string, Object>} 预设名 -> 场景
+ */
+function loadScenarioPresets() {
+  return readStoredJSON(PRESET_STORAGE_KEY, {});
+}
+
+function saveScenarioPreset(scenario) {
+  const presets = loadScenarioPresets();
+  presets[scenario.name] = scenario;
+  writeStoredJSON(PRESET_STORAGE_KEY, presets);
+}
+
+function deleteScenarioPreset(name) {
+  const presets = loadScenarioPresets();
+  delete presets[name];
+  writeStoredJSON(PRESET_STORAGE_KEY, presets);
+}
+
+/**
+ * @returns {Object[]} 最近使用的场景，最新的在前
+ */
+function loadRecentScenarios() {
+  return readStoredJSON(RECENT_STORAGE_KEY, []);
+}
+
+function addRecentScenario(scenario) {
+  const recent = loadRecentScenarios().filter(s => s.name !== scenario.name);
+  recent.unshift(scenario);
+  writeStoredJSON(RECENT_STORAGE_KEY, recent.slice(0, MAX_RECENT_SCENARIOS));
+  renderScenarioLists();
+}
+
+// --- 界面 ---
+
+function fillScenarioSelect(select, placeholder, names) {
+  if (!select) return;
+  select.innerHTML = '';
+  const empty = document.createElement('option');
+  empty.value = '';
+  empty.textContent = placeholder;
+  select.appendChild(empty);
+  names.forEach(name => {
+    const option = document.createElement('option');
+    option.value = name;
+    option.textContent = name;
+    select.appendChild(option);
+  });
+}
+
+function renderScenarioLists() {
+  fillScenarioSelect(document.getElementById('scenario-preset-select'), '— 选择预设 —',
+    Object.keys(loadScenarioPresets()).sort());
+  fillScenarioSelect(document.getElementById('scenario-recent-select'), '— 最近场景 —',
+    loadRecentScenarios().map(s => s.name));
+}
+
+/**
+ * 导入 JSON 场景或 InputDatas.csv
+ * @param {File} file
+ */
+async function importScenarioFile(file) {
+  const text = await file.text();
+  const name = file.name.replace(/\.[^.]+$/, '');
+  try {
+    if (/\.csv$/i.test(file.name)) {
+      const { scenario, unmatched } = scenarioFromConfigCSV(text, name);
+      applyScenario(scenario);
+      if (unmatched.length > 0) {
+        alert(`场景已导入，以下 ${unmatched.length} 项未能匹配到参数：\n${unmatched.join('\n')}`);
+      }
+    } else {
+      const unknown = applyScenario(parseScenarioJSON(text));
+      if (unknown.length > 0) {
+        alert(`场景已导入，以下参数在当前版本中不存在：\n${unknown.join('\n')}`);
+      }
+    }
+  } catch (err) {
+    console.error('Scenario import failed:', err);
+    alert(`场景导入失败: ${err.message}`);
+  }
+}
+
+/**
+ * 初始化场景导入/导出、预设与最近场景控件
+ */
+function initScenarioControls() {
+  const fileInput = document.getElementById('scenario-file-input');
+  const presetSelect = document.getElementById('scenario-preset-select');
+  const recentSelect = document.getElementById('scenario-recent-select');
+
+  document.getElementById('btn-scenario-import')?.addEventListener('click', () => fileInput?.click());
+  fileInput?.addEventListener('change', () => {
+    const file = fileInput.files[0];
+    fileInput.value = '';
+    if (file) importScenarioFile(file);
+  });
+
+  document.getElementById('btn-scenario-export')?.addEventListener('click', () => {
+    const name = prompt('场景名称', 'scenario');
+    if (!name) return;
+    const scenario = buildScenario(name);
+    downloadFile(`${name}.json`, JSON.stringify(scenario, null, 2), 'application/json');
+    addRecentScenario(scenario);
+  });
+
+  document.getElementById('btn-preset-save')?.addEventListener('click', () => {
+    const name = prompt('预设名称', presetSelect?.value || '');
+    if (!name) return;
+    saveScenarioPreset(buildScenario(name));
+    renderScenarioLists();
+    if (presetSelect) presetSelect.value = name;
+  });
+
+  document.getElementById('btn-preset-delete')?.addEventListener('click', () => {
+    const name = presetSelect?.value;
+    if (!name || !confirm(`删除预设 "${name}"？`)) return;
+    deleteScenarioPreset(name);
+    renderScenarioLists();
+  });
+
+  presetSelect?.addEventListener('change', () => {
+    const scenario = loadScenarioPresets()[presetSelect.value];
+    if (scenario) applyScenario(scenario);
+    presetSelect.value = scenario ? scenario.name : '';
+  });
+
+  recentSelect?.addEventListener('change', () => {
+    const scenario = loadRecentScenarios().find(s => s.name === recentSelect.value);
+    if (scenario) applyScenario(scenario);
+    recentSelect.value = '';
+  });
+
+  renderScenarioLists();
+}
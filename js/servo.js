@@ -0,0 +1,496 @@
+// --- 复合轴伺服仿真 ---
+// 粗瞄转台（直流电机 + 码盘）与精瞄快反镜 (FSM) 组成的复合轴离散时间模型，X/Y 两轴独立：
+//   粗跟踪：粗探测器（f_D、n_D）测视线误差，PID 以 T_cp 为周期输出电机电压，微分项按码盘带宽 F_mp 滤波，
+//   转台角由码盘（T_mp、pn_mp）读出；
+//   精跟踪：精探测器测粗跟踪后的残差，PID 以 F_fpid 为周期输出 FSM 力矩，FSM 偏转受 fsm_max 限幅。
+// 视线扰动为平台正弦振动与随机抖动之和，以 F_s 积分 T_stop 时长，按 F_samp 输出跟踪误差 ERR_X/ERR_Y，
+// 驱动光斑视图与转台读数；另提供开环/闭环频率响应与阶跃响应供调参。
+
+const SERVO_AXES = ['x', 'y'];
+const SERVO_JITTER_BANDWIDTH = 20; // 平台随机抖动的一阶低通带宽 [Hz]
+const SERVO_FSM_DERIVATIVE_RATIO = 0.1; // FSM 微分滤波截止频率 = 该比例 × F_fpid
+const SERVO_MAX_STEPS = 2e6; // 单次仿真积分步数上限，超出时缩短仿真时长
+const SERVO_SEEDS = { T1: 0x53525631, T2: 0x53525632 };
+
+const servoCache = { key: null, results: {}, pendingKey: null };
+
+/**
+ * 读取伺服模型参数（SI 单位）
+ * @param {Object} [device] - 器件面板读数，缺省读取当前面板（批量仿真的 Worker 中显式传入）
+ */
+function readServoParams(device = readPanelParams('panel-device-params')) {
+  return {
+    solverRate: device.F_s,
+    duration: device.T_stop,
+    outputRate: device.F_samp,
+    // 粗瞄电机与码盘
+    resistance: device.R_m,
+    inductance: device.L_m,
+    backEmf: device.K_b,
+    torqueConstant: device.C_m,
+    gimbalInertia: device.J_m,
+    coarsePeriod: device.T_cp,
+    maxGimbalAngle: device.cpa_max_deg * Math.PI / 180,
+    maxGimbalRate: device.cpa_rate_deg * Math.PI / 180,
+    encoderPeriod: device.T_mp,
+    encoderBandwidth: device.F_mp,
+    // 限带白噪声约定：标准差 = sqrt(噪声功率 / 采样周期)，单位 μrad
+    encoderNoise: Math.sqrt(device.pn_mp / device.T_mp) * 1e-6,
+    // 粗探测器
+    detectorRate: device.f_D,
+    detectorNoise: device.n_D,
+    // 精瞄快反镜：机械偏转经 FPA_op 变为光学偏转，再经望远镜 G_op 缩小到物方
+    fsmInertia: device.J_fsm,
+    finePeriod: 1 / device.F_fpid,
+    maxFsmAngle: device.fsm_max,
+    fsmGain: device.FPA_op / device.G_op,
+    // PID
+    coarse: { kp: device.cpa_kp, ki: device.cpa_ki, kd: device.cpa_kd },
+    fine: { kp: device.fsm_kp, ki: device.fsm_ki, kd: device.fsm_kd },
+    // 平台扰动
+    disturbance: {
+      amplitude: device.dist_amp,
+      frequency: device.dist_freq,
+      jitterRms: device.dist_rms
+    }
+  };
+}
+
+/**
+ * 均匀分布伪随机数发生器 (mulberry32)，返回标准正态采样函数
+ */
+function createServoRng(seed) {
+  let state = seed >>> 0;
+  const uniform = () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  return () => Math.sqrt(-2 * Math.log(Math.max(uniform(), 1e-12))) * Math.cos(2 * Math.PI * uniform());
+}
+
+/**
+ * 运行复合轴仿真
+ * @param {Object} p - readServoParams 的结果
+ * @param {Object} [options]
+ * @param {number} [options.seed] - 随机种子
+ * @param {number} [options.duration] - 仿真时长 [s]，缺省为 T_stop
+ * @param {number} [options.step] - 阶跃目标 [rad]；给定时以阶跃代替平台扰动，且不加噪声
+ * @returns {{time: Float64Array, x: Object, y: Object, steps: number}}
+ *   各轴含 err（跟踪误差）、gimbal（码盘读出的转台角）、fsm（FSM 物方偏转）、target（视线扰动），单位 rad
+ */
+function simulateServo(p, { seed = SERVO_SEEDS.T1, duration = p.duration, step = null } = {}) {
+  const h = 1 / p.solverRate;
+  duration = Math.min(duration, SERVO_MAX_STEPS * h);
+  const steps = Math.floor(duration / h);
+  const outputEvery = Math.max(1, Math.round(p.solverRate / p.outputRate));
+  const outputs = Math.floor(steps / outputEvery) + 1;
+
+  // 各采样器以积分步数计的周期
+  const period = t => Math.max(1, Math.round(t * p.solverRate));
+  const coarseEvery = period(p.coarsePeriod);
+  const detectorEvery = period(1 / p.detectorRate);
+  const encoderEvery = period(p.encoderPeriod);
+  const fineEvery = period(p.finePeriod);
+
+  const gaussian = createServoRng(seed);
+  const noisy = step === null;
+  // 随机抖动按粗探测器采样率更新
+  const jitterPeriod = detectorEvery * h;
+  const jitterAlpha = 1 - Math.exp(-2 * Math.PI * SERVO_JITTER_BANDWIDTH * jitterPeriod);
+  // 一阶低通后保持 RMS：白噪声标准差按 sqrt((2 - α) / α) 放大
+  const jitterScale = p.disturbance.jitterRms * 1e-6 * Math.sqrt((2 - jitterAlpha) / jitterAlpha);
+  const coarseDerivativeAlpha = 1 - Math.exp(-2 * Math.PI * p.encoderBandwidth * p.coarsePeriod);
+  const fineDerivativeAlpha = 1 - Math.exp(-2 * Math.PI * SERVO_FSM_DERIVATIVE_RATIO);
+  const sineAmplitude = p.disturbance.amplitude * 1e-6;
+  const omega = 2 * Math.PI * p.disturbance.frequency;
+
+  const time = new Float64Array(outputs);
+  const result = { time, steps };
+  const axes = SERVO_AXES.map((axis, index) => {
+    const out = {
+      err: new Float64Array(outputs),
+      gimbal: new Float64Array(outputs),
+      fsm: new Float64Array(outputs),
+      target: new Float64Array(outputs)
+    };
+    result[axis] = out;
+    return {
+      out,
+      phase: index * Math.PI / 2,
+      jitter: 0,
+      // 电机电流、转台角速度与角度
+      current: 0, rate: 0, angle: 0, voltage: 0,
+      // 码盘测角（转台角读数）
+      encoder: 0,
+      coarseMeasured: 0, coarseIntegral: 0, coarsePrevious: 0, coarseDerivative: 0,
+      // FSM 机械偏转与角速度
+      fsmAngle: 0, fsmRate: 0, torque: 0,
+      fineIntegral: 0, finePrevious: 0, fineDerivative: 0
+    };
+  });
+
+  let n = 0;
+  for (let k = 0; k <= steps; k++) {
+    const t = k * h;
+    const output = k % outputEvery === 0 && n < outputs;
+    for (let a = 0; a < axes.length; a++) {
+      const s = axes[a];
+      // 视线扰动
+      let target = step;
+      if (step === null) {
+        if (k % detectorEvery === 0) s.jitter += jitterAlpha * (gaussian() * jitterScale - s.jitter);
+        target = sineAmplitude * Math.sin(omega * t + s.phase) + s.jitter;
+      }
+      const coarseResidual = target - s.angle;
+      const error = coarseResidual - p.fsmGain * s.fsmAngle;
+
+      // 采样与控制（零阶保持）
+      if (k % detectorEvery === 0) s.coarseMeasured = coarseResidual + (noisy ? gaussian() * p.detectorNoise : 0);
+      if (k % encoderEvery === 0) s.encoder = s.angle + (noisy ? gaussian() * p.encoderNoise : 0);
+      if (k % coarseEvery === 0) {
+        // 微分项经码盘带宽 F_mp 一阶滤波
+        s.coarseIntegral += s.coarseMeasured * p.coarsePeriod;
+        s.coarseDerivative += coarseDerivativeAlpha * ((s.coarseMeasured - s.coarsePrevious) / p.coarsePeriod - s.coarseDerivative);
+        s.coarsePrevious = s.coarseMeasured;
+        s.voltage = p.coarse.kp * s.coarseMeasured + p.coarse.ki * s.coarseIntegral + p.coarse.kd * s.coarseDerivative;
+      }
+      if (k % fineEvery === 0) {
+        const measured = error + (noisy ? gaussian() * p.detectorNoise : 0);
+        s.fineIntegral += measured * p.finePeriod;
+        s.fineDerivative += fineDerivativeAlpha * ((measured - s.finePrevious) / p.finePeriod - s.fineDerivative);
+        s.finePrevious = measured;
+        s.torque = p.fine.kp * measured + p.fine.ki * s.fineIntegral + p.fine.kd * s.fineDerivative;
+      }
+
+      if (output) {
+        s.out.err[n] = error;
+        s.out.gimbal[n] = s.encoder;
+        s.out.fsm[n] = p.fsmGain * s.fsmAngle;
+        s.out.target[n] = target;
+      }
+
+      // 积分：电机电气方程、转台动力学（限速、限位）与 FSM 动力学（限幅）
+      s.current += h * (s.voltage - p.resistance * s.current - p.backEmf * s.rate) / p.inductance;
+      s.rate += h * p.torqueConstant * s.current / p.gimbalInertia;
+      if (s.rate > p.maxGimbalRate) s.rate = p.maxGimbalRate;
+      else if (s.rate < -p.maxGimbalRate) s.rate = -p.maxGimbalRate;
+      s.angle += h * s.rate;
+      if (Math.abs(s.angle) > p.maxGimbalAngle) {
+        s.angle = Math.sign(s.angle) * p.maxGimbalAngle;
+        s.rate = 0;
+      }
+      s.fsmRate += h * s.torque / p.fsmInertia;
+      s.fsmAngle += h * s.fsmRate;
+      if (Math.abs(s.fsmAngle) > p.maxFsmAngle) {
+        s.fsmAngle = Math.sign(s.fsmAngle) * p.maxFsmAngle;
+        s.fsmRate = 0;
+      }
+    }
+    if (output) time[n++] = t;
+  }
+  return result;
+}
+
+/**
+ * 当前参数下两个终端的仿真结果（参数不变时复用）。
+ * 参数变化后交给仿真 Worker 计算，结果到达前沿用上一组结果；没有 Worker 时同步计算。
+ */
+function getServoResults() {
+  const p = readServoParams();
+  const key = JSON.stringify(p);
+  if (servoCache.key === key || servoCache.pendingKey === key) return servoCache.results;
+  if (requestServoSimulation(key, p)) {
+    servoCache.pendingKey = key;
+    return servoCache.results;
+  }
+  servoCache.key = key;
+  servoCache.pendingKey = null;
+  servoCache.results = {};
+  Object.entries(SERVO_SEEDS).forEach(([id, seed]) => {
+    servoCache.results[id] = simulateServo(p, { seed });
+  });
+  return servoCache.results;
+}
+
+/**
+ * 接收仿真 Worker 算出的结果，只接受最近一次提交的参数
+ */
+function receiveServoResults(key, results) {
+  if (key !== servoCache.pendingKey) return;
+  servoCache.key = key;
+  servoCache.pendingKey = null;
+  servoCache.results = results;
+}
+
+/**
+ * 任意时刻的伺服跟踪误差 ERR_X/ERR_Y [rad]。伺服时间从时间轴起点算起，超出仿真时长后循环使用。
+ * @param {string} id - 'T1' | 'T2'
+ * @param {number} time - 仿真时间 [s]
+ * @param {Object} [results] - getServoResults 的结果，逐步推演时预先取得以免重复读取参数
+ * @returns {{x: number, y: number, gimbalX: number, gimbalY: number, fsmX: number, fsmY: number}|null} 结果尚未算出时为 null
+ */
+function sampleServoError(id, time, results = getServoResults()) {
+  const result = results[id];
+  if (!result) return null;
+  const count = result.time.length;
+  const span = result.time[count - 1];
+  let t = time - simClock.startTime;
+  if (span > 0) t = ((t % span) + span) % span;
+  const position = count > 1 ? t / span * (count - 1) : 0;
+  const i = Math.min(Math.max(0, Math.floor(position)), Math.max(0, count - 2));
+  const f = count > 1 ? Math.min(1, Math.max(0, position - i)) : 0;
+  const at = series => (count > 1 ? series[i] + (series[i + 1] - series[i]) * f : series[0]);
+  return {
+    x: at(result.x.err),
+    y: at(result.y.err),
+    gimbalX: at(result.x.gimbal),
+    gimbalY: at(result.y.gimbal),
+    fsmX: at(result.x.fsm),
+    fsmY: at(result.y.fsm)
+  };
+}
+
+// --- 频率响应 ---
+
+const complex = (re, im = 0) => ({ re, im });
+const cAdd = (a, b) => complex(a.re + b.re, a.im + b.im);
+const cMul = (a, b) => complex(a.re * b.re - a.im * b.im, a.re * b.im + a.im * b.re);
+const cDiv = (a, b) => {
+  const d = b.re * b.re + b.im * b.im;
+  return complex((a.re * b.re + a.im * b.im) / d, (a.im * b.re - a.re * b.im) / d);
+};
+const cAbs = a => Math.hypot(a.re, a.im);
+
+/**
+ * 带一阶微分滤波的 PID：Kp + Ki/s + Kd·s/(1 + s/ωd)
+ */
+function pidResponse(gains, s, derivativeCutoff) {
+  return cAdd(cAdd(complex(gains.kp), cDiv(complex(gains.ki), s)),
+    cDiv(cMul(complex(gains.kd), s), cAdd(complex(1), cDiv(s, complex(derivativeCutoff)))));
+}
+
+/**
+ * 纯时延 e^{-sτ}（采样保持与计算延迟按 1.5 个控制周期计）
+ */
+function delayResponse(omega, tau) {
+  return complex(Math.cos(omega * tau), -Math.sin(omega * tau));
+}
+
+/**
+ * 粗跟踪、精跟踪开环与复合轴误差传递函数的频率响应
+ * @param {Object} p - readServoParams 的结果
+ * @param {number[]} frequencies - [Hz]
+ */
+function servoFrequencyResponse(p, frequencies) {
+  const coarseCutoff = 2 * Math.PI * p.encoderBandwidth;
+  const fineCutoff = 2 * Math.PI * SERVO_FSM_DERIVATIVE_RATIO / p.finePeriod;
+  return frequencies.map(f => {
+    const omega = 2 * Math.PI * f;
+    const s = complex(0, omega);
+    // 直流电机：θ/V = C_m / (s·((L·s + R)·J·s + K_b·C_m))
+    const motor = cDiv(complex(p.torqueConstant), cMul(s, cAdd(
+      cMul(cAdd(cMul(complex(p.inductance), s), complex(p.resistance)), cMul(complex(p.gimbalInertia), s)),
+      complex(p.backEmf * p.torqueConstant))));
+    const coarse = cMul(cMul(pidResponse(p.coarse, s, coarseCutoff), motor), delayResponse(omega, 1.5 * p.coarsePeriod));
+    // FSM：物方偏转 / 力矩 = G / (J·s²)
+    const mirror = cDiv(complex(p.fsmGain), cMul(complex(p.fsmInertia), cMul(s, s)));
+    const fine = cMul(cMul(pidResponse(p.fine, s, fineCutoff), mirror), delayResponse(omega, 1.5 * p.finePeriod));
+    const sensitivity = cDiv(complex(1), cMul(cAdd(complex(1), coarse), cAdd(complex(1), fine)));
+    return { f, coarse, fine, sensitivity };
+  });
+}
+
+/**
+ * 复数序列的相位 [deg]，逐点展开避免 ±180° 跳变，起点取 (-360°, 0°]
+ */
+function unwrappedPhase(values) {
+  let previous = null;
+  return values.map(v => {
+    let phase = Math.atan2(v.im, v.re) * 180 / Math.PI;
+    if (previous === null) {
+      if (phase > 0) phase -= 360;
+    } else {
+      while (phase - previous > 180) phase -= 360;
+      while (phase - previous < -180) phase += 360;
+    }
+    previous = phase;
+    return phase;
+  });
+}
+
+/**
+ * 开环增益穿越频率与相位裕度
+ * @returns {{crossover: number, phaseMargin: number}|null} 无穿越时为 null
+ */
+function loopMargins(response, key) {
+  for (let i = 1; i < response.length; i++) {
+    if (cAbs(response[i - 1][key]) >= 1 && cAbs(response[i][key]) < 1) {
+      const v = response[i][key];
+      const margin = 180 + Math.atan2(v.im, v.re) * 180 / Math.PI;
+      return { crossover: response[i].f, phaseMargin: margin > 180 ? margin - 360 : margin };
+    }
+  }
+  return null;
+}
+
+// --- 界面 ---
+
+const SERVO_GAIN_PARAMS = ['cpa_kp', 'cpa_ki', 'cpa_kd', 'fsm_kp', 'fsm_ki', 'fsm_kd'];
+const SERVO_STEP_URAD = 10; // 阶跃响应的目标阶跃 [μrad]
+const SERVO_STEP_DURATION = 0.5; // 阶跃响应时长 [s]
+
+const servoCharts = { bode: null, step: null };
+
+/**
+ * 以对话框中的试调增益替换面板增益
+ */
+function readServoTrialParams(dialog) {
+  const p = readServoParams();
+  const gains = {};
+  dialog.querySelectorAll('.servo-gains input').forEach(input => { gains[input.dataset.gain] = parseFloat(input.value); });
+  return {
+    ...p,
+    coarse: { kp: gains.cpa_kp, ki: gains.cpa_ki, kd: gains.cpa_kd },
+    fine: { kp: gains.fsm_kp, ki: gains.fsm_ki, kd: gains.fsm_kd }
+  };
+}
+
+function describeMargins(label, margins) {
+  if (!margins) return `${label}：无增益穿越`;
+  return `${label}：穿越 ${margins.crossover.toFixed(1)} Hz，相位裕度 ${margins.phaseMargin.toFixed(1)}°`;
+}
+
+/**
+ * 绘制开环/误差传递函数的 Bode 图与复合轴阶跃响应
+ */
+function renderServoTuning(dialog) {
+  const p = readServoTrialParams(dialog);
+  const valid = [...Object.values(p.coarse), ...Object.values(p.fine)].every(v => Number.isFinite(v) && v >= 0);
+  const hint = dialog.querySelector('.servo-margins');
+  if (!valid) {
+    hint.textContent = '增益须为非负数';
+    return;
+  }
+
+  const frequencies = [];
+  const fMin = 0.1;
+  const fMax = 0.5 / p.finePeriod;
+  for (let i = 0; i < 300; i++) frequencies.push(fMin * Math.pow(fMax / fMin, i / 299));
+  const response = servoFrequencyResponse(p, frequencies);
+  const toDbPoints = key => response.map(r => [r.f, 20 * Math.log10(cAbs(r[key]))]);
+  const toPhasePoints = key => unwrappedPhase(response.map(r => r[key])).map((phase, i) => [response[i].f, phase]);
+
+  const coarseMargins = loopMargins(response, 'coarse');
+  const fineMargins = loopMargins(response, 'fine');
+  hint.textContent = `${describeMargins('粗跟踪', coarseMargins)}；${describeMargins('精跟踪', fineMargins)}`;
+  hint.classList.toggle('servo-unstable', [coarseMargins, fineMargins].some(m => m && m.phaseMargin <= 0));
+
+  servoCharts.bode.setOption({
+    animation: false,
+    tooltip: { trigger: 'axis' },
+    legend: { top: 0, textStyle: { fontSize: 10 } },
+    grid: [{ left: 50, right: 15, top: 25, height: '38%' }, { left: 50, right: 15, bottom: 25, height: '30%' }],
+    xAxis: [
+      { type: 'log', gridIndex: 0, min: fMin, max: fMax, axisLabel: { show: false } },
+      { type: 'log', gridIndex: 1, min: fMin, max: fMax, name: 'Hz', nameGap: 5, axisLabel: { fontSize: 10 } }
+    ],
+    yAxis: [
+      { type: 'value', gridIndex: 0, name: 'dB', nameTextStyle: { fontSize: 10 }, axisLabel: { fontSize: 10 } },
+      { type: 'value', gridIndex: 1, name: '°', nameTextStyle: { fontSize: 10 }, axisLabel: { fontSize: 10 } }
+    ],
+    series: [
+      { name: '粗跟踪开环', type: 'line', showSymbol: false, data: toDbPoints('coarse') },
+      { name: '精跟踪开环', type: 'line', showSymbol: false, data: toDbPoints('fine') },
+      { name: '复合轴误差 |S|', type: 'line', showSymbol: false, lineStyle: { type: 'dashed' }, data: toDbPoints('sensitivity') },
+      { name: '粗跟踪开环', type: 'line', showSymbol: false, xAxisIndex: 1, yAxisIndex: 1, data: toPhasePoints('coarse') },
+      { name: '精跟踪开环', type: 'line', showSymbol: false, xAxisIndex: 1, yAxisIndex: 1, data: toPhasePoints('fine') }
+    ]
+  }, true);
+
+  const step = simulateServo({ ...p, outputRate: 2000 }, { step: SERVO_STEP_URAD * 1e-6, duration: SERVO_STEP_DURATION });
+  const toStepPoints = series => Array.from(series, (v, i) => [step.time[i] * 1e3, v * 1e6]);
+  servoCharts.step.setOption({
+    animation: false,
+    tooltip: { trigger: 'axis' },
+    legend: { top: 0, textStyle: { fontSize: 10 } },
+    grid: { left: 50, right: 15, top: 25, bottom: 25 },
+    xAxis: { type: 'value', name: 'ms', nameGap: 5, max: SERVO_STEP_DURATION * 1e3, axisLabel: { fontSize: 10 } },
+    yAxis: { type: 'value', name: 'μrad', nameTextStyle: { fontSize: 10 }, axisLabel: { fontSize: 10 } },
+    series: [
+      { name: '跟踪误差', type: 'line', showSymbol: false, data: toStepPoints(step.x.err) },
+      { name: '转台', type: 'line', showSymbol: false, data: toStepPoints(step.x.gimbal) },
+      { name: 'FSM', type: 'line', showSymbol: false, data: toStepPoints(step.x.fsm) }
+    ]
+  }, true);
+}
+
+/**
+ * 初始化伺服调参对话框：试调 PID 增益并查看 Bode 图与阶跃响应，确认后写回器件参数面板
+ */
+function initServoControls() {
+  const dialog = document.getElementById('servo-dialog');
+  if (!dialog) return;
+  const gainsBox = dialog.querySelector('.servo-gains');
+
+  SERVO_GAIN_PARAMS.forEach(id => {
+    const { def } = PARAM_INDEX[id];
+    const label = document.createElement('label');
+    label.textContent = def.label;
+    const input = document.createElement('input');
+    input.type = 'number';
+    input.step = 'any';
+    input.min = '0';
+    input.dataset.gain = id;
+    const unit = document.createElement('small');
+    unit.textContent = def.unit;
+    label.append(input, unit);
+    gainsBox.appendChild(label);
+  });
+
+  const loadPanelGains = () => {
+    const device = readPanelParams('panel-device-params');
+    gainsBox.querySelectorAll('input').forEach(input => { input.value = device[input.dataset.gain]; });
+  };
+
+  gainsBox.addEventListener('input', () => renderServoTuning(dialog));
+  dialog.querySelector('.btn-servo-reset')?.addEventListener('click', () => {
+    loadPanelGains();
+    renderServoTuning(dialog);
+  });
+
+  document.getElementById('btn-servo')?.addEventListener('click', () => {
+    loadPanelGains();
+    dialog.returnValue = '';
+    dialog.showModal();
+    if (!servoCharts.bode) {
+      servoCharts.bode = echarts.init(document.getElementById('servo-bode'));
+      servoCharts.step = echarts.init(document.getElementById('servo-step'));
+    }
+    servoCharts.bode.resize();
+    servoCharts.step.resize();
+    renderServoTuning(dialog);
+  });
+
+  dialog.addEventListener('close', () => {
+    if (dialog.returnValue !== 'confirm') return;
+    const gains = {};
+    gainsBox.querySelectorAll('input').forEach(input => {
+      const value = parseFloat(input.value);
+      if (!Number.isFinite(value) || value < 0) return;
+      gains[input.dataset.gain] = value;
+      writeParamInput(document.querySelector(`[data-param="${input.dataset.gain}"]`), value);
+    });
+    validateParamPanel('panel-device-params');
+    applyPanelParamChanges(['panel-device-params']);
+    renderSimulationFrame();
+    publishEvent({
+      type: 'config.servoGains',
+      source: 'config',
+      message: `伺服增益已更新: ${Object.entries(gains).map(([id, v]) => `${id}=${v}`).join(', ')}`,
+      payload: { gains }
+    });
+  });
+}
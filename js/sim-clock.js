@@ -0,0 +1,111 @@
+// --- 仿真时钟 ---
+// 仿真时间以固定步长推进：time = startTime + frame * step。
+// 真实时间只决定“每次推进多少帧”，每一帧对应的仿真时间是精确且可复现的，与定时器抖动无关。
+
+/**
+ * 可选的回放倍速
+ */
+const PLAYBACK_SPEEDS = [0.1, 0.25, 0.5, 1, 2, 5, 10, 50, 100, 500, 1000];
+
+/**
+ * 创建仿真时钟
+ * @param {Object} [options]
+ * @param {number} [options.step=0.1] - 仿真步长 [s]
+ * @param {number} [options.startTime=0] - 起始时间 [s]
+ * @param {number} [options.endTime=Infinity] - 结束时间 [s]
+ * @param {number} [options.speed=1] - 回放倍速
+ */
+function createSimulationClock(options = {}) {
+  const clock = {
+    step: options.step || 0.1,
+    startTime: options.startTime || 0,
+    endTime: options.endTime ?? Infinity,
+    speed: options.speed || 1,
+    frame: 0,
+    accumulator: 0, // 尚未凑满一个步长的仿真时间 [s]
+
+    /** 当前帧对应的仿真时间 [s] */
+    get time() {
+      return clock.timeOfFrame(clock.frame);
+    },
+
+    /** 最后一帧的序号 */
+    get lastFrame() {
+      if (!Number.isFinite(clock.endTime)) return Infinity;
+      return Math.floor((clock.endTime - clock.startTime) / clock.step + 1e-9);
+    },
+
+    get atEnd() {
+      return clock.frame >= clock.lastFrame;
+    },
+
+    /**
+     * 帧序号 -> 仿真时间。按整数倍计算并消除浮点尾差。
+     */
+    timeOfFrame(frame) {
+      return Math.round((clock.startTime + frame * clock.step) * 1e9) / 1e9;
+    },
+
+    /**
+     * 仿真时间 -> 最近的帧序号（限制在有效范围内）
+     */
+    frameOfTime(time) {
+      const frame = Math.round((time - clock.startTime) / clock.step);
+      return Math.max(0, Math.min(clock.lastFrame, frame));
+    },
+
+    /**
+     * 按经过的真实时间推进。
+     * @param {number} realDeltaMs - 距上次推进的真实时间 [ms]
+     * @returns {number} 本次推进的帧数
+     */
+    advance(realDeltaMs) {
+      clock.accumulator += (realDeltaMs / 1000) * clock.speed;
+      const frames = Math.floor(clock.accumulator / clock.step + 1e-9);
+      if (frames <= 0) return 0;
+      clock.accumulator -= frames * clock.step;
+      return clock.stepFrames(frames);
+    },
+
+    /**
+     * 前进（或后退）指定帧数，返回实际移动的帧数
+     */
+    stepFrames(count) {
+      const before = clock.frame;
+      clock.frame = Math.max(0, Math.min(clock.lastFrame, clock.frame + count));
+      return clock.frame - before;
+    },
+
+    seek(time) {
+      clock.frame = clock.frameOfTime(time);
+      clock.accumulator = 0;
+    },
+
+    jumpToStart() {
+      clock.frame = 0;
+      clock.accumulator = 0;
+    },
+
+    jumpToEnd() {
+      if (Number.isFinite(clock.lastFrame)) clock.frame = clock.lastFrame;
+      clock.accumulator = 0;
+    },
+
+    setSpeed(speed) {
+      clock.speed = Math.max(PLAYBACK_SPEEDS[0], Math.min(PLAYBACK_SPEEDS[PLAYBACK_SPEEDS.length - 1], speed));
+    },
+
+    /**
+     * 修改时间基准（步长/起止时间），尽量保持当前仿真时间不变
+     */
+    configure({ step, startTime, endTime }) {
+      const current = clock.time;
+      if (step > 0) clock.step = step;
+      if (startTime !== undefined) clock.startTime = startTime;
+      if (endTime !== undefined) clock.endTime = endTime;
+      clock.seek(current);
+    }
+  };
+
+  return clock;
+}
@@ -0,0 +1,204 @@
+// --- 仿真循环（主线程侧） ---
+// 时钟推进、采样定位与伺服仿真在 sim-worker.js 中运行，主线程只接收状态帧并按 requestAnimationFrame 绘制：
+// 收到新帧、时钟被操作或总线上有新事件时标记需要重绘，没有变化的帧不重绘；页面隐藏时暂停推进。
+// 主线程的 simClock 是 Worker 时钟的镜像：跳转、倍速等操作先作用于镜像再同步给 Worker，
+// 同步以 epoch 编号，过期的状态帧（操作之前发出的）直接丢弃。
+// 监测图表的历史截取、工况扰动与 LTTB 降采样也在 Worker 中完成：主线程同步面板配置、工况计划与参照运行，
+// Worker 另行发送有变化的面板曲线（随时钟推进的重建有节流）。复合轴伺服仿真同样在 Worker 中运行。
+// PAT 状态机仍在主线程逐帧推演（它读写界面状态并发布迁移事件）。
+// 浏览器不支持 Worker（或脚本加载失败）时退回在主线程按帧推进。
+
+const SIM_WORKER_URL = 'js/sim-worker.js';
+const SIM_CLOCK_COMMANDS = ['seek', 'stepFrames', 'jumpToStart', 'jumpToEnd', 'setSpeed', 'configure'];
+
+const simLoop = {
+  worker: null,
+  epoch: 0,
+  dataVersion: 0,
+  frame: null, // 最近一次有效的状态帧
+  wantRunning: false,
+  running: false,
+  renderRequested: true,
+  chartVersion: 0, // 图表配置、工况计划或参照运行每次同步后递增，旧版本的曲线丢弃
+  chartConfigKey: null,
+  chartFaultsKey: null,
+  charts: {} // Worker 算好、尚未应用的面板曲线：面板键 -> {min, max, series}
+};
+
+/**
+ * 标记下一个动画帧需要重绘
+ */
+function requestRender() {
+  simLoop.renderRequested = true;
+}
+
+/**
+ * 启动仿真 Worker 并接管时钟
+ * @param {Object} clock - 主线程的 simClock
+ */
+function initSimulationWorker(clock) {
+  try {
+    simLoop.worker = new Worker(SIM_WORKER_URL);
+  } catch (err) {
+    console.warn('Simulation worker unavailable, stepping on the main thread:', err);
+    simLoop.worker = null;
+  }
+
+  // 时钟操作同步给 Worker，并请求重绘
+  SIM_CLOCK_COMMANDS.forEach(name => {
+    const command = clock[name];
+    clock[name] = (...args) => {
+      const result = command(...args);
+      syncSimulationClock(clock);
+      requestRender();
+      return result;
+    };
+  });
+
+  subscribeEvents(requestRender);
+  document.addEventListener('visibilitychange', () => {
+    updateSimulationWorkerRunning();
+    if (!document.hidden) requestRender();
+  });
+
+  if (!simLoop.worker) return;
+  simLoop.worker.onmessage = ({ data }) => {
+    if (data.type === 'servo') {
+      receiveServoResults(data.key, data.results);
+      requestRender();
+      return;
+    }
+    if (data.epoch !== simLoop.epoch) return;
+    if (data.type === 'charts') {
+      if (data.version !== simLoop.dataVersion || data.chartVersion !== simLoop.chartVersion) return;
+      Object.assign(simLoop.charts, data.charts);
+      requestRender();
+      return;
+    }
+    clock.frame = data.frame;
+    simLoop.frame = data;
+    requestRender();
+  };
+  simLoop.worker.onerror = event => {
+    event.preventDefault();
+    console.warn('Simulation worker failed, stepping on the main thread:', event.message);
+    simLoop.worker.terminate();
+    simLoop.worker = null;
+    simLoop.frame = null;
+    simLoop.charts = {};
+    servoCache.pendingKey = null;
+    Object.keys(charts).forEach(key => { chartRenderKeys[key] = null; });
+  };
+  syncSimulationClock(clock);
+  postSimulationData();
+}
+
+function syncSimulationClock(clock) {
+  simLoop.epoch++;
+  simLoop.frame = null;
+  if (!simLoop.worker) return;
+  const { step, startTime, endTime, speed, frame, accumulator } = clock;
+  simLoop.worker.postMessage({ type: 'clock', epoch: simLoop.epoch, state: { step, startTime, endTime, speed, frame, accumulator } });
+}
+
+/**
+ * 自动推进开关：仿真运行中且页面可见时由 Worker 推进
+ * @param {boolean} [running] - 仿真是否处于自动运行（缺省沿用上次的值）
+ */
+function updateSimulationWorkerRunning(running = simLoop.wantRunning) {
+  simLoop.wantRunning = running;
+  const effective = running && !document.hidden;
+  if (effective === simLoop.running) return;
+  simLoop.running = effective;
+  if (simLoop.worker) simLoop.worker.postMessage({ type: 'running', running: effective });
+}
+
+/**
+ * 将结果数据与本地链路预算整体发送给 Worker（加载数据源或预算重算后调用）
+ */
+function postSimulationData() {
+  simLoop.dataVersion++;
+  simLoop.frame = null;
+  requestRender();
+  if (!simLoop.worker) return;
+  simLoop.worker.postMessage({ type: 'data', version: simLoop.dataVersion, records: simulationData, budgets: linkBudgetData });
+}
+
+/**
+ * 追加实时流记录
+ * @param {Object[]} records - 新记录
+ * @param {Object[]} budgets - 对应的本地链路预算（无预算时为空数组）
+ */
+function appendSimulationData(records, budgets) {
+  simLoop.dataVersion++;
+  requestRender();
+  if (!simLoop.worker) return;
+  simLoop.worker.postMessage({ type: 'append', version: simLoop.dataVersion, records, budgets });
+}
+
+/**
+ * 指定时刻的状态帧：时间与数据版本都一致时返回 Worker 已算好的帧，否则为 null（由调用方自行插值）
+ */
+function simulationFrameAt(time) {
+  const frame = simLoop.frame;
+  return frame && frame.time === time && frame.version === simLoop.dataVersion ? frame : null;
+}
+
+/**
+ * 在 Worker 中运行伺服仿真
+ * @returns {boolean} 已提交；无 Worker 时为 false，由调用方同步计算
+ */
+function requestServoSimulation(key, params) {
+  if (!simLoop.worker) return false;
+  simLoop.worker.postMessage({ type: 'servo', key, params });
+  return true;
+}
+
+// --- 监测图表 ---
+
+function postChartMessage(message) {
+  simLoop.chartVersion++;
+  simLoop.charts = {};
+  simLoop.worker.postMessage({ ...message, chartVersion: simLoop.chartVersion });
+}
+
+/**
+ * 每次绘制前调用：面板列选择/缩放、可用列或工况计划有变化时同步给 Worker
+ */
+function syncChartWorker() {
+  if (!simLoop.worker) return;
+  const config = {
+    available: chartFieldOptions(),
+    panels: Object.fromEntries(Object.entries(chartPanels).map(([key, panel]) => [key, { fields: panel.fields, zoom: panel.zoom }]))
+  };
+  const configKey = JSON.stringify(config);
+  if (configKey !== simLoop.chartConfigKey) {
+    simLoop.chartConfigKey = configKey;
+    postChartMessage({ type: 'charts', config });
+  }
+
+  // 扰动模型的面板参数也计入，终端或器件参数修改后重新扰动
+  const faults = serializeFaultSchedule();
+  const ctx = faults.length > 0 ? createFaultContext() : null;
+  const faultsKey = JSON.stringify([faults, ctx]);
+  if (faultsKey !== simLoop.chartFaultsKey) {
+    simLoop.chartFaultsKey = faultsKey;
+    postChartMessage({ type: 'faults', faults, ctx });
+  }
+}
+
+/**
+ * 发送参照运行（对比基线）的记录，null 表示不叠加
+ */
+function postChartOverlay(records) {
+  if (simLoop.worker) postChartMessage({ type: 'overlay', records });
+}
+
+/**
+ * 取出 Worker 已算好、尚未应用的面板曲线
+ */
+function takeWorkerCharts() {
+  const pending = simLoop.charts;
+  simLoop.charts = {};
+  return pending;
+}
@@ -0,0 +1,194 @@
+// --- 仿真步进 Worker ---
+// 在后台线程推进仿真时钟、定位当前采样并插值，逐帧向主线程发送紧凑的状态帧；
+// 监测图表的历史截取、工况扰动与降采样在此完成，与状态帧分开发送：随时钟推进的重建限制在 CHART_REBUILD_MS 一次，
+// 跳转与图表配置、工况、参照运行的变化立即重建，且只发送有变化的面板曲线；
+// 复合轴伺服仿真（计算量最大的物理模型）也在此运行，结果以可转移的数组返回。
+// 主线程只负责按 requestAnimationFrame 绘制，时钟由主线程的操作（跳转、倍速、步进）同步过来。
+//
+// 消息（主线程 -> Worker）：
+//   {type: 'clock', epoch, state}        时钟状态（step/startTime/endTime/speed/frame）
+//   {type: 'running', running}           是否自动推进
+//   {type: 'data', version, records, budgets} 替换结果数据与本地链路预算
+//   {type: 'append', version, records, budgets} 追加实时流记录
+//   {type: 'servo', key, params}         按参数运行伺服仿真
+//   {type: 'charts', chartVersion, config} 图表面板配置 {available, panels: {键: {fields, zoom}}}
+//   {type: 'faults', chartVersion, faults, ctx} 工况计划与扰动模型参数（createFaultContext 的结果）
+//   {type: 'overlay', chartVersion, records} 叠加的参照运行，null 表示不叠加
+// 消息（Worker -> 主线程）：
+//   {type: 'frame', epoch, version, frame, time, atEnd, index, sample, budget}
+//   {type: 'charts', epoch, version, chartVersion, charts}  charts 为 面板键 -> {min, max, series}，没有变化的面板不发送
+//   {type: 'servo', key, results}
+
+importScripts('sim-clock.js', 'result-source.js', 'servo.js', 'link-budget.js', 'orbit.js', 'param-schema.js',
+  'fault-injection.js', 'monitor-charts.js');
+
+const SIM_WORKER_TICK_MS = 16; // 自动推进的节拍 [ms]
+const CHART_REBUILD_MS = 250; // 随时钟推进重建图表曲线的最小间隔 [ms]
+
+const clock = createSimulationClock();
+let epoch = 0;
+let version = 0;
+let records = [];
+let budgets = [];
+let running = false;
+let timer = null;
+let lastTick = 0;
+let postedFrame = null;
+let chartVersion = 0;
+let chartConfig = null;
+let faultSchedule = [];
+let faultCtx = null;
+let overlay = null;
+let chartKeys = {}; // 面板键 -> 上次发送的曲线输入签名
+let chartTimer = null;
+let chartsDirty = false;
+let lastChartBuild = -Infinity;
+
+/**
+ * 发送当前帧：插值后的采样与链路预算（无数据时为 null）
+ */
+function postFrame() {
+  const time = clock.time;
+  const index = findSampleIndex(records, time);
+  postedFrame = clock.frame;
+  self.postMessage({
+    type: 'frame',
+    epoch,
+    version,
+    frame: clock.frame,
+    time,
+    atEnd: clock.atEnd,
+    index,
+    sample: sampleAt(records, time),
+    budget: sampleAt(budgets, time)
+  });
+  requestCharts();
+}
+
+/**
+ * 标记图表需要重建，距上次重建不足 CHART_REBUILD_MS 时推迟到间隔结束
+ */
+function requestCharts() {
+  chartsDirty = true;
+  if (chartTimer !== null) return;
+  chartTimer = setTimeout(postCharts, Math.max(0, lastChartBuild + CHART_REBUILD_MS - performance.now()));
+}
+
+/**
+ * 立即重建并发送有变化的面板曲线
+ */
+function postCharts() {
+  clearTimeout(chartTimer);
+  chartTimer = null;
+  if (!chartsDirty) return;
+  chartsDirty = false;
+  const charts = buildCharts(findSampleIndex(records, clock.time));
+  lastChartBuild = performance.now();
+  if (charts) self.postMessage({ type: 'charts', epoch, version, chartVersion, charts });
+}
+
+/**
+ * 截至 index 的各面板曲线（与主线程 updateChartData 相同的算法），没有变化时为 null
+ */
+function buildCharts(index) {
+  if (!chartConfig) return null;
+  const extent = chartTimeExtent(records, clock.endTime);
+  const perturb = sample => perturbSample(sample, faultSchedule, faultCtx);
+  let history = null;
+  let budgetHistory = null;
+  let charts = null;
+  Object.entries(chartConfig.panels).forEach(([key, panel]) => {
+    const renderKey = [epoch, version, chartVersion, index, records.length, budgets.length, ...extent].join('|');
+    if (chartKeys[key] === renderKey) return;
+    chartKeys[key] = renderKey;
+    if (!history) {
+      history = records.slice(0, index + 1).map(perturb);
+      budgetHistory = budgets.slice(0, index + 1).map(perturb);
+    }
+    const fields = panel.fields.filter(f => chartConfig.available.includes(f.field));
+    const [min, max] = extent;
+    charts = charts || {};
+    charts[key] = { min, max, series: buildChartPanelSeries(fields, history, budgetHistory, overlay, chartZoomSpan(extent, panel.zoom)) };
+  });
+  return charts;
+}
+
+function tick() {
+  const now = performance.now();
+  clock.advance(now - lastTick);
+  lastTick = now;
+  if (clock.frame !== postedFrame) postFrame();
+}
+
+function setRunning(value) {
+  running = value;
+  clearInterval(timer);
+  timer = null;
+  if (!running) return;
+  lastTick = performance.now();
+  timer = setInterval(tick, SIM_WORKER_TICK_MS);
+}
+
+/**
+ * 运行两个终端的伺服仿真，数组以可转移对象返回
+ */
+function runServo(key, params) {
+  const results = {};
+  const transfer = [];
+  Object.entries(SERVO_SEEDS).forEach(([id, seed]) => {
+    const result = simulateServo(params, { seed });
+    results[id] = result;
+    transfer.push(result.time.buffer);
+    SERVO_AXES.forEach(axis => Object.values(result[axis]).forEach(series => transfer.push(series.buffer)));
+  });
+  self.postMessage({ type: 'servo', key, results }, transfer);
+}
+
+self.onmessage = ({ data }) => {
+  switch (data.type) {
+    case 'clock':
+      epoch = data.epoch;
+      Object.assign(clock, data.state);
+      postFrame();
+      postCharts();
+      break;
+    case 'running':
+      setRunning(data.running);
+      break;
+    case 'data':
+      version = data.version;
+      records = data.records;
+      budgets = data.budgets;
+      postFrame();
+      postCharts();
+      break;
+    case 'append':
+      version = data.version;
+      data.records.forEach(record => records.push(record));
+      data.budgets.forEach(budget => budgets.push(budget));
+      requestCharts();
+      break;
+    case 'servo':
+      runServo(data.key, data.params);
+      break;
+    case 'charts':
+      chartVersion = data.chartVersion;
+      chartConfig = data.config;
+      chartsDirty = true;
+      postCharts();
+      break;
+    case 'faults':
+      chartVersion = data.chartVersion;
+      faultSchedule = data.faults;
+      faultCtx = data.ctx;
+      chartsDirty = true;
+      postCharts();
+      break;
+    case 'overlay':
+      chartVersion = data.chartVersion;
+      overlay = data.records;
+      chartsDirty = true;
+      postCharts();
+      break;
+  }
+};
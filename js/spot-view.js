@@ -0,0 +1,312 @@
+// --- 探测器光斑视图 ---
+// 光斑画布按探测器视场 (FOV) 与系统焦距标定：坐标为角偏差 [μrad]，像元网格按 像元尺寸 / 焦距 换算为角度。
+// 保留最近一段时间的光斑轨迹并渐隐显示，实时统计均值、RMS 与峰值偏差；
+// 光斑中心越出线性区（视场半径减去艾里斑半径）时在视图上告警并发布事件。
+
+const SPOT_TRAIL_SECONDS = 2; // 轨迹与统计窗口 [s]
+const SPOT_VIEW_MARGIN = 1.15; // 画布半宽 / 视场半径
+
+/**
+ * 探测器模式：粗跟踪 (CPA) 使用大视场探测器，精跟踪 (FPA) 使用小视场探测器
+ */
+const DETECTOR_MODES = {
+  CPA: { label: '粗跟踪 CPA', fov: 'FOV_D', pixel: 'pix_D' },
+  FPA: { label: '精跟踪 FPA', fov: 'FOV_F', pixel: 'pix_F' }
+};
+
+/**
+ * 光斑画布 -> 视图状态
+ */
+const spotViews = {
+  'canvas-spot-1': { link: 'T1', mode: 'CPA', grid: false, trail: [], offset: null, scan: null, outside: false },
+  'canvas-spot-2': { link: 'T2', mode: 'CPA', grid: false, trail: [], offset: null, scan: null, outside: false }
+};
+
+/**
+ * 当前参数下的探测器几何（角度均为 rad）
+ * @param {string} mode - DETECTOR_MODES 的键
+ */
+function detectorGeometry(mode) {
+  const device = readPanelParams('panel-device-params');
+  const terminal = normalizeTerminalParams(readPanelParams('panel-terminal-params'));
+  const def = DETECTOR_MODES[mode];
+  const fov = device[def.fov];
+  // 艾里斑第一暗环半径对应的角度
+  const spotRadius = 1.22 * terminal.wavelength / terminal.diameter;
+  return {
+    fov,
+    spotRadius,
+    linearRange: Math.max(0, fov - spotRadius),
+    pixelAngle: device[def.pixel] * 1e-6 / terminal.focalLength,
+    focalLength: terminal.focalLength
+  };
+}
+
+/**
+ * 轨迹窗口内的偏差统计 [μrad]
+ * @param {{x: number, y: number}[]} trail - 角偏差 [rad]
+ */
+function spotStatistics(trail) {
+  if (trail.length === 0) return null;
+  let sx = 0, sy = 0, sr2 = 0, peak = 0;
+  trail.forEach(({ x, y }) => {
+    const r2 = x * x + y * y;
+    sx += x;
+    sy += y;
+    sr2 += r2;
+    peak = Math.max(peak, Math.sqrt(r2));
+  });
+  const n = trail.length;
+  return {
+    mean: Math.hypot(sx / n, sy / n) * 1e6,
+    rms: Math.sqrt(sr2 / n) * 1e6,
+    peak: peak * 1e6
+  };
+}
+
+function resetSpotViews() {
+  Object.values(spotViews).forEach(view => {
+    view.trail = [];
+    view.offset = null;
+    view.scan = null;
+    view.outside = false;
+  });
+}
+
+/**
+ * 记录一帧光斑偏差并重绘
+ * @param {string} canvasId
+ * @param {{x: number, y: number}|null} offset - 角偏差 [rad]，null 表示探测器上尚无光斑
+ * @param {number} time - 仿真时间 [s]
+ * @param {Object|null} [scan] - 尚无光斑时显示的扫描路径（getPatScanView 的结果）
+ */
+function updateSpotView(canvasId, offset, time, scan = null) {
+  const view = spotViews[canvasId];
+  if (!view) return;
+  view.scan = scan;
+
+  const last = view.trail[view.trail.length - 1];
+  if (last && time < last.t) view.trail = [];
+  if (offset) {
+    if (last && time === last.t) view.trail.pop();
+    view.trail.push({ t: time, x: offset.x, y: offset.y });
+  }
+  while (view.trail.length > 0 && view.trail[0].t < time - SPOT_TRAIL_SECONDS) view.trail.shift();
+  view.offset = offset;
+
+  const geometry = detectorGeometry(view.mode);
+  const outside = !!offset && Math.hypot(offset.x, offset.y) > geometry.linearRange;
+  if (outside !== view.outside) {
+    view.outside = outside;
+    const r = offset ? Math.hypot(offset.x, offset.y) * 1e6 : 0;
+    publishEvent({
+      type: outside ? 'detector.outOfRange' : 'detector.inRange',
+      source: 'detector',
+      severity: outside ? 'warning' : 'info',
+      link: view.link,
+      message: outside
+        ? `${DETECTOR_MODES[view.mode].label} 光斑越出线性区 (${r.toFixed(1)} μrad > ${(geometry.linearRange * 1e6).toFixed(1)} μrad)`
+        : `${DETECTOR_MODES[view.mode].label} 光斑回到线性区`,
+      payload: { mode: view.mode, offset_urad: r, linear_range_urad: geometry.linearRange * 1e6 },
+      simTime: time
+    });
+  }
+
+  drawSpotView(canvasId, geometry);
+}
+
+/**
+ * 绘制光斑视图
+ * @param {string} canvasId
+ * @param {Object} [geometry] - detectorGeometry 的结果
+ */
+function drawSpotView(canvasId, geometry) {
+  const view = spotViews[canvasId];
+  const canvas = document.getElementById(canvasId);
+  if (!view || !canvas) return;
+  geometry = geometry || detectorGeometry(view.mode);
+
+  const { width, height } = fitCanvas(canvas);
+  const ctx = canvas.getContext('2d');
+  const cx = width / 2;
+  const cy = height / 2;
+  const scale = Math.min(width, height) / 2 / (geometry.fov * SPOT_VIEW_MARGIN); // px / rad
+  const toX = x => cx + x * scale;
+  const toY = y => cy - y * scale;
+
+  ctx.clearRect(0, 0, width, height);
+  ctx.font = '10px sans-serif';
+  if (!view.offset && view.scan) {
+    drawScanPath(ctx, view.scan, width, height);
+    return;
+  }
+
+  // 像元网格（像元过密时不绘制）
+  const pitch = geometry.pixelAngle * scale;
+  if (view.grid && pitch >= 4) {
+    ctx.strokeStyle = '#f1f3f4';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    for (let x = cx % pitch; x < width; x += pitch) {
+      ctx.moveTo(Math.round(x) + 0.5, 0);
+      ctx.lineTo(Math.round(x) + 0.5, height);
+    }
+    for (let y = cy % pitch; y < height; y += pitch) {
+      ctx.moveTo(0, Math.round(y) + 0.5);
+      ctx.lineTo(width, Math.round(y) + 0.5);
+    }
+    ctx.stroke();
+  }
+
+  // 十字准星
+  ctx.strokeStyle = '#eee';
+  ctx.lineWidth = 1;
+  ctx.beginPath();
+  ctx.moveTo(cx, 0); ctx.lineTo(cx, height);
+  ctx.moveTo(0, cy); ctx.lineTo(width, cy);
+  ctx.stroke();
+
+  // 视场边界与线性区
+  ctx.strokeStyle = '#ccc';
+  ctx.beginPath();
+  ctx.arc(cx, cy, geometry.fov * scale, 0, Math.PI * 2);
+  ctx.stroke();
+  ctx.strokeStyle = '#f9ab00';
+  ctx.setLineDash([4, 3]);
+  ctx.beginPath();
+  ctx.arc(cx, cy, geometry.linearRange * scale, 0, Math.PI * 2);
+  ctx.stroke();
+  ctx.setLineDash([]);
+
+  // 轨迹：越早的点越淡
+  const n = view.trail.length;
+  view.trail.forEach((p, i) => {
+    ctx.fillStyle = `rgba(217, 48, 37, ${(0.05 + 0.35 * (i + 1) / n).toFixed(3)})`;
+    ctx.beginPath();
+    ctx.arc(toX(p.x), toY(p.y), 1.5, 0, Math.PI * 2);
+    ctx.fill();
+  });
+
+  ctx.textBaseline = 'top';
+  ctx.textAlign = 'right';
+  ctx.fillStyle = '#888';
+  ctx.fillText(`FOV ±${(geometry.fov * 1e6).toFixed(0)} μrad`, width - 5, 5);
+  ctx.fillText(`像面 ±${(geometry.fov * geometry.focalLength * 1e3).toFixed(2)} mm`, width - 5, 17);
+
+  if (!view.offset) {
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText('无光斑', cx, cy);
+    return;
+  }
+
+  // 当前光斑，半径取艾里斑半径（至少 3 px）
+  ctx.fillStyle = view.outside ? 'rgba(217, 48, 37, 0.4)' : 'rgba(217, 48, 37, 0.7)';
+  ctx.shadowBlur = 10;
+  ctx.shadowColor = 'red';
+  ctx.beginPath();
+  ctx.arc(toX(view.offset.x), toY(view.offset.y), Math.max(3, geometry.spotRadius * scale), 0, Math.PI * 2);
+  ctx.fill();
+  ctx.shadowBlur = 0;
+
+  const stats = spotStatistics(view.trail);
+  if (stats) {
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'bottom';
+    ctx.fillStyle = '#5f6368';
+    ctx.fillText(`均值 ${stats.mean.toFixed(1)}  RMS ${stats.rms.toFixed(1)}  峰值 ${stats.peak.toFixed(1)} μrad`, 5, height - 5);
+  }
+
+  if (view.outside) {
+    ctx.strokeStyle = '#d93025';
+    ctx.lineWidth = 2;
+    ctx.strokeRect(1, 1, width - 2, height - 2);
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'top';
+    ctx.fillStyle = '#d93025';
+    ctx.fillText('超出线性区', cx, 5);
+  }
+}
+
+/**
+ * 捕获阶段探测器上尚无光斑，改为以不确定区域为尺度绘制信标扫描路径
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {{points: Object[], index: number, rounds: number, radius: number, beamHalfAngle: number}} scan
+ */
+function drawScanPath(ctx, scan, width, height) {
+  const cx = width / 2;
+  const cy = height / 2;
+  const scale = Math.min(width, height) / 2 / (scan.radius * SPOT_VIEW_MARGIN);
+  const toX = x => cx + x * scale;
+  const toY = y => cy - y * scale;
+
+  ctx.strokeStyle = '#1a73e8';
+  ctx.setLineDash([4, 3]);
+  ctx.beginPath();
+  ctx.arc(cx, cy, scan.radius * scale, 0, Math.PI * 2);
+  ctx.stroke();
+  ctx.setLineDash([]);
+
+  // 本轮已扫过的路径
+  ctx.strokeStyle = 'rgba(26, 115, 232, 0.35)';
+  ctx.beginPath();
+  scan.points.slice(0, scan.index + 1).forEach((p, i) => {
+    if (i === 0) ctx.moveTo(toX(p.x), toY(p.y));
+    else ctx.lineTo(toX(p.x), toY(p.y));
+  });
+  ctx.stroke();
+
+  const current = scan.points[scan.index];
+  if (current) {
+    ctx.fillStyle = 'rgba(26, 115, 232, 0.5)';
+    ctx.beginPath();
+    ctx.arc(toX(current.x), toY(current.y), Math.max(2, scan.beamHalfAngle * scale), 0, Math.PI * 2);
+    ctx.fill();
+  }
+
+  ctx.textAlign = 'left';
+  ctx.textBaseline = 'bottom';
+  ctx.fillStyle = '#1a73e8';
+  ctx.fillText(`信标扫描 FOU ±${(scan.radius * 1e6).toFixed(0)} μrad  第 ${scan.rounds + 1} 轮 ${scan.index + 1}/${scan.points.length}`, 5, height - 5);
+}
+
+/**
+ * 在光斑画布上方加入模式切换与像元网格开关
+ */
+function initSpotViews() {
+  Object.entries(spotViews).forEach(([canvasId, view]) => {
+    const canvas = document.getElementById(canvasId);
+    if (!canvas) return;
+
+    const toolbar = document.createElement('div');
+    toolbar.className = 'spot-toolbar';
+
+    const modeSelect = document.createElement('select');
+    Object.entries(DETECTOR_MODES).forEach(([value, def]) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = def.label;
+      modeSelect.appendChild(option);
+    });
+    modeSelect.value = view.mode;
+    modeSelect.addEventListener('change', () => {
+      view.mode = modeSelect.value;
+      view.outside = false;
+      drawSpotView(canvasId);
+    });
+
+    const gridLabel = document.createElement('label');
+    const gridToggle = document.createElement('input');
+    gridToggle.type = 'checkbox';
+    gridToggle.checked = view.grid;
+    gridToggle.addEventListener('change', () => {
+      view.grid = gridToggle.checked;
+      drawSpotView(canvasId);
+    });
+    gridLabel.append(gridToggle, '像元');
+
+    toolbar.append(modeSelect, gridLabel);
+    canvas.parentElement.appendChild(toolbar);
+    drawSpotView(canvasId);
+  });
+}